@@ -26,4 +26,18 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // Emitted as sw.js by the plugin in vite.config.js
+    files: ['src/sw.js'],
+    languageOptions: {
+      globals: globals.serviceworker,
+    },
+  },
+  {
+    // The doodle-classify command runs in Node
+    files: ['src/cli/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ])
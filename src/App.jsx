@@ -1,9 +1,80 @@
-import React, { useCallback, useEffect, useRef, useState } from "react";
+import React, { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
 import * as tf from "@tensorflow/tfjs";
 import DoodleCanvas from "./DoodleCanvas";
 import PcaPlot from "./components/PcaPlot";
-import { runPCA2D, projectWithPCA } from "./ml/pca";
-import { resolveEmbeddingOutputName, extractCnnEmbedding } from "./ml/cnnEmbedding";
+import Scatter3D from "./components/Scatter3D";
+import ScreePlot from "./components/ScreePlot";
+import ProjectionControls from "./components/ProjectionControls";
+import SelectionBar from "./components/SelectionBar";
+import TrainPanel from "./components/TrainPanel";
+import ComparePanel from "./components/ComparePanel";
+import CalibrationPanel from "./components/CalibrationPanel";
+import ProbabilityBars from "./components/ProbabilityBars";
+import OodPanel from "./components/OodPanel";
+import InspectPanel from "./components/InspectPanel";
+import EvaluatePanel from "./components/EvaluatePanel";
+import DiagnosticsPanel from "./components/DiagnosticsPanel";
+import OfflinePanel from "./components/OfflinePanel";
+import FileDropOverlay from "./components/FileDropOverlay";
+import MnistPreview from "./components/MnistPreview";
+import NumberReadout from "./components/NumberReadout";
+import PreprocessControls from "./components/PreprocessControls";
+import { canvasToMnistTensor, readCanvasGray } from "./mnistPreprocess";
+import { DEFAULT_PREPROCESS } from "./ml/preprocess";
+import { HEAD_TYPES } from "./ml/head";
+import { classLabel, isDigitLabel } from "./ml/labels";
+import { EMPTY_AGREEMENT, addToAgreement, compareModels, topK } from "./ml/compare";
+import {
+  DEFAULT_THRESHOLDS,
+  applyTemperature,
+  fitTemperature,
+  isUnsure,
+  normalizedEntropy,
+  predictPixels,
+} from "./ml/calibration";
+import {
+  DEFAULT_OOD_THRESHOLDS,
+  MIN_OOD_SAMPLES,
+  fitMahalanobis,
+  mahalanobisScore,
+  maxSoftmaxScore,
+} from "./ml/ood";
+import { explain, explainMethodsFor } from "./ml/explain";
+import { readDigits } from "./ml/segment";
+import { switchBackend } from "./ml/backend";
+import {
+  MANIFEST_PATH,
+  createHeadModel,
+  createLinearModel,
+  embeddingProvider,
+  fetchManifest,
+  modelUrl,
+} from "./ml/modelRegistry";
+import { checkEmbeddingDims, newSampleId, parseDataset, serializeDataset } from "./ml/dataset";
+import { loadLocalModel } from "./ml/localModel";
+import { flushSamplesSave, loadStoredSamples, scheduleSamplesSave } from "./storage/sampleStore";
+import { loadStoredHead, saveStoredHead } from "./storage/headStore";
+import { loadModelCached } from "./storage/modelCache";
+import { downloadText, fileStamp } from "./utils/download";
+import { createFrameStats, createThrottledRunner } from "./utils/live";
+import { createMemoryMonitor } from "./utils/memory";
+import { PROJECTIONS, defaultProjectionParams, getProjection, projectPoint } from "./ml/projection";
+import { runProjectionInWorker } from "./ml/projectionWorker";
+
+const DIGITS = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+const MAX_SAMPLES = 2000;
+// Last fitted projection. `ids` are the samples behind each point, `embeddings` the
+// inputs it was fitted on (for neighbour placement), `fittedAt` identifies the run.
+const EMPTY_PROJECTION = { method: "pca", points: [], ids: [], embeddings: [], fittedAt: 0 };
+const TABS = [
+  { id: "embedding", label: "Embedding" },
+  { id: "train", label: "Train" },
+  { id: "compare", label: "Compare" },
+  { id: "calibrate", label: "Calibrate" },
+  { id: "inspect", label: "Inspect" },
+  { id: "evaluate", label: "Evaluate" },
+  { id: "diagnostics", label: "Diagnostics" },
+];
 
 function baseUrlJoin(path) {
   const base = import.meta.env.BASE_URL || "/";
@@ -12,282 +83,741 @@ function baseUrlJoin(path) {
   return b + p;
 }
 
-function looksLikeHtml(text) {
-  const t = (text || "").trimStart().toLowerCase();
-  return t.startsWith("<!doctype") || t.startsWith("<html") || t.startsWith("<");
+// Manifest URLs are relative to the manifest itself
+function entryUrl(entry) {
+  return modelUrl(entry, new URL(baseUrlJoin(MANIFEST_PATH), window.location.href));
+}
+
+// The runtime reading `node` (picked in the inspector) as its embedding output; unchanged without one
+function withPickedNode(runtime, node) {
+  return node && runtime.withEmbeddingNode ? runtime.withEmbeddingNode(node) : runtime;
 }
 
 export default function App() {
   const canvasRef = useRef(null);
-  const cnnRef = useRef(null);
-  const logregRef = useRef(null);
+  const canvasControlsRef = useRef(null); // { paintPixels } from DoodleCanvas
+  const modelCacheRef = useRef(new Map()); // manifest id -> Promise of the loaded runtime model
 
   const lastEmbeddingRef = useRef(null);
-
-  const [modelReady, setModelReady] = useState(false);
-  const [selectedModel, setSelectedModel] = useState("pretrained-cnn");
+  const lastPixelsRef = useRef(null);
+  const samplesLoadedRef = useRef(false);
+  const importInputRef = useRef(null);
+  const modelFilesInputRef = useRef(null);
+  const projectionAbortRef = useRef(null);
+  const lastComparedRef = useRef(""); // drawing last counted in the agreement matrix
+  // Samples' CNN embeddings from `node` and the Mahalanobis fit on them ({ key, fitted })
+  const oodEmbeddingsRef = useRef({ node: null, byId: new Map(), fit: null });
+  const oodProbsRef = useRef(new WeakMap()); // runtime model -> Map(sample id -> raw probabilities)
+  const oodRunRef = useRef(0);
+  const predictRunRef = useRef(0); // bumped by every predict(); older runs drop their results
+  const predictsInFlightRef = useRef(0); // tensor counts are only comparable when no run holds any
+
+  const [models, setModels] = useState([]); // manifest entries (src/ml/modelRegistry.js)
+  const [selectedModel, setSelectedModel] = useState("pretrained-cnn"); // a manifest id, or "head"
+  const [activeModel, setActiveModel] = useState(null); // runtime model behind selectedModel once loaded
+  const [localModels, setLocalModels] = useState([]); // entries for dropped model files, gone on reload
+  const [localModelError, setLocalModelError] = useState("");
+  const [head, setHead] = useState(null); // personalized head on the CNN embedding (src/ml/head.js)
   const [embeddingSource, setEmbeddingSource] = useState("raw"); // raw | cnn-penultimate
 
   const [predictions, setPredictions] = useState([]);
+  const [distribution, setDistribution] = useState(null); // { probs, labels } of the selected model, all classes
+  const [showDistribution, setShowDistribution] = useState(false);
+  const [temperatures, setTemperatures] = useState({}); // model id -> fitted temperature (default 1)
+  const [thresholds, setThresholds] = useState(DEFAULT_THRESHOLDS);
+  const [calibration, setCalibration] = useState(null); // last fitTemperature() result, with its modelId
+  const [calibrating, setCalibrating] = useState(false);
+  const [calibrationProgress, setCalibrationProgress] = useState(0);
+  const [calibrationError, setCalibrationError] = useState("");
+  const [embeddingNodes, setEmbeddingNodes] = useState({}); // model id -> embedding node picked in the inspector
+  const [oodMethod, setOodMethod] = useState("mahalanobis"); // see OOD_METHODS in src/ml/ood.js
+  const [oodThresholds, setOodThresholds] = useState(DEFAULT_OOD_THRESHOLDS);
+  const [oodModel, setOodModel] = useState(null); // fitMahalanobis() result, null until enough labeled digits
+  const [oodStatus, setOodStatus] = useState("");
+  const [ood, setOod] = useState(null); // { method, score } of the current drawing
+  const [sampleOodScores, setSampleOodScores] = useState(() => new Map()); // sample id -> score
   const [modelError, setModelError] = useState("");
   const [modelWarning, setModelWarning] = useState("");
   const [lastTriedUrl, setLastTriedUrl] = useState("");
 
   const [samples, setSamples] = useState([]);
-  const [pcaState, setPcaState] = useState({ points2d: [], mean: [], components: [] });
-  const [currentPoint, setCurrentPoint] = useState(null);
-  const [pcaRunning, setPcaRunning] = useState(false);
-  const [pcaError, setPcaError] = useState("");
+  const [sampleLabel, setSampleLabel] = useState("auto"); // "auto" = top prediction, "custom", else a digit
+  const [customLabel, setCustomLabel] = useState("");
+  const [projection, setProjection] = useState(EMPTY_PROJECTION);
+  const [projectionMethod, setProjectionMethod] = useState("pca");
+  const [projectionParams, setProjectionParams] = useState(() =>
+    Object.fromEntries(PROJECTIONS.map((m) => [m.id, defaultProjectionParams(m.id)]))
+  );
+  const [currentPoint, setCurrentPoint] = useState(null); // coordinates in every computed dimension
+  const [plotAxes, setPlotAxes] = useState([0, 1, 2]); // components on the X, Y (and Z in 3D) axes
+  const [plotMode, setPlotMode] = useState("2d"); // 2d | 3d
+  const [projectionRunning, setProjectionRunning] = useState(false);
+  const [projectionProgress, setProjectionProgress] = useState(0);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [hiddenClasses, setHiddenClasses] = useState(() => new Set()); // labelKey() values hidden in the plots
+  const [samplesError, setSamplesError] = useState("");
+  const [datasetBusy, setDatasetBusy] = useState(false);
+  const [datasetStatus, setDatasetStatus] = useState("");
+
+  const [preprocessConfig, setPreprocessConfig] = useState(DEFAULT_PREPROCESS);
+  const [previewPixels, setPreviewPixels] = useState(null);
+  const [inputTransform, setInputTransform] = useState(null); // canvas -> 28x28 mapping of the current input
+  const [explainOn, setExplainOn] = useState(false);
+  const [explainMethod, setExplainMethod] = useState("gradcam"); // see EXPLAIN_METHODS in src/ml/explain.js
+  const [explainClass, setExplainClass] = useState("top"); // "top" = the predicted class, else a label
+  const [heatmap, setHeatmap] = useState(null); // 784 values in [0, 1]
+  const [explainError, setExplainError] = useState("");
+  const [liveMode, setLiveMode] = useState(false); // classify while drawing
+  const [liveRate, setLiveRate] = useState(10); // max live predictions per second
+  const [liveStats, setLiveStats] = useState(null); // createFrameStats() summary, plus coalesced requests
+  const [multiDigit, setMultiDigit] = useState(false); // segment the canvas and read a number
+  const [backend, setBackend] = useState(""); // active tf backend
+  const [backendError, setBackendError] = useState("");
+  const [memory, setMemory] = useState(null); // createMemoryMonitor() summary
+  const [digits, setDigits] = useState(null); // readDigits() result in multi-digit mode
+  const [activeTab, setActiveTab] = useState("embedding");
+  const [compareExcluded, setCompareExcluded] = useState(() => new Set()); // model ids left out of the comparison
+  const [comparison, setComparison] = useState({ rows: [], consensus: null });
+  const [agreement, setAgreement] = useState(EMPTY_AGREEMENT);
+
+  const handleCanvasReady = useCallback((canvas, controls) => {
+    canvasRef.current = canvas;
+    canvasControlsRef.current = controls;
+  }, []);
 
-  const [cnnEmbeddingOutName, setCnnEmbeddingOutName] = useState(null);
+  // Restore the sample set from the last session
+  useEffect(() => {
+    loadStoredSamples()
+      .then((stored) => {
+        if (!stored?.samples.length) return;
+        // The samples were embedded through these nodes: models already loaded switch to them,
+        // the others read them when they load (ensureModel)
+        for (const [id, node] of Object.entries(stored.embeddingNodes)) {
+          const cache = modelCacheRef.current;
+          if (!cache.has(id)) continue;
+          const swapped = cache.get(id).then((runtime) => withPickedNode(runtime, node));
+          swapped.catch(() => cache.delete(id));
+          cache.set(id, swapped);
+        }
+        setEmbeddingNodes(stored.embeddingNodes);
+        setEmbeddingSource(stored.embeddingSource);
+        setSamples(stored.samples.slice(-MAX_SAMPLES));
+        setDatasetStatus(`Restored ${stored.samples.length} samples from the last session.`);
+      })
+      .catch((e) => console.warn("Could not restore samples:", e))
+      .finally(() => {
+        samplesLoadedRef.current = true;
+      });
+  }, []);
 
-  const handleCanvasReady = useCallback((canvas) => {
-    canvasRef.current = canvas;
+  useEffect(() => {
+    loadStoredHead()
+      .then((stored) => {
+        if (stored) setHead(stored);
+      })
+      .catch((e) => console.warn("Could not restore the personalized head:", e));
+  }, []);
+
+  // Persist every change, debounced (but never overwrite the stored set before it was read). A save
+  // still pending when the page goes away is written right then.
+  useEffect(() => {
+    if (!samplesLoadedRef.current) return;
+    scheduleSamplesSave(samples, embeddingSource, embeddingNodes);
+  }, [samples, embeddingSource, embeddingNodes]);
+
+  useEffect(() => {
+    window.addEventListener("pagehide", flushSamplesSave);
+    return () => window.removeEventListener("pagehide", flushSamplesSave);
+  }, []);
+
+  // Read the model registry once; everything model-specific comes from it
+  useEffect(() => {
+    const url = baseUrlJoin(MANIFEST_PATH);
+    fetchManifest(url)
+      .then((entries) => {
+        setModels(entries);
+        setSelectedModel((id) => (id === "head" || entries.some((m) => m.id === id) ? id : entries[0].id));
+      })
+      .catch((e) => {
+        console.error(e);
+        setLastTriedUrl(url);
+        setModelError(e?.message ?? String(e));
+      });
   }, []);
 
-  const preprocessCanvas = (canvas) => {
-    const off = document.createElement("canvas");
-    off.width = 28;
-    off.height = 28;
-    const ctx = off.getContext("2d");
-    ctx.drawImage(canvas, 0, 0, 28, 28);
-
-    const img = ctx.getImageData(0, 0, 28, 28).data;
-    const data = new Float32Array(784);
-
-    for (let i = 0; i < 784; i++) {
-      const r = img[i * 4];
-      const g = img[i * 4 + 1];
-      const b = img[i * 4 + 2];
-      data[i] = (r + g + b) / (3 * 255);
+  // Loaded models stay cached, so switching back and forth (or embedding with a model
+  // that isn't selected) loads each one once; across visits they come from IndexedDB
+  const ensureModel = useCallback(
+    (id) => {
+      const cache = modelCacheRef.current;
+      if (!cache.has(id)) {
+        const entry = models.find((m) => m.id === id);
+        if (!entry) return Promise.reject(new Error(`Unknown model "${id}".`));
+
+        const pending = tf
+          .ready()
+          .then(() => loadModelCached(entry, entryUrl(entry)))
+          .then((runtime) => withPickedNode(runtime, embeddingNodes[id]));
+        pending.catch(() => cache.delete(id));
+        cache.set(id, pending);
+      }
+      return cache.get(id);
+    },
+    [models, embeddingNodes]
+  );
+
+  const allModels = useMemo(() => [...models, ...localModels], [models, localModels]);
+
+  // Dropped files are validated and loaded right away; the model is then cached like a manifest one
+  const openLocalModel = useCallback(async (files) => {
+    if (!files.length) return;
+    try {
+      setLocalModelError("");
+      const { entry, runtime } = await loadLocalModel(files);
+      modelCacheRef.current.set(entry.id, Promise.resolve(runtime));
+      setLocalModels((prev) => [...prev, entry]);
+      setSelectedModel(entry.id);
+    } catch (e) {
+      console.error(e);
+      setLocalModelError(e?.message ?? String(e));
     }
-    return data;
+  }, []);
+
+  const unloadLocalModel = (id) => {
+    modelCacheRef.current
+      .get(id)
+      ?.then((m) => m.dispose())
+      .catch(() => {});
+    modelCacheRef.current.delete(id);
+    setLocalModels((prev) => prev.filter((m) => m.id !== id));
+    if (selectedModel === id && models.length) setSelectedModel(models[0].id);
   };
 
-  const topK = (probs, k = 3) =>
-    probs
-      .map((p, i) => ({ label: i, prob: p }))
-      .sort((a, b) => b.prob - a.prob)
-      .slice(0, k);
+  // Runtime for a selector id; the personalized head runs on the embedding of the model that provides it
+  const runtimeFor = useCallback(
+    async (id) => {
+      if (id !== "head") return ensureModel(id);
 
-  // Clear PCA state when embedding source changes (prevents mixed dims)
-  useEffect(() => {
-    setSamples([]);
-    setPcaState({ points2d: [], mean: [], components: [] });
-    setCurrentPoint(null);
-    setPcaError("");
-  }, [embeddingSource]);
+      if (!head) throw new Error("No personalized head yet. Train one in the Train tab or import a head file.");
+      const provider = embeddingProvider(models, head.embedding);
+      if (!provider) throw new Error(`No model in the manifest provides the "${head.embedding}" embedding.`);
+
+      const base = await ensureModel(provider.id);
+      if (!base.embed) throw new Error(`${provider.name}: embedding node not found, the head can't run.`);
+      return createHeadModel(head, base);
+    },
+    [models, head, ensureModel]
+  );
+
+  // Every model the selector offers, as { id, name }
+  const selectableModels = useMemo(() => {
+    const list = allModels.map((m) => ({ id: m.id, name: m.name }));
+    if (head) {
+      const type = HEAD_TYPES.find((t) => t.id === head.type)?.label;
+      list.push({ id: "head", name: `Personalized head (${type}, ${head.classes.length} classes)` });
+    }
+    return list;
+  }, [allModels, head]);
+  const comparedModels = useMemo(
+    () => selectableModels.filter((m) => !compareExcluded.has(m.id)),
+    [selectableModels, compareExcluded]
+  );
 
   // Load model
   useEffect(() => {
+    if (!models.length) return;
     let cancelled = false;
 
     const load = async () => {
       try {
-        setModelReady(false);
+        setActiveModel(null);
         setPredictions([]);
         setModelError("");
         setModelWarning("");
         setLastTriedUrl("");
-        setCnnEmbeddingOutName(null);
-
-        await tf.ready();
 
-        if (selectedModel === "pretrained-cnn") {
-          const url = baseUrlJoin("model/pretrained-cnn/model.json");
-          setLastTriedUrl(url);
-
-          const model = await tf.loadGraphModel(url);
-          if (cancelled) return;
-
-          cnnRef.current?.dispose?.();
-          cnnRef.current = model;
+        const entry =
+          selectedModel === "head"
+            ? embeddingProvider(models, head?.embedding)
+            : allModels.find((m) => m.id === selectedModel);
+        if (entry && !entry.local) setLastTriedUrl(entryUrl(entry));
+
+        const runtime = await runtimeFor(selectedModel);
+        if (cancelled) return;
+        if (runtime.embeddingNode) console.log(`${runtime.entry.name} embedding output:`, runtime.embeddingNode);
+        setModelWarning(runtime.warning);
+        setActiveModel(runtime);
+      } catch (e) {
+        console.error(e);
+        if (!cancelled) setModelError(e?.message ?? String(e));
+      }
+    };
 
-          const outName = resolveEmbeddingOutputName(model);
-          setCnnEmbeddingOutName(outName);
-          console.log("CNN embedding output:", outName);
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedModel, models, allModels, head, runtimeFor, embeddingNodes]);
+
+  const frameStats = useMemo(() => createFrameStats(), []);
+  const liveRunner = useMemo(() => createThrottledRunner(), []);
+  const memoryMonitor = useMemo(() => createMemoryMonitor(), []);
+
+  // Every call supersedes the previous ones: a run that finishes after a newer one started
+  // drops its results, so a slow inference can't overwrite a newer drawing. `live` runs happen
+  // mid-stroke and don't count toward the agreement matrix.
+  const predict = useCallback(async ({ live = false } = {}) => {
+    const run = ++predictRunRef.current;
+    const stale = () => run !== predictRunRef.current;
+    const started = performance.now();
+    let prep = null;
+    predictsInFlightRef.current += 1;
+    try {
+      if (!activeModel) return;
+      if (!canvasRef.current) return;
 
-          setModelReady(true);
-          return;
-        }
+      prep = canvasToMnistTensor(canvasRef.current, tf, preprocessConfig);
+      setPreviewPixels(prep?.pixels ?? null);
+      setInputTransform(prep?.transform ?? null);
 
-        if (selectedModel === "logreg") {
-          const url = baseUrlJoin("model/logreg/logreg.json");
-          setLastTriedUrl(url);
+      // Empty canvas: nothing to classify
+      if (!prep) {
+        lastEmbeddingRef.current = null;
+        lastPixelsRef.current = null;
+        setPredictions([]);
+        setDistribution(null);
+        setOod(null);
+        setCurrentPoint(null);
+        setComparison({ rows: [], consensus: null });
+        setDigits(null);
+        return;
+      }
 
-          const res = await fetch(url, { cache: "no-store" });
-          if (!res.ok) throw new Error(`Failed to fetch logreg.json (${res.status})`);
+      const input = prep.tensor; // [1, 28, 28, 1]
+      const gray = multiDigit ? readCanvasGray(canvasRef.current) : null; // before any await: the canvas may change
 
-          const text = await res.text();
-          if (looksLikeHtml(text)) throw new Error("Got HTML instead of JSON (path wrong / fallback)");
+      // Default embedding: raw (preprocessed) pixels
+      const pixels = Array.from(prep.pixels);
+      let embedding = pixels;
 
-          const json = JSON.parse(text);
+      const probs = applyTemperature(await activeModel.predict(input), temperatures[activeModel.entry.id] ?? 1);
 
-          const inDim = json.inDim ?? 784;
-          const outDim = json.outDim ?? 10;
+      // Embedding for the projection, from whichever model provides the chosen source
+      if (embeddingSource !== "raw") {
+        const provider = embeddingProvider(models, embeddingSource);
+        const embedder = provider ? await ensureModel(provider.id) : null;
+        embedding = embedder?.embed ? Array.from(await embedder.embed(input)) : null;
+      }
 
-          const expected = inDim * outDim;
-          let Warr = Array.isArray(json.W) ? json.W : [];
-          let barr = Array.isArray(json.b) ? json.b : [];
+      // How far the drawing is from anything digit-like
+      let oodScore = null;
+      if (oodMethod === "max-softmax") {
+        oodScore = maxSoftmaxScore(probs);
+      } else if (oodModel) {
+        let cnnEmbedding = embeddingSource === "cnn-penultimate" ? embedding : null;
+        if (!cnnEmbedding) {
+          const provider = embeddingProvider(models, "cnn-penultimate");
+          const embedder = provider ? await ensureModel(provider.id) : null;
+          cnnEmbedding = embedder?.embed ? await embedder.embed(input) : null;
+        }
+        if (cnnEmbedding) oodScore = mahalanobisScore(oodModel, cnnEmbedding).score;
+      }
 
-          if (Warr.length !== expected) {
-            setModelWarning(
-              `LogReg weights length is ${Warr.length} but expected ${expected}. Using zeros until you export real weights.`
-            );
-            Warr = new Array(expected).fill(0);
+      // Multi-digit mode: every segment through the same model
+      const temperature = temperatures[activeModel.entry.id] ?? 1;
+      const number = gray ? await readDigits(activeModel, gray, preprocessConfig, { temperature }) : null;
+
+      if (stale()) return;
+      setDigits(number);
+      lastPixelsRef.current = pixels;
+      lastEmbeddingRef.current = embedding;
+      setPredictions(topK(probs, 3, activeModel.labels));
+      setDistribution({ probs, labels: activeModel.labels });
+      setOod(oodScore === null ? null : { method: oodMethod, score: oodScore });
+      setCurrentPoint(projectPoint(projection, embedding, projection.embeddings));
+
+      // Compare tab: the same input through every checked model
+      if (activeTab === "compare") {
+        const results = [];
+        for (const m of comparedModels) {
+          try {
+            const runtime = await runtimeFor(m.id);
+            const probs = applyTemperature(await runtime.predict(input), temperatures[m.id] ?? 1);
+            results.push({ id: m.id, name: m.name, probs, labels: runtime.labels });
+          } catch (e) {
+            results.push({ id: m.id, name: m.name, error: e?.message ?? String(e) });
           }
+        }
+        if (stale()) return;
+        const compared = compareModels(results);
+        setComparison(compared);
+
+        // Re-running the same drawing (settings change, tab switch) doesn't count again
+        const key = `${comparedModels.map((m) => m.id).join(",")}|${pixels.join(",")}`;
+        if (!live && key !== lastComparedRef.current) {
+          lastComparedRef.current = key;
+          setAgreement((prev) => addToAgreement(prev, compared.rows));
+        }
+      }
+    } catch (e) {
+      console.error(e);
+      if (!stale()) setModelError(e?.message ?? String(e));
+    } finally {
+      prep?.tensor.dispose();
+      if (prep) {
+        frameStats.add(performance.now() - started, stale());
+        setLiveStats({ ...frameStats.summary(), coalesced: liveRunner.coalesced() });
+      }
+      if (--predictsInFlightRef.current === 0 && activeModel) {
+        memoryMonitor.sample(true);
+        setMemory(memoryMonitor.summary());
+      }
+    }
+  }, [
+    activeModel,
+    models,
+    ensureModel,
+    runtimeFor,
+    embeddingSource,
+    projection,
+    preprocessConfig,
+    activeTab,
+    comparedModels,
+    temperatures,
+    oodMethod,
+    oodModel,
+    frameStats,
+    liveRunner,
+    memoryMonitor,
+    multiDigit,
+  ]);
+
+  // The latest predict(), for effects that decide themselves when to re-classify
+  const predictRef = useRef(predict);
+  useLayoutEffect(() => {
+    predictRef.current = predict;
+  });
+
+  // Re-classify the current drawing when preprocessing settings, the model, the compared set,
+  // a temperature, the OOD score or multi-digit mode change
+  useEffect(() => {
+    predictRef.current();
+  }, [preprocessConfig, activeModel, activeTab, comparedModels, temperatures, oodMethod, oodModel, multiDigit]);
 
-          if (barr.length !== outDim) {
-            setModelWarning(
-              `LogReg bias length is ${barr.length} but expected ${outDim}. Using zeros until you export real weights.`
-            );
-            barr = new Array(outDim).fill(0);
-          }
+  // Live mode: strokes request a prediction, the runner keeps it to `liveRate` per second with at
+  // most one run in flight; ending the stroke drops any queued run and classifies the final drawing.
+  useEffect(() => {
+    liveRunner.setTask(() => predict({ live: true }));
+  }, [liveRunner, predict]);
 
-          if (logregRef.current?.W) logregRef.current.W.dispose();
-          if (logregRef.current?.b) logregRef.current.b.dispose();
+  useEffect(() => {
+    liveRunner.setRate(liveRate);
+  }, [liveRunner, liveRate]);
 
-          logregRef.current = {
-            W: tf.tensor2d(Warr, [inDim, outDim], "float32"),
-            b: tf.tensor1d(barr, "float32"),
-          };
+  useEffect(() => () => liveRunner.cancel(), [liveRunner]);
 
-          setModelReady(true);
-          return;
-        }
-      } catch (e) {
-        console.error(e);
-        if (!cancelled) setModelError(e?.message ?? String(e));
-      }
-    };
-
-    load();
-    return () => {
-      cancelled = true;
-    };
-  }, [selectedModel]);
+  const handleStrokeEnd = useCallback(() => {
+    liveRunner.cancel();
+    predict();
+  }, [liveRunner, predict]);
 
-  // Node finder (safe for both nodes-as-array and nodes-as-object)
-  const dumpCnnNodes = async () => {
-    try {
-      if (!cnnRef.current) return;
+  const resetLiveStats = () => {
+    frameStats.reset();
+    liveRunner.resetStats();
+    setLiveStats(null);
+  };
 
-      const graph = cnnRef.current.executor?.graph;
-      const nodes = graph?.nodes;
+  // Loading a model adds its weights to the tensor count: the leak check starts over
+  useEffect(() => {
+    memoryMonitor.reset();
+  }, [memoryMonitor, activeModel]);
 
-      const names = Array.isArray(nodes) ? nodes.map((n) => n.name) : Object.keys(nodes || {});
+  useEffect(() => {
+    tf.ready().then(() => setBackend(tf.getBackend()));
+  }, []);
 
-      const interesting = names.filter((n) =>
-        /conv|dense|relu|matmul|bias|reshape|flatten|pool/i.test(n)
-      );
+  const sampleMemory = useCallback(() => {
+    memoryMonitor.sample();
+    setMemory(memoryMonitor.summary());
+  }, [memoryMonitor]);
 
-      console.log("=== CNN Graph Nodes (all) ===", names);
-      console.log("=== CNN Graph Nodes (filtered) ===", interesting);
+  const resetMemory = () => {
+    memoryMonitor.reset();
+    setMemory(null);
+  };
 
-      alert("Printed node names to console (DevTools).");
+  // Loaded models follow to the new backend; the drawing is classified again on it
+  const changeBackend = async (id) => {
+    setBackendError("");
+    try {
+      setBackend(await switchBackend(id));
     } catch (e) {
       console.error(e);
-      alert("Failed to dump nodes. Check console.");
+      setBackendError(e?.message ?? String(e));
+      setBackend(tf.getBackend());
     }
+    resetMemory();
+    resetLiveStats();
+    predict();
   };
 
-  const predict = useCallback(async () => {
-    try {
-      if (!modelReady) return;
-      if (!canvasRef.current) return;
+  // OOD scores of the stored samples under the chosen method. Each method has its own effect, so
+  // temperatures or the selected model don't touch the Mahalanobis scores.
+  const showOodScores = useCallback((run, { scores = new Map(), fitted = null, status = "" }) => {
+    if (run !== oodRunRef.current) return;
+    setOodModel(fitted);
+    setOodStatus(status);
+    setSampleOodScores(scores);
+  }, []);
+  const showOodError = useCallback(
+    (run) => (e) => {
+      console.warn("OOD scoring failed:", e);
+      showOodScores(run, { status: e?.message ?? String(e) });
+    },
+    [showOodScores]
+  );
 
-      const raw = preprocessCanvas(canvasRef.current);
+  // Mahalanobis fits the class centroids on the digit-labeled samples' CNN embeddings. Embeddings are
+  // cached per node, and the fit is kept until the labeled samples change, so adding a sample only
+  // runs the new one through the CNN, which isn't loaded at all before there are enough labeled digits.
+  useEffect(() => {
+    if (oodMethod !== "mahalanobis") return;
+    const run = ++oodRunRef.current;
+
+    const refresh = async () => {
+      const usable = samples.filter((s) => s.pixels?.length === 784);
+      const labeled = usable.filter((s) => isDigitLabel(s.label));
+      if (labeled.length < MIN_OOD_SAMPLES) {
+        return { status: `Label at least ${MIN_OOD_SAMPLES} digits to estimate the class centroids (have ${labeled.length}).` };
+      }
 
-      // Default embedding: raw pixels
-      lastEmbeddingRef.current = Array.from(raw);
+      const provider = embeddingProvider(models, "cnn-penultimate");
+      if (!provider) throw new Error("No model in the manifest provides the CNN embedding.");
+      const runtime = await ensureModel(provider.id);
+      if (!runtime.embedBatch) throw new Error(`${provider.name}: embedding node not found.`);
 
-      // ✅ IMPORTANT: call the async IIFE with () so probs is an array, not a Promise
-      const probs = await (async () => {
-        if (selectedModel === "pretrained-cnn") {
-          if (!cnnRef.current) return Array(10).fill(0);
+      if (oodEmbeddingsRef.current.node !== runtime.embeddingNode) {
+        oodEmbeddingsRef.current = { node: runtime.embeddingNode, byId: new Map(), fit: null };
+      }
+      const ood = oodEmbeddingsRef.current;
+      const cache = ood.byId;
+      const ids = new Set(usable.map((s) => s.id));
+      for (const id of cache.keys()) if (!ids.has(id)) cache.delete(id);
+      for (const s of usable) {
+        if (!cache.has(s.id) && s.embeddingSource === "cnn-penultimate") cache.set(s.id, s.embedding);
+      }
+      const missing = usable.filter((s) => !cache.has(s.id));
+      if (missing.length) {
+        const fresh = await runtime.embedBatch(missing.map((s) => s.pixels));
+        missing.forEach((s, i) => cache.set(s.id, fresh[i]));
+      }
 
-          const input = tf.tensor4d(raw, [1, 28, 28, 1], "float32");
-          const outT = cnnRef.current.predict(input);
-          const out = Array.isArray(outT) ? outT[0] : outT;
+      const key = labeled.map((s) => `${s.id}:${s.label}`).join(",");
+      if (ood.fit?.key !== key) {
+        ood.fit = { key, fitted: fitMahalanobis(labeled.map((s) => cache.get(s.id)), labeled.map((s) => s.label)) };
+      }
+      const { fitted } = ood.fit;
+      return { fitted, scores: new Map(usable.map((s) => [s.id, mahalanobisScore(fitted, cache.get(s.id)).score])) };
+    };
 
-          const arr = Array.from(await out.data());
+    refresh().then((result) => showOodScores(run, result), showOodError(run));
+  }, [samples, models, ensureModel, oodMethod, showOodScores, showOodError]);
 
-          out.dispose?.();
-          input.dispose();
+  // Max softmax reads the selected model's probabilities (cached per runtime) under its temperature
+  useEffect(() => {
+    if (oodMethod !== "max-softmax") return;
+    const run = ++oodRunRef.current;
+
+    const refresh = async () => {
+      if (!activeModel) return {};
+      const usable = samples.filter((s) => s.pixels?.length === 784);
+      if (!oodProbsRef.current.has(activeModel)) oodProbsRef.current.set(activeModel, new Map());
+      const cache = oodProbsRef.current.get(activeModel);
+      const missing = usable.filter((s) => !cache.has(s.id));
+      const fresh = await predictPixels(activeModel, missing.map((s) => s.pixels));
+      missing.forEach((s, i) => cache.set(s.id, fresh[i]));
+
+      const temperature = temperatures[activeModel.entry.id] ?? 1;
+      return { scores: new Map(usable.map((s) => [s.id, maxSoftmaxScore(applyTemperature(cache.get(s.id), temperature))])) };
+    };
 
-          return arr;
-        }
+    refresh().then((result) => showOodScores(run, result), showOodError(run));
+  }, [samples, oodMethod, activeModel, temperatures, showOodScores, showOodError]);
 
-        if (selectedModel === "logreg") {
-          if (!logregRef.current) return Array(10).fill(0);
+  const addSample = () => {
+    const emb = lastEmbeddingRef.current;
+    if (!emb) return;
 
-          const x = tf.tensor2d(raw, [1, 784], "float32");
-          const logits = x.matMul(logregRef.current.W).add(logregRef.current.b);
-          const p = tf.softmax(logits);
+    // Prediction labels are class names ("7"); samples keep digits as numbers
+    const predicted = predictions[0] ? classLabel(String(predictions[0].label)) : null;
+    const label =
+      sampleLabel === "auto" ? predicted : sampleLabel === "custom" ? customLabel.trim() || null : Number(sampleLabel);
 
-          const arr = Array.from(await p.data());
+    setSamples((prev) => {
+      const next = prev.length >= MAX_SAMPLES ? prev.slice(1) : prev.slice();
+      next.push({
+        id: newSampleId(),
+        embedding: emb,
+        pixels: lastPixelsRef.current,
+        label,
+        predicted,
+        embeddingSource,
+        modelId: selectedModel,
+        timestamp: Date.now(),
+      });
+      return next;
+    });
+  };
 
-          // cleanup
-          p.dispose();
-          logits.dispose();
-          x.dispose();
+  // Embeddings for stored pixels under the given source
+  const embedPixels = async (pixelsList, source) => {
+    if (source === "raw") return pixelsList.map((p) => Array.from(p));
+    const provider = embeddingProvider(models, source);
+    if (!provider) throw new Error(`No model in the manifest provides the "${source}" embedding.`);
 
-          return arr;
-        }
+    const runtime = await ensureModel(provider.id);
+    if (!runtime.embedBatch) throw new Error(`${provider.name}: embedding node not found.`);
+    const embs = await runtime.embedBatch(pixelsList);
+    return embs.map((e) => Array.from(e));
+  };
 
-        return Array(10).fill(0);
-      })();
-
-      // Optional: compute CNN embedding for PCA when selected
-      if (
-        embeddingSource === "cnn-penultimate" &&
-        selectedModel === "pretrained-cnn" &&
-        cnnRef.current &&
-        cnnEmbeddingOutName
-      ) {
-        const input4d = tf.tensor4d(raw, [1, 28, 28, 1], "float32");
-        try {
-          const emb = await extractCnnEmbedding(cnnRef.current, input4d, cnnEmbeddingOutName);
-          lastEmbeddingRef.current = Array.from(emb);
-          console.log("CNN emb len:", emb.length); // remove later if you want
-        } finally {
-          input4d.dispose();
-        }
-      }
+  // Keep embeddings that already belong to `source`, recompute the rest from pixels. The size the
+  // kept ones must have comes from the first recomputed vector (the first sample's, if none is stale).
+  const resolveEmbeddings = async (list, source) => {
+    const fresh = new Map(); // sample -> new embedding
+    const embedInto = async (batch) => {
+      const embs = batch.length ? await embedPixels(batch.map((s) => s.pixels), source) : [];
+      batch.forEach((s, i) => fresh.set(s, embs[i]));
+    };
 
-      setPredictions(topK(probs, 3));
-
-      const emb = lastEmbeddingRef.current;
-      if (
-        emb &&
-        pcaState.components?.length === 2 &&
-        pcaState.mean?.length &&
-        emb.length === pcaState.mean.length
-      ) {
-        setCurrentPoint(projectWithPCA(emb, pcaState.mean, pcaState.components));
-      } else {
-        setCurrentPoint(null);
+    const stale = list.filter((s) => s.embeddingSource !== source || !s.embedding?.length);
+    const probe = source !== "raw" && !stale.length ? list.slice(0, 1) : [];
+    await embedInto(probe.length ? probe : stale);
+    const expectedDim = source === "raw" ? 784 : fresh.values().next().value?.length;
+    probe.filter((s) => s.embedding.length === expectedDim).forEach((s) => fresh.delete(s));
+    await embedInto(list.filter((s) => !fresh.has(s) && s.embedding.length !== expectedDim));
+
+    const resolved = list.map((s) => (fresh.has(s) ? { ...s, embedding: fresh.get(s), embeddingSource: source } : s));
+    checkEmbeddingDims(resolved);
+    return { samples: resolved, reembedded: fresh.size };
+  };
+
+  const resetProjection = () => {
+    projectionAbortRef.current?.abort();
+    setProjection(EMPTY_PROJECTION);
+    setCurrentPoint(null);
+    setSamplesError("");
+  };
+
+  // A dense node picked in the inspector becomes the model's embedding output. The cached runtime
+  // is swapped for one reading that node, and samples embedded by the old node are redone.
+  const pickEmbeddingNode = async (node) => {
+    const entry = models.find((m) => m.id === activeModel?.entry.id);
+    if (!entry?.embedding || !activeModel.withEmbeddingNode) return;
+
+    modelCacheRef.current.set(entry.id, Promise.resolve(activeModel.withEmbeddingNode(node)));
+    setEmbeddingNodes((prev) => ({ ...prev, [entry.id]: node }));
+
+    if (embeddingSource !== entry.embedding.source || !samples.length) return;
+    resetProjection();
+    lastEmbeddingRef.current = null;
+    try {
+      setDatasetBusy(true);
+      const res = await resolveEmbeddings(
+        samples.map((s) => (s.embeddingSource === entry.embedding.source ? { ...s, embeddingSource: null } : s)),
+        embeddingSource
+      );
+      // Until now the OOD scores cached the samples' old-node embeddings under the new node
+      oodEmbeddingsRef.current = { node: null, byId: new Map(), fit: null };
+      setSamples(res.samples);
+      setDatasetStatus(`Re-embedded ${res.reembedded} samples from ${node}.`);
+    } catch (e) {
+      console.error(e);
+      setSamplesError(e?.message ?? String(e));
+    } finally {
+      setDatasetBusy(false);
+    }
+  };
+
+  // One node's output for the current input, for the inspector
+  const runNode = useCallback(
+    async (node) => {
+      const input = tf.tensor4d(previewPixels, [1, 28, 28, 1]);
+      try {
+        return await activeModel.nodeOutput(input, node);
+      } finally {
+        input.dispose();
       }
+    },
+    [activeModel, previewPixels]
+  );
+
+  const changeEmbeddingSource = async (source) => {
+    resetProjection();
+    lastEmbeddingRef.current = null;
+    if (!samples.length) {
+      setEmbeddingSource(source);
+      return;
+    }
+
+    try {
+      setDatasetBusy(true);
+      const res = await resolveEmbeddings(samples, source);
+      // Only switch once every sample is re-embedded: a failure keeps the old source and a consistent set
+      setEmbeddingSource(source);
+      setSamples(res.samples);
+      setDatasetStatus(`Re-embedded ${res.reembedded} samples for the new embedding source.`);
     } catch (e) {
       console.error(e);
-      setModelError(e?.message ?? String(e));
+      setSamplesError(e?.message ?? String(e));
+    } finally {
+      setDatasetBusy(false);
     }
-  }, [modelReady, selectedModel, embeddingSource, cnnEmbeddingOutName, pcaState]);
+  };
 
-  const addSample = () => {
-    const emb = lastEmbeddingRef.current;
-    if (!emb) return;
+  const exportSamples = (format) => {
+    const ext = format === "ndjson" ? "ndjson" : "json";
+    const mime = format === "ndjson" ? "application/x-ndjson" : "application/json";
+    downloadText(`doodle-samples-${fileStamp()}.${ext}`, serializeDataset(samples, format), mime);
+  };
 
-    setSamples((prev) => {
-      const next = prev.length >= 300 ? prev.slice(1) : prev.slice();
-      next.push({ embedding: emb });
-      return next;
-    });
+  const importSamples = async (file) => {
+    if (!file) return;
+    try {
+      setDatasetBusy(true);
+      setSamplesError("");
+      const parsed = parseDataset(await file.text());
+      const res = await resolveEmbeddings(parsed.slice(-MAX_SAMPLES), embeddingSource);
+
+      setSamples(res.samples);
+      resetProjection();
+      setDatasetStatus(
+        `Imported ${res.samples.length} samples from ${file.name}` +
+          (res.reembedded ? ` (${res.reembedded} re-embedded as ${embeddingSource}).` : ".") +
+          (parsed.length > MAX_SAMPLES ? ` Kept the last ${MAX_SAMPLES}.` : "")
+      );
+    } catch (e) {
+      console.error(e);
+      setSamplesError(`Import failed: ${e?.message ?? String(e)}`);
+    } finally {
+      setDatasetBusy(false);
+    }
+  };
+
+  const clearSamples = () => {
+    setSamples([]);
+    resetProjection();
+    setDatasetStatus("");
   };
 
-  const runPca = async () => {
+  const runProjection = async () => {
+    // Only the latest run may publish results
+    projectionAbortRef.current?.abort();
+    const controller = new AbortController();
+    projectionAbortRef.current = controller;
+
     try {
-      setPcaError("");
+      setSamplesError("");
       if (samples.length < 2) return;
 
       const dim = samples[0]?.embedding?.length ?? 0;
@@ -295,34 +825,233 @@ export default function App() {
         throw new Error("Samples have mixed embedding sizes. Clear samples and re-add using one embedding source.");
       }
 
-      setPcaRunning(true);
-      await new Promise((r) => setTimeout(r, 0));
+      setProjectionRunning(true);
+      setProjectionProgress(0);
 
       const embs = samples.map((s) => s.embedding);
-      const res = await runPCA2D(embs);
+      const res = await runProjectionInWorker(projectionMethod, embs, projectionParams[projectionMethod], {
+        signal: controller.signal,
+        onProgress: setProjectionProgress,
+      });
 
-      setPcaState(res);
+      const fitted = { ...res, ids: samples.map((s) => s.id), embeddings: embs, fittedAt: Date.now() };
+      setProjection(fitted);
+      const dims = res.points[0]?.length ?? 2;
+      setPlotAxes((axes) => (res.method === "pca" ? axes : [0, 1, 2]).map((a) => Math.min(a, dims - 1)));
 
-      const emb = lastEmbeddingRef.current;
-      if (emb && emb.length === res.mean.length) {
-        setCurrentPoint(projectWithPCA(emb, res.mean, res.components));
-      } else {
-        setCurrentPoint(null);
+      setCurrentPoint(projectPoint(fitted, lastEmbeddingRef.current, embs));
+    } catch (e) {
+      if (e?.name === "AbortError") return;
+      console.error(e);
+      setSamplesError(e?.message ?? String(e));
+    } finally {
+      if (projectionAbortRef.current === controller) {
+        projectionAbortRef.current = null;
+        setProjectionRunning(false);
+      }
+    }
+  };
+
+  const cancelProjection = () => {
+    projectionAbortRef.current?.abort();
+    projectionAbortRef.current = null;
+    setProjectionRunning(false);
+  };
+
+  // runProjection() is recreated every render; the effect below calls the one that sees the current samples
+  const runProjectionRef = useRef(runProjection);
+  useLayoutEffect(() => {
+    runProjectionRef.current = runProjection;
+  });
+
+  // New samples while a projection is still running: drop that run and start over with the current set
+  useEffect(() => {
+    if (projectionAbortRef.current && !projectionAbortRef.current.signal.aborted) runProjectionRef.current();
+  }, [samples]);
+
+  // Weights from the Train tab replace the linear model's file for the rest of the session
+  const applyTrainedLogReg = (weights) => {
+    const entry = models.find((m) => m.format === "linear-json");
+    if (!weights || !entry) return;
+
+    const runtime = createLinearModel(entry, weights);
+    const previous = modelCacheRef.current.get(entry.id);
+    modelCacheRef.current.set(entry.id, Promise.resolve(runtime));
+    previous?.then((m) => m.dispose()).catch(() => {});
+
+    if (selectedModel !== entry.id) {
+      setSelectedModel(entry.id);
+      return;
+    }
+    setModelWarning("");
+    setActiveModel(runtime);
+  };
+
+  // A trained or imported head becomes the active model; null removes it
+  const applyHead = (next) => {
+    setHead(next);
+    saveStoredHead(next).catch((e) => console.warn("Could not save the personalized head:", e));
+    if (next) setSelectedModel("head");
+    else if (selectedModel === "head" && models.length) setSelectedModel(models[0].id);
+  };
+
+  // Explain mode: heatmap of what drives the predicted (or picked) class for the current input
+  const explainMethods = useMemo(() => explainMethodsFor(activeModel), [activeModel]);
+  const explainTarget = explainClass === "top" ? predictions[0]?.label : explainClass;
+  const explainWith = explainMethods.some((m) => m.id === explainMethod) ? explainMethod : explainMethods[0]?.id;
+  useEffect(() => {
+    let cancelled = false;
+
+    const run = async () => {
+      const classIndex = activeModel?.labels.findIndex((l) => String(l) === String(explainTarget)) ?? -1;
+      if (!explainOn || !previewPixels || classIndex < 0 || !explainWith) {
+        setHeatmap(null);
+        return;
       }
+      const input = tf.tensor4d(previewPixels, [1, 28, 28, 1]);
+      try {
+        const values = await explain(activeModel, input, explainWith, classIndex);
+        if (cancelled) return;
+        setHeatmap(values);
+        setExplainError("");
+      } catch (e) {
+        console.error(e);
+        if (cancelled) return;
+        setHeatmap(null);
+        setExplainError(e?.message ?? String(e));
+      } finally {
+        input.dispose();
+      }
+    };
+
+    run();
+    return () => {
+      cancelled = true;
+    };
+  }, [explainOn, explainWith, explainTarget, activeModel, previewPixels]);
+  const canvasHeatmap = useMemo(
+    () => (heatmap && inputTransform ? { values: heatmap, transform: inputTransform } : null),
+    [heatmap, inputTransform]
+  );
+
+  // Labeled samples the selected model can score (their label is one of its classes)
+  const calibrationSamples = useMemo(() => {
+    if (!activeModel) return [];
+    const classes = new Set(activeModel.labels.map(String));
+    return samples.filter((s) => s.pixels?.length === 784 && s.label !== null && classes.has(String(s.label)));
+  }, [activeModel, samples]);
+
+  const fitCalibration = async () => {
+    if (!activeModel) return;
+    const id = activeModel.entry.id;
+    const index = new Map(activeModel.labels.map((l, i) => [String(l), i]));
+
+    try {
+      setCalibrating(true);
+      setCalibrationError("");
+      setCalibrationProgress(0);
+      const raw = await predictPixels(
+        activeModel,
+        calibrationSamples.map((s) => s.pixels),
+        setCalibrationProgress
+      );
+      const res = fitTemperature(
+        raw,
+        calibrationSamples.map((s) => index.get(String(s.label)))
+      );
+      setCalibration({ modelId: id, ...res });
+      setTemperatures((prev) => ({ ...prev, [id]: res.temperature }));
     } catch (e) {
       console.error(e);
-      setPcaError(e?.message ?? String(e));
+      setCalibrationError(e?.message ?? String(e));
     } finally {
-      setPcaRunning(false);
+      setCalibrating(false);
     }
   };
 
+  // Load a collected drawing back onto the canvas and classify it
+  const openSample = (sample) => {
+    if (!sample?.pixels || !canvasControlsRef.current) return;
+    canvasControlsRef.current.paintPixels(sample.pixels); // goes into the stroke log, so it can be undone
+    predict();
+  };
+
+  const selectedSamples = () => samples.filter((s) => selectedIds.has(s.id));
+
+  const relabelSelected = (label) => {
+    const value = label === "" ? null : classLabel(label);
+    setSamples((prev) => prev.map((s) => (selectedIds.has(s.id) ? { ...s, label: value } : s)));
+  };
+
+  const deleteSelected = () => {
+    setSamples((prev) => prev.filter((s) => !selectedIds.has(s.id)));
+    setSelectedIds(new Set());
+  };
+
+  const exportSelected = () => {
+    downloadText(`doodle-selection-${fileStamp()}.json`, serializeDataset(selectedSamples(), "json"));
+  };
+
+  // Pick the chosen components out of the k computed (the third only matters in 3D)
+  const [axisX, axisY, axisZ] = plotAxes;
+  const can3d = (projection.points[0]?.length ?? 0) >= 3;
+  const show3d = plotMode === "3d" && can3d;
+  const visibleAxes = show3d ? plotAxes : plotAxes.slice(0, 2);
+  const sampleById = useMemo(() => new Map(samples.map((s) => [s.id, s])), [samples]);
+
+  // Points whose sample was deleted since the run are dropped; relabels show up immediately
+  const plot = useMemo(() => {
+    const points = [];
+    const points3d = [];
+    const plotSamples = [];
+    projection.points.forEach((p, i) => {
+      const sample = sampleById.get(projection.ids[i]);
+      if (!sample) return;
+      points.push([p[axisX] ?? 0, p[axisY] ?? 0]);
+      points3d.push([p[axisX] ?? 0, p[axisY] ?? 0, p[axisZ] ?? 0]);
+      plotSamples.push(sample);
+    });
+    return { points, points3d, samples: plotSamples };
+  }, [projection, sampleById, axisX, axisY, axisZ]);
+  const plotHighlight = useMemo(
+    () => (currentPoint ? [currentPoint[axisX] ?? 0, currentPoint[axisY] ?? 0] : null),
+    [currentPoint, axisX, axisY]
+  );
+  const plotHighlight3d = useMemo(
+    () => (currentPoint ? [axisX, axisY, axisZ].map((a) => currentPoint[a] ?? 0) : null),
+    [currentPoint, axisX, axisY, axisZ]
+  );
+  const axisLabels3d = useMemo(() => [axisX, axisY, axisZ].map((a) => `PC${a + 1}`), [axisX, axisY, axisZ]);
+  const varianceRatios = projection.explainedVarianceRatio ?? [];
+  const unsure = distribution ? isUnsure(distribution.probs, thresholds) : false;
+  const notDigit = ood ? ood.score > oodThresholds[ood.method] : false;
+  const digitBoxes = useMemo(
+    () => (multiDigit && digits ? digits.map((d) => ({ ...d, unsure: isUnsure(d.probs, thresholds) })) : null),
+    [multiDigit, digits, thresholds]
+  );
+  const flaggedIds = useMemo(
+    () => new Set([...sampleOodScores].filter(([, score]) => score > oodThresholds[oodMethod]).map(([id]) => id)),
+    [sampleOodScores, oodThresholds, oodMethod]
+  );
+  const uncertainty = distribution ? normalizedEntropy(distribution.probs) : 0;
+  const embeddingSources = useMemo(
+    () => models.filter((m) => m.embedding).map((m) => ({ id: m.embedding.source, label: m.embedding.label })),
+    [models]
+  );
+  // Digits plus any other labels the samples use (letters, symbols for a personalized head)
+  const relabelOptions = useMemo(() => {
+    const extra = samples.map((s) => s.label).filter((l) => l !== null && l !== undefined && !isDigitLabel(l));
+    return [...DIGITS, ...new Set(extra.map(String))];
+  }, [samples]);
+  const plotVariance = [...new Set(visibleAxes)].reduce((sum, a) => sum + (varianceRatios[a] ?? 0), 0);
+
   return (
     <div style={{ minHeight: "100vh", background: "#0b0b10", color: "white", padding: 24, boxSizing: "border-box" }}>
+      <FileDropOverlay onFiles={openLocalModel} message="Drop model.json + .bin shards, or a logreg.json" />
       <div style={{ maxWidth: 1200, margin: "0 auto", display: "grid", gap: 24 }}>
         <h1 style={{ margin: 0, fontSize: 32 }}>Doodle Digit Classifier</h1>
 
-        <div style={{ display: "grid", gridTemplateColumns: "minmax(320px, 520px) 1fr", gap: 24, alignItems: "start" }}>
+        <div style={{ display: "grid", gridTemplateColumns: "minmax(320px, 540px) 1fr", gap: 24, alignItems: "start" }}>
           <div
             style={{
               padding: 16,
@@ -333,45 +1062,132 @@ export default function App() {
               gap: 12,
             }}
           >
-            <DoodleCanvas onCanvasReady={handleCanvasReady} onStrokeEnd={predict} />
+            <div style={{ display: "flex", gap: 16, alignItems: "start", flexWrap: "wrap" }}>
+              <DoodleCanvas
+                onCanvasReady={handleCanvasReady}
+                onStrokeEnd={handleStrokeEnd}
+                onStrokeMove={liveMode ? liveRunner.request : undefined}
+                heatmap={canvasHeatmap}
+                boxes={digitBoxes}
+              />
+              <MnistPreview pixels={previewPixels} heatmap={heatmap} />
+            </div>
 
             <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+              <select
+                value={sampleLabel}
+                onChange={(e) => setSampleLabel(e.target.value)}
+                title="Label for the next sample"
+                style={{
+                  padding: "8px 10px",
+                  borderRadius: 10,
+                  border: "1px solid rgba(255,255,255,0.18)",
+                  background: "rgba(255,255,255,0.05)",
+                  color: "white",
+                  outline: "none",
+                }}
+              >
+                <option value="auto">Label: top prediction</option>
+                {DIGITS.map((d) => (
+                  <option key={d} value={d}>
+                    Label: {d}
+                  </option>
+                ))}
+                <option value="custom">Label: other…</option>
+              </select>
+
+              {sampleLabel === "custom" ? (
+                <input
+                  value={customLabel}
+                  onChange={(e) => setCustomLabel(e.target.value)}
+                  placeholder="e.g. A, +, ?"
+                  maxLength={16}
+                  style={{
+                    width: 90,
+                    padding: "8px 10px",
+                    borderRadius: 10,
+                    border: "1px solid rgba(255,255,255,0.18)",
+                    background: "rgba(255,255,255,0.05)",
+                    color: "white",
+                    outline: "none",
+                  }}
+                />
+              ) : null}
+
               <button onClick={addSample} style={{ padding: "10px 12px", borderRadius: 12, border: 0, cursor: "pointer" }}>
                 Add sample
               </button>
 
               <button
-                onClick={runPca}
-                disabled={samples.length < 2 || pcaRunning}
+                onClick={runProjection}
+                disabled={samples.length < 2 || projectionRunning}
                 style={{
                   padding: "10px 12px",
                   borderRadius: 12,
                   border: 0,
-                  cursor: samples.length < 2 || pcaRunning ? "not-allowed" : "pointer",
-                  opacity: samples.length < 2 || pcaRunning ? 0.6 : 1,
+                  cursor: samples.length < 2 || projectionRunning ? "not-allowed" : "pointer",
+                  opacity: samples.length < 2 || projectionRunning ? 0.6 : 1,
                 }}
               >
-                {pcaRunning ? "Running…" : "Run PCA"}
+                {projectionRunning
+                  ? `Running… ${Math.round(projectionProgress * 100)}%`
+                  : `Run ${getProjection(projectionMethod).label}`}
               </button>
 
+              {projectionRunning ? (
+                <button onClick={cancelProjection} style={{ padding: "10px 12px", borderRadius: 12, border: 0, cursor: "pointer" }}>
+                  Cancel
+                </button>
+              ) : null}
+
               <div style={{ alignSelf: "center", fontSize: 12, opacity: 0.8 }}>Samples: {samples.length}</div>
+            </div>
 
+            <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center" }}>
               <button
-                onClick={dumpCnnNodes}
-                disabled={selectedModel !== "pretrained-cnn" || !modelReady}
-                style={{
-                  padding: "10px 12px",
-                  borderRadius: 12,
-                  border: 0,
-                  cursor: selectedModel !== "pretrained-cnn" || !modelReady ? "not-allowed" : "pointer",
-                  opacity: selectedModel !== "pretrained-cnn" || !modelReady ? 0.6 : 1,
-                }}
+                onClick={() => exportSamples("json")}
+                disabled={!samples.length}
+                style={{ padding: "8px 10px", borderRadius: 10, border: 0, cursor: "pointer", opacity: samples.length ? 1 : 0.6 }}
+              >
+                Export JSON
+              </button>
+              <button
+                onClick={() => exportSamples("ndjson")}
+                disabled={!samples.length}
+                style={{ padding: "8px 10px", borderRadius: 10, border: 0, cursor: "pointer", opacity: samples.length ? 1 : 0.6 }}
               >
-                Find CNN embedding node
+                Export NDJSON
               </button>
+              <button
+                onClick={() => importInputRef.current?.click()}
+                disabled={datasetBusy}
+                style={{ padding: "8px 10px", borderRadius: 10, border: 0, cursor: "pointer", opacity: datasetBusy ? 0.6 : 1 }}
+              >
+                Import…
+              </button>
+              <button
+                onClick={clearSamples}
+                disabled={!samples.length}
+                style={{ padding: "8px 10px", borderRadius: 10, border: 0, cursor: "pointer", opacity: samples.length ? 1 : 0.6 }}
+              >
+                Clear samples
+              </button>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept=".json,.ndjson,.jsonl,application/json"
+                style={{ display: "none" }}
+                onChange={(e) => {
+                  importSamples(e.target.files?.[0]);
+                  e.target.value = "";
+                }}
+              />
             </div>
 
-            {pcaError ? <div style={{ color: "#ff6b6b", fontSize: 13 }}>{pcaError}</div> : null}
+            {datasetStatus ? <div style={{ fontSize: 12, opacity: 0.75 }}>{datasetStatus}</div> : null}
+            {samplesError ? <div style={{ color: "#ff6b6b", fontSize: 13 }}>{samplesError}</div> : null}
+
+            <PreprocessControls config={preprocessConfig} onChange={setPreprocessConfig} />
           </div>
 
           <div style={{ display: "grid", gap: 24 }}>
@@ -403,16 +1219,50 @@ export default function App() {
                       outline: "none",
                     }}
                   >
-                    <option value="pretrained-cnn">Pretrained CNN</option>
-                    <option value="logreg">Logistic Regression</option>
+                    {selectableModels.map((m) => (
+                      <option key={m.id} value={m.id}>
+                        {m.name}
+                      </option>
+                    ))}
                   </select>
+
+                  <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", fontSize: 12 }}>
+                    <button
+                      onClick={() => modelFilesInputRef.current?.click()}
+                      title="Or drop model.json with its .bin shards (or a logreg.json) anywhere on the page"
+                      style={{ padding: "4px 8px", borderRadius: 8, border: 0, cursor: "pointer", fontSize: 12 }}
+                    >
+                      Open model files…
+                    </button>
+                    {localModels.some((m) => m.id === selectedModel) ? (
+                      <button
+                        onClick={() => unloadLocalModel(selectedModel)}
+                        style={{ padding: "4px 8px", borderRadius: 8, border: 0, cursor: "pointer", fontSize: 12 }}
+                      >
+                        Unload
+                      </button>
+                    ) : null}
+                    <input
+                      ref={modelFilesInputRef}
+                      type="file"
+                      multiple
+                      accept=".json,.bin"
+                      style={{ display: "none" }}
+                      onChange={(e) => {
+                        openLocalModel(Array.from(e.target.files ?? []));
+                        e.target.value = "";
+                      }}
+                    />
+                  </div>
+                  {localModelError ? <div style={{ color: "#ff6b6b", fontSize: 12, maxWidth: 320 }}>{localModelError}</div> : null}
                 </div>
 
                 <div style={{ display: "grid", gap: 6, minWidth: 240 }}>
                   <label style={{ fontSize: 12, opacity: 0.75 }}>Embedding source</label>
                   <select
                     value={embeddingSource}
-                    onChange={(e) => setEmbeddingSource(e.target.value)}
+                    onChange={(e) => changeEmbeddingSource(e.target.value)}
+                    disabled={datasetBusy}
                     style={{
                       padding: "8px 10px",
                       borderRadius: 10,
@@ -423,13 +1273,15 @@ export default function App() {
                     }}
                   >
                     <option value="raw">raw pixels</option>
-                    <option value="cnn-penultimate" disabled={selectedModel !== "pretrained-cnn" || !cnnEmbeddingOutName}>
-                      CNN penultimate layer
-                    </option>
+                    {embeddingSources.map((src) => (
+                      <option key={src.id} value={src.id}>
+                        {src.label}
+                      </option>
+                    ))}
                   </select>
 
-                  {selectedModel === "pretrained-cnn" && modelReady && !cnnEmbeddingOutName ? (
-                    <div style={{ fontSize: 12, opacity: 0.75 }}>(CNN embedding node not found — use “Find CNN embedding node”)</div>
+                  {activeModel?.entry.embedding && !activeModel.embeddingNode ? (
+                    <div style={{ fontSize: 12, opacity: 0.75 }}>(CNN embedding node not found — pick a dense node in the Inspect tab)</div>
                   ) : null}
                 </div>
               </div>
@@ -446,14 +1298,50 @@ export default function App() {
                     </div>
                   ) : null}
                 </div>
-              ) : !modelReady ? (
+              ) : !activeModel ? (
                 <div style={{ opacity: 0.7 }}>Loading model…</div>
               ) : modelWarning ? (
                 <div style={{ color: "#ffd166", fontSize: 13 }}>{modelWarning}</div>
               ) : null}
 
-              {!modelError && modelReady && predictions.length > 0 ? (
-                <ol style={{ margin: 0, paddingLeft: 18, display: "grid", gap: 14 }}>
+              {memory?.leak ? (
+                <div style={{ color: "#ffd166", fontSize: 13 }}>
+                  Possible tensor leak: the tensor count grew on each of the last {memory.leak.predictions} predictions
+                  (+{memory.leak.growth}). See the Diagnostics tab.
+                </div>
+              ) : null}
+
+              {!modelError && activeModel && digitBoxes?.length ? <NumberReadout digits={digitBoxes} /> : null}
+
+              {!modelError && activeModel && predictions.length > 0 && notDigit ? (
+                <div
+                  style={{
+                    padding: "8px 10px",
+                    borderRadius: 10,
+                    background: "rgba(255,107,107,0.1)",
+                    border: "1px solid rgba(255,107,107,0.4)",
+                    color: "#ff6b6b",
+                  }}
+                >
+                  <strong>Not a digit.</strong> This doesn&apos;t look like any digit the model knows (OOD score{" "}
+                  {ood.score.toFixed(2)}, flagged above {oodThresholds[ood.method].toFixed(2)}).
+                </div>
+              ) : !modelError && activeModel && predictions.length > 0 && unsure ? (
+                <div
+                  style={{
+                    padding: "8px 10px",
+                    borderRadius: 10,
+                    background: "rgba(255,209,102,0.1)",
+                    border: "1px solid rgba(255,209,102,0.35)",
+                    color: "#ffd166",
+                  }}
+                >
+                  <strong>I&apos;m not sure.</strong> Best guesses: {predictions.slice(0, 2).map((p) => p.label).join(" or ")}
+                </div>
+              ) : null}
+
+              {!modelError && activeModel && predictions.length > 0 ? (
+                <ol style={{ margin: 0, paddingLeft: 18, display: "grid", gap: 14, opacity: unsure || notDigit ? 0.6 : 1 }}>
                   {predictions.map((p) => (
                     <li key={p.label}>
                       <div style={{ display: "flex", justifyContent: "space-between" }}>
@@ -481,9 +1369,144 @@ export default function App() {
                     </li>
                   ))}
                 </ol>
-              ) : !modelError && modelReady ? (
+              ) : !modelError && activeModel ? (
                 <div style={{ opacity: 0.7 }}>Draw a digit (0–9)</div>
               ) : null}
+
+              {distribution ? (
+                <div style={{ display: "grid", gap: 10, fontSize: 12 }}>
+                  <div style={{ display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap" }}>
+                    <span style={{ opacity: 0.75 }}>Uncertainty</span>
+                    <div
+                      title="Entropy of the distribution, 0 = certain, 100% = uniform"
+                      style={{ width: 120, height: 6, borderRadius: 999, background: "rgba(255,255,255,0.12)", overflow: "hidden" }}
+                    >
+                      <div
+                        style={{
+                          height: "100%",
+                          width: `${Math.round(uncertainty * 100)}%`,
+                          background: unsure ? "#ffd166" : "rgba(255,255,255,0.7)",
+                        }}
+                      />
+                    </div>
+                    <span>{Math.round(uncertainty * 100)}%</span>
+                    {ood ? (
+                      <span style={{ color: notDigit ? "#ff6b6b" : "inherit", opacity: notDigit ? 1 : 0.75 }}>
+                        OOD {ood.score.toFixed(2)}
+                      </span>
+                    ) : null}
+                    {(temperatures[activeModel?.entry.id] ?? 1) !== 1 ? (
+                      <span style={{ opacity: 0.6 }}>T = {temperatures[activeModel.entry.id].toFixed(2)}</span>
+                    ) : null}
+                    <label style={{ display: "flex", gap: 6, alignItems: "center", cursor: "pointer", marginLeft: "auto" }}>
+                      <input type="checkbox" checked={showDistribution} onChange={(e) => setShowDistribution(e.target.checked)} />
+                      All {distribution.probs.length} classes
+                    </label>
+                  </div>
+                  {showDistribution ? <ProbabilityBars probs={distribution.probs} labels={distribution.labels} /> : null}
+                </div>
+              ) : null}
+
+              {activeModel ? (
+                <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", fontSize: 12 }}>
+                  <label style={{ display: "flex", gap: 6, alignItems: "center", cursor: "pointer" }}>
+                    <input type="checkbox" checked={liveMode} onChange={(e) => setLiveMode(e.target.checked)} />
+                    Live
+                  </label>
+                  <label
+                    style={{ display: "flex", gap: 6, alignItems: "center", cursor: "pointer" }}
+                    title="Split the drawing into digits and read the whole number"
+                  >
+                    <input type="checkbox" checked={multiDigit} onChange={(e) => setMultiDigit(e.target.checked)} />
+                    Multi-digit
+                  </label>
+                  {liveMode ? (
+                    <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                      <input
+                        type="range"
+                        min="2"
+                        max="30"
+                        value={liveRate}
+                        onChange={(e) => setLiveRate(Number(e.target.value))}
+                        style={{ width: 90, cursor: "pointer" }}
+                      />
+                      <span style={{ opacity: 0.75 }}>max {liveRate}/s</span>
+                    </label>
+                  ) : null}
+                  {liveStats ? (
+                    <span style={{ opacity: 0.6 }} title="Time per prediction over the last 30 runs">
+                      {liveStats.last.toFixed(0)} ms · avg {liveStats.mean.toFixed(0)} · p95 {liveStats.p95.toFixed(0)}
+                      {liveStats.perSecond !== null ? ` · ${liveStats.perSecond.toFixed(1)} runs/s` : ""} · {liveStats.stale}{" "}
+                      stale dropped · {liveStats.coalesced} coalesced
+                    </span>
+                  ) : null}
+                  {liveStats ? (
+                    <button
+                      onClick={resetLiveStats}
+                      style={{ padding: "2px 8px", borderRadius: 8, border: 0, cursor: "pointer", fontSize: 12 }}
+                    >
+                      Reset
+                    </button>
+                  ) : null}
+                </div>
+              ) : null}
+
+              {activeModel ? (
+                <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", fontSize: 12 }}>
+                  <label style={{ display: "flex", gap: 6, alignItems: "center", cursor: "pointer" }}>
+                    <input type="checkbox" checked={explainOn} onChange={(e) => setExplainOn(e.target.checked)} />
+                    Explain
+                  </label>
+                  {explainOn ? (
+                    <>
+                      <select
+                        value={explainWith ?? ""}
+                        onChange={(e) => setExplainMethod(e.target.value)}
+                        style={{
+                          padding: "4px 8px",
+                          borderRadius: 8,
+                          background: "rgba(255,255,255,0.06)",
+                          color: "white",
+                          border: "1px solid rgba(255,255,255,0.15)",
+                        }}
+                      >
+                        {explainMethods.map((m) => (
+                          <option key={m.id} value={m.id}>
+                            {m.label}
+                          </option>
+                        ))}
+                      </select>
+                      <select
+                        value={explainClass}
+                        onChange={(e) => setExplainClass(e.target.value)}
+                        title="Class to explain"
+                        style={{
+                          padding: "4px 8px",
+                          borderRadius: 8,
+                          background: "rgba(255,255,255,0.06)",
+                          color: "white",
+                          border: "1px solid rgba(255,255,255,0.15)",
+                        }}
+                      >
+                        <option value="top">Predicted class</option>
+                        {activeModel.labels.map((l) => (
+                          <option key={l} value={l}>
+                            Class {l}
+                          </option>
+                        ))}
+                      </select>
+                      <span style={{ opacity: 0.6 }}>
+                        {explainWith === "gradcam"
+                          ? "last conv layer"
+                          : explainWith === "saliency"
+                            ? "input gradient"
+                            : "drop when a patch is blanked"}
+                      </span>
+                    </>
+                  ) : null}
+                  {explainOn && explainError ? <span style={{ color: "#ff6b6b" }}>{explainError}</span> : null}
+                </div>
+              ) : null}
             </div>
 
             <div
@@ -496,8 +1519,233 @@ export default function App() {
                 gap: 12,
               }}
             >
-              <h2 style={{ margin: 0 }}>PCA</h2>
-              <PcaPlot points={pcaState.points2d} highlight={currentPoint} />
+              <div style={{ display: "flex", gap: 6 }}>
+                {TABS.map((tab) => (
+                  <button
+                    key={tab.id}
+                    onClick={() => setActiveTab(tab.id)}
+                    style={{
+                      padding: "6px 12px",
+                      borderRadius: 10,
+                      border: "1px solid rgba(255,255,255,0.15)",
+                      background: activeTab === tab.id ? "rgba(255,255,255,0.18)" : "rgba(255,255,255,0.04)",
+                      color: "white",
+                      cursor: "pointer",
+                      fontSize: 14,
+                      fontWeight: activeTab === tab.id ? 600 : 400,
+                    }}
+                  >
+                    {tab.label}
+                  </button>
+                ))}
+              </div>
+
+              {activeTab === "train" ? (
+                <TrainPanel
+                  samples={samples}
+                  onApplyLogReg={applyTrainedLogReg}
+                  head={head}
+                  onApplyHead={applyHead}
+                  embed={(pixelsList) => embedPixels(pixelsList, "cnn-penultimate")}
+                  canEmbed={!!embeddingProvider(models, "cnn-penultimate")}
+                />
+              ) : null}
+
+              {activeTab === "calibrate" ? (
+                <CalibrationPanel
+                  modelName={activeModel?.entry.name ?? "no model loaded"}
+                  labeledCount={calibrationSamples.length}
+                  temperature={temperatures[activeModel?.entry.id] ?? 1}
+                  result={calibration?.modelId === activeModel?.entry.id ? calibration : null}
+                  fitting={calibrating}
+                  progress={calibrationProgress}
+                  error={calibrationError}
+                  onFit={fitCalibration}
+                  onReset={() => setTemperatures((prev) => ({ ...prev, [activeModel.entry.id]: 1 }))}
+                  thresholds={thresholds}
+                  onThresholdsChange={setThresholds}
+                />
+              ) : null}
+
+              {activeTab === "calibrate" ? (
+                <OodPanel
+                  method={oodMethod}
+                  onMethodChange={setOodMethod}
+                  thresholds={oodThresholds}
+                  onThresholdsChange={setOodThresholds}
+                  model={oodModel}
+                  status={oodStatus}
+                  flaggedCount={flaggedIds.size}
+                />
+              ) : null}
+
+              {activeTab === "inspect" ? (
+                <InspectPanel
+                  modelName={activeModel?.entry.name ?? "No model loaded"}
+                  nodes={activeModel?.graphNodes ?? []}
+                  embeddingNode={activeModel?.embeddingNode ?? null}
+                  onUseAsEmbedding={activeModel?.withEmbeddingNode ? pickEmbeddingNode : null}
+                  runNode={runNode}
+                  input={previewPixels}
+                />
+              ) : null}
+
+              {activeTab === "evaluate" ? (
+                <EvaluatePanel runtime={activeModel} preprocessConfig={preprocessConfig} resolveUrl={baseUrlJoin} />
+              ) : null}
+
+              {activeTab === "diagnostics" ? (
+                <div style={{ display: "grid", gap: 16 }}>
+                  <DiagnosticsPanel
+                    backend={backend}
+                    backendError={backendError}
+                    onBackendChange={changeBackend}
+                    models={selectableModels}
+                    runtimeFor={runtimeFor}
+                    memory={memory}
+                    onSampleMemory={sampleMemory}
+                    onResetMemory={resetMemory}
+                  />
+                  <OfflinePanel models={models} />
+                </div>
+              ) : null}
+
+              {activeTab === "compare" ? (
+                <ComparePanel
+                  models={selectableModels}
+                  excluded={compareExcluded}
+                  onToggle={(id) =>
+                    setCompareExcluded((prev) => {
+                      const next = new Set(prev);
+                      if (next.has(id)) next.delete(id);
+                      else next.add(id);
+                      return next;
+                    })
+                  }
+                  comparison={comparison}
+                  agreement={agreement}
+                  onResetAgreement={() => {
+                    lastComparedRef.current = "";
+                    setAgreement(EMPTY_AGREEMENT);
+                  }}
+                />
+              ) : null}
+
+              {activeTab === "embedding" ? (
+                <>
+                  <h2 style={{ margin: 0 }}>Embedding projection</h2>
+
+                  <ProjectionControls
+                    method={projectionMethod}
+                    params={projectionParams[projectionMethod]}
+                    disabled={projectionRunning}
+                    onMethodChange={setProjectionMethod}
+                    onParamsChange={(params) => setProjectionParams((prev) => ({ ...prev, [projectionMethod]: params }))}
+                  />
+
+                  {projection.points.length > 0 && projection.method !== projectionMethod ? (
+                    <div style={{ fontSize: 12, opacity: 0.7 }}>
+                      Showing the last {getProjection(projection.method).label} result. Run {getProjection(projectionMethod).label} to
+                      update.
+                    </div>
+                  ) : null}
+                  {can3d ? (
+                    <div style={{ display: "flex", gap: 6 }}>
+                      {["2d", "3d"].map((mode) => (
+                        <button
+                          key={mode}
+                          onClick={() => setPlotMode(mode)}
+                          style={{
+                            padding: "4px 10px",
+                            borderRadius: 8,
+                            border: "1px solid rgba(255,255,255,0.15)",
+                            background: plotMode === mode ? "rgba(255,255,255,0.18)" : "rgba(255,255,255,0.04)",
+                            color: "white",
+                            cursor: "pointer",
+                            fontSize: 12,
+                          }}
+                        >
+                          {mode.toUpperCase()}
+                        </button>
+                      ))}
+                    </div>
+                  ) : null}
+
+                  {show3d ? (
+                    <Scatter3D
+                      points={plot.points3d}
+                      samples={plot.samples}
+                      highlight={plotHighlight3d}
+                      flaggedIds={flaggedIds}
+                      hiddenClasses={hiddenClasses}
+                      axisLabels={axisLabels3d}
+                    />
+                  ) : (
+                    <PcaPlot
+                      points={plot.points}
+                      samples={plot.samples}
+                      highlight={plotHighlight}
+                      selectedIds={selectedIds}
+                      flaggedIds={flaggedIds}
+                      highlightFlagged={notDigit}
+                      hiddenClasses={hiddenClasses}
+                      onSelect={setSelectedIds}
+                      onHiddenClassesChange={setHiddenClasses}
+                      onPointClick={openSample}
+                      viewKey={`${projection.fittedAt}:${axisX}:${axisY}`}
+                    />
+                  )}
+
+                  <SelectionBar
+                    count={selectedIds.size}
+                    labels={relabelOptions}
+                    onRelabel={relabelSelected}
+                    onDelete={deleteSelected}
+                    onExport={exportSelected}
+                    onClear={() => setSelectedIds(new Set())}
+                  />
+
+                  {varianceRatios.length ? (
+                    <div style={{ display: "grid", gap: 10 }}>
+                      <div style={{ display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", fontSize: 13 }}>
+                        {["X", "Y", "Z"].slice(0, visibleAxes.length).map((axisName, axis) => (
+                          <label key={axisName} style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                            <span style={{ fontSize: 12, opacity: 0.75 }}>{axisName}</span>
+                            <select
+                              value={plotAxes[axis]}
+                              onChange={(e) => {
+                                const next = plotAxes.slice();
+                                next[axis] = Number(e.target.value);
+                                setPlotAxes(next);
+                              }}
+                              style={{
+                                padding: "4px 8px",
+                                borderRadius: 8,
+                                border: "1px solid rgba(255,255,255,0.18)",
+                                background: "rgba(255,255,255,0.05)",
+                                color: "white",
+                                outline: "none",
+                              }}
+                            >
+                              {varianceRatios.map((r, i) => (
+                                <option key={i} value={i}>
+                                  PC{i + 1} ({(r * 100).toFixed(1)}%)
+                                </option>
+                              ))}
+                            </select>
+                          </label>
+                        ))}
+
+                        <span style={{ fontSize: 12, opacity: 0.75 }}>
+                          Plot shows {(plotVariance * 100).toFixed(1)}% of the variance
+                        </span>
+                      </div>
+
+                      <ScreePlot ratios={varianceRatios} selected={visibleAxes} />
+                    </div>
+                  ) : null}
+                </>
+              ) : null}
             </div>
           </div>
         </div>
@@ -1,18 +1,82 @@
 import React, { useEffect, useRef, useState, useCallback } from "react";
+import { drawHeatmapPixels } from "./mnistPreprocess";
+import {
+  SMOOTHING,
+  currentDrawing,
+  drawSegments,
+  paintBase,
+  readySegments,
+  repaint,
+  replayTimeline,
+  toQuickDrawNdjson,
+} from "./strokeLog";
+import { downloadText, fileStamp } from "./utils/download";
+
+// Palm rejection: touches this soon after pen input, or with a contact this wide (CSS px), are ignored
+const PALM_WINDOW = 1000;
+const PALM_SIZE = 40;
+
+const BOX_COLOR = "#80ed99";
+const UNSURE_BOX_COLOR = "#ffd166";
+
+// Keyboard shortcuts shouldn't fire while typing in a field
+const isTyping = (target) => ["INPUT", "TEXTAREA", "SELECT"].includes(target?.tagName) || target?.isContentEditable;
 
 export default function DoodleCanvas({
-  onCanvasReady,
+  onCanvasReady, // (canvas, { paintPixels }) once the canvas is set up
   onInteractingChange,
   onStrokeEnd, // NEW: notify parent when a stroke finishes
+  onStrokeMove, // called after every drawn segment (live prediction)
+  heatmap = null, // { values: 784 in [0, 1], transform: canvas -> 28x28 mapping from preprocessing }
+  boxes = null, // [{ box: { x, y, width, height } in canvas pixels, label, confidence, unsure }] in multi-digit mode
 }) {
   const canvasRef = useRef(null);
+  const overlayRef = useRef(null);
+  const boxesRef = useRef(null);
   const ctxRef = useRef(null);
 
-  const drawingRef = useRef(false);
-  const lastRef = useRef({ x: 0, y: 0 });
+  const pointerRef = useRef(null); // id of the pointer drawing the current stroke
+  const penSeenRef = useRef(-Infinity); // last pen contact, for palm rejection
+  const logRef = useRef([]); // stroke log (src/strokeLog.js)
+  const redoRef = useRef([]); // entries taken off the log by undo, most recent last
+  const strokeRef = useRef(null); // stroke being drawn
+  const drawnRef = useRef(1); // next segment of strokeRef to paint
+  const replayRef = useRef(null); // animation frame of a running replay
 
   const [brush, setBrush] = useState(18);
   const [isErasing, setIsErasing] = useState(false);
+  const [smoothing, setSmoothing] = useState("quadratic"); // see SMOOTHING in src/strokeLog.js
+  const [history, setHistory] = useState({ undo: 0, redo: 0 });
+  const [replaying, setReplaying] = useState(false);
+
+  const syncHistory = () => setHistory({ undo: logRef.current.length, redo: redoRef.current.length });
+
+  const record = (entry) => {
+    logRef.current.push(entry);
+    redoRef.current = [];
+    syncHistory();
+  };
+
+  // True if a replay was running
+  const cancelReplay = useCallback(() => {
+    if (replayRef.current === null) return false;
+    cancelAnimationFrame(replayRef.current);
+    replayRef.current = null;
+    setReplaying(false);
+    return true;
+  }, []);
+
+  // Ends a running replay with the whole drawing on the canvas
+  const stopReplay = () => {
+    if (cancelReplay() && canvasRef.current) repaint(canvasRef.current, logRef.current);
+  };
+
+  // A 28x28 sample reopened from the embedding plot: the base of a new drawing
+  const paintPixels = (pixels) => {
+    stopReplay();
+    record({ pixels, t: performance.now() });
+    repaint(canvasRef.current, logRef.current);
+  };
 
   useEffect(() => {
     const canvas = canvasRef.current;
@@ -31,23 +95,11 @@ export default function DoodleCanvas({
     ctx.lineJoin = "round";
 
     ctxRef.current = ctx;
-    onCanvasReady?.(canvas);
+    onCanvasReady?.(canvas, { paintPixels });
 
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  const applyBrush = useCallback(() => {
-    const ctx = ctxRef.current;
-    if (!ctx) return;
-    ctx.lineWidth = brush;
-    ctx.strokeStyle = isErasing ? "black" : "white";
-    ctx.globalCompositeOperation = "source-over"; // IMPORTANT for erasing by drawing black
-  }, [brush, isErasing]);
-
-  useEffect(() => {
-    applyBrush();
-  }, [applyBrush]);
-
   const getPos = (clientX, clientY) => {
     const canvas = canvasRef.current;
     if (!canvas) return { x: 0, y: 0 };
@@ -58,49 +110,183 @@ export default function DoodleCanvas({
     };
   };
 
-  const startStroke = (clientX, clientY) => {
-    drawingRef.current = true;
-    onInteractingChange?.(true);
-    applyBrush();
-    lastRef.current = getPos(clientX, clientY);
+  // Log point of a pointer event; pressure is only kept for pens (mice always report 0.5)
+  const pointOf = (e) => {
+    const point = { ...getPos(e.clientX, e.clientY), t: e.timeStamp };
+    if (e.pointerType === "pen") point.p = e.pressure;
+    return point;
   };
 
-  const moveStroke = (clientX, clientY) => {
-    if (!drawingRef.current) return;
+  const isPalm = (e) =>
+    e.pointerType === "touch" &&
+    (performance.now() - penSeenRef.current < PALM_WINDOW || Math.max(e.width, e.height) > PALM_SIZE);
+
+  // Paint whatever segments of the current stroke are ready
+  const paintStroke = useCallback((done) => {
+    const stroke = strokeRef.current;
     const ctx = ctxRef.current;
-    if (!ctx) return;
+    if (!stroke || !ctx) return;
+    const to = readySegments(stroke.smoothing, stroke.points.length, done);
+    if (to > drawnRef.current) drawSegments(ctx, stroke, drawnRef.current, to);
+    drawnRef.current = Math.max(drawnRef.current, to);
+  }, []);
 
-    applyBrush();
+  const startStroke = (e) => {
+    if (e.pointerType === "pen") penSeenRef.current = performance.now();
+    // One stroke at a time: a second finger or a resting palm doesn't start another
+    if (pointerRef.current !== null || isPalm(e)) return;
+    if (e.pointerType === "mouse" && e.button !== 0) return;
+    e.preventDefault();
+    e.currentTarget.setPointerCapture?.(e.pointerId);
 
-    const p = getPos(clientX, clientY);
-    const last = lastRef.current;
+    stopReplay();
+    pointerRef.current = e.pointerId;
+    onInteractingChange?.(true);
+    // Button 5 is the eraser end of a pen
+    strokeRef.current = { points: [pointOf(e)], brush, erase: isErasing || e.button === 5, smoothing };
+    drawnRef.current = 1;
+  };
 
-    ctx.beginPath();
-    ctx.moveTo(last.x, last.y);
-    ctx.lineTo(p.x, p.y);
-    ctx.stroke();
+  const moveStroke = (e) => {
+    if (e.pointerId !== pointerRef.current || !strokeRef.current) return;
+    if (e.pointerType === "pen") penSeenRef.current = performance.now();
 
-    lastRef.current = p;
+    // Events the browser merged since the last frame: every one is a point of the stroke
+    const coalesced = e.nativeEvent.getCoalescedEvents?.() ?? [];
+    for (const ev of coalesced.length ? coalesced : [e.nativeEvent]) strokeRef.current.points.push(pointOf(ev));
+
+    paintStroke(false);
+    onStrokeMove?.();
   };
 
-  const endStroke = useCallback(() => {
-    if (!drawingRef.current) return;
-    drawingRef.current = false;
-    onInteractingChange?.(false);
-    onStrokeEnd?.(); // NEW
-  }, [onInteractingChange, onStrokeEnd]);
+  const endStroke = useCallback(
+    (e) => {
+      if (pointerRef.current === null || e.pointerId !== pointerRef.current) return;
+      pointerRef.current = null;
+      paintStroke(true);
+      // A tap without movement draws nothing, so there's nothing to log
+      if (strokeRef.current?.points.length > 1) {
+        logRef.current.push(strokeRef.current);
+        redoRef.current = [];
+        setHistory({ undo: logRef.current.length, redo: 0 });
+      }
+      strokeRef.current = null;
+      onInteractingChange?.(false);
+      onStrokeEnd?.(); // NEW
+    },
+    [paintStroke, onInteractingChange, onStrokeEnd]
+  );
+
+  const undo = useCallback(() => {
+    if (pointerRef.current !== null || !logRef.current.length) return;
+    cancelReplay();
+    redoRef.current.push(logRef.current.pop());
+    repaint(canvasRef.current, logRef.current);
+    setHistory({ undo: logRef.current.length, redo: redoRef.current.length });
+    onStrokeEnd?.();
+  }, [cancelReplay, onStrokeEnd]);
+
+  const redo = useCallback(() => {
+    if (pointerRef.current !== null || !redoRef.current.length) return;
+    cancelReplay();
+    logRef.current.push(redoRef.current.pop());
+    repaint(canvasRef.current, logRef.current);
+    setHistory({ undo: logRef.current.length, redo: redoRef.current.length });
+    onStrokeEnd?.();
+  }, [cancelReplay, onStrokeEnd]);
 
-  // Ensure mouseup ends stroke even if it happens outside the canvas
+  // Ctrl+Z undo, Ctrl+Shift+Z (or Ctrl+Y) redo; Cmd on macOS
   useEffect(() => {
-    const onWinMouseUp = () => endStroke();
-    window.addEventListener("mouseup", onWinMouseUp);
-    return () => window.removeEventListener("mouseup", onWinMouseUp);
-  }, [endStroke]);
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || isTyping(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) undo();
+      else if ((key === "z" && e.shiftKey) || key === "y") redo();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [undo, redo]);
+
+  useEffect(() => () => cancelAnimationFrame(replayRef.current), []);
+
+  // Redraw the last drawing stroke by stroke with its recorded timing
+  const replay = () => {
+    stopReplay();
+    const { strokes, times, duration } = replayTimeline(logRef.current);
+    const canvas = canvasRef.current;
+    if (!strokes.length || !canvas) return;
+
+    const ctx = paintBase(canvas, currentDrawing(logRef.current).base);
+    const drawn = strokes.map(() => 1); // next point to draw, per stroke
+    const start = performance.now();
+    setReplaying(true);
+
+    const frame = (now) => {
+      const elapsed = now - start;
+      strokes.forEach((s, i) => {
+        let arrived = 0;
+        while (arrived < s.points.length && times[i][arrived] <= elapsed) arrived++;
+        const to = readySegments(s.smoothing, arrived, arrived === s.points.length);
+        if (to > drawn[i]) drawSegments(ctx, s, drawn[i], to);
+        drawn[i] = Math.max(drawn[i], to);
+      });
+      onStrokeMove?.();
+      if (elapsed < duration) {
+        replayRef.current = requestAnimationFrame(frame);
+        return;
+      }
+      replayRef.current = null;
+      setReplaying(false);
+      onStrokeEnd?.();
+    };
+    replayRef.current = requestAnimationFrame(frame);
+  };
+
+  const exportStrokes = () => {
+    downloadText(`doodle-strokes-${fileStamp()}.ndjson`, toQuickDrawNdjson(logRef.current), "application/x-ndjson");
+  };
+
+  // Heatmap over the drawing: the 28x28 grid mapped back through the preprocessing crop/scale/shift
+  useEffect(() => {
+    const overlay = overlayRef.current;
+    if (!overlay || !heatmap) return;
+    const ctx = overlay.getContext("2d");
+    const { sx, sy, tx, ty } = heatmap.transform;
+    const small = drawHeatmapPixels(document.createElement("canvas"), heatmap.values);
+    ctx.clearRect(0, 0, overlay.width, overlay.height);
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(small, -tx / sx, -ty / sy, 28 / sx, 28 / sy);
+  }, [heatmap]);
+
+  // Multi-digit segments: a box per digit with its label and confidence
+  useEffect(() => {
+    const canvas = boxesRef.current;
+    if (!canvas || !boxes) return;
+    const ctx = canvas.getContext("2d");
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.lineWidth = 2;
+    ctx.font = "bold 14px system-ui, sans-serif";
+    ctx.textBaseline = "bottom";
+    for (const { box, label, confidence, unsure } of boxes) {
+      const color = unsure ? UNSURE_BOX_COLOR : BOX_COLOR;
+      ctx.strokeStyle = color;
+      ctx.fillStyle = color;
+      ctx.strokeRect(box.x - 3, box.y - 3, box.width + 6, box.height + 6);
+      // Label above the box, or inside it when the box touches the top edge
+      const y = box.y - 5 >= 16 ? box.y - 5 : box.y + 18;
+      ctx.fillText(`${label} ${(confidence * 100).toFixed(0)}%`, box.x - 3, y);
+    }
+  }, [boxes]);
 
   const clear = () => {
     const canvas = canvasRef.current;
     const ctx = ctxRef.current;
     if (!canvas || !ctx) return;
+    stopReplay();
+    const { base, strokes } = currentDrawing(logRef.current);
+    if (strokes.length || base?.pixels) record({ clear: true, t: performance.now() }); // undoable
     ctx.fillStyle = "black";
     ctx.fillRect(0, 0, canvas.width, canvas.height);
     onStrokeEnd?.(); // treat clear like a “new state” event (useful for prediction update)
@@ -108,54 +294,60 @@ export default function DoodleCanvas({
 
   return (
     <div style={{ display: "grid", gap: 14 }}>
-      <canvas
-        ref={canvasRef}
-        style={{
-          width: 360,
-          height: 360,
-          borderRadius: 16,
-          border: "1px solid rgba(255,255,255,0.15)",
-          background: "black",
-          display: "block",
-          cursor: "crosshair",
-          WebkitUserSelect: "none",
-          userSelect: "none",
-          touchAction: "none", // Safari/trackpad/scroll fix
-        }}
-        // MOUSE (trackpad behaves like mouse)
-        onMouseDown={(e) => {
-          if (e.button !== 0) return;
-          e.preventDefault();
-          startStroke(e.clientX, e.clientY);
-        }}
-        onMouseMove={(e) => {
-          moveStroke(e.clientX, e.clientY);
-        }}
-        onMouseUp={(e) => {
-          e.preventDefault();
-          endStroke();
-        }}
-        onMouseLeave={() => endStroke()}
-        // TOUCH (phones/ipads)
-        onTouchStart={(e) => {
-          e.preventDefault();
-          const t = e.touches[0];
-          startStroke(t.clientX, t.clientY);
-        }}
-        onTouchMove={(e) => {
-          e.preventDefault();
-          const t = e.touches[0];
-          moveStroke(t.clientX, t.clientY);
-        }}
-        onTouchEnd={(e) => {
-          e.preventDefault();
-          endStroke();
-        }}
-        onTouchCancel={(e) => {
-          e.preventDefault();
-          endStroke();
-        }}
-      />
+      <div style={{ position: "relative" }}>
+        <canvas
+          ref={canvasRef}
+          style={{
+            width: 360,
+            height: 360,
+            borderRadius: 16,
+            border: "1px solid rgba(255,255,255,0.15)",
+            background: "black",
+            display: "block",
+            cursor: "crosshair",
+            WebkitUserSelect: "none",
+            userSelect: "none",
+            touchAction: "none", // no scrolling or pinch-zoom while drawing
+          }}
+          // Mouse, touch and pen alike; pointer capture keeps the stroke going outside the canvas
+          onPointerDown={startStroke}
+          onPointerMove={moveStroke}
+          onPointerUp={endStroke}
+          onPointerCancel={endStroke}
+        />
+        {heatmap ? (
+          <canvas
+            ref={overlayRef}
+            width={280}
+            height={280}
+            style={{
+              position: "absolute",
+              top: 1, // inside the drawing canvas border
+              left: 1,
+              width: 360,
+              height: 360,
+              borderRadius: 16,
+              pointerEvents: "none",
+            }}
+          />
+        ) : null}
+        {boxes ? (
+          <canvas
+            ref={boxesRef}
+            width={280}
+            height={280}
+            style={{
+              position: "absolute",
+              top: 1,
+              left: 1,
+              width: 360,
+              height: 360,
+              borderRadius: 16,
+              pointerEvents: "none",
+            }}
+          />
+        ) : null}
+      </div>
 
       <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
         <button
@@ -171,6 +363,45 @@ export default function DoodleCanvas({
         >
           {isErasing ? "Draw mode" : "Eraser"}
         </button>
+
+        <button
+          onClick={undo}
+          disabled={!history.undo}
+          title="Undo (Ctrl+Z)"
+          style={{ padding: "10px 12px", borderRadius: 12, border: 0, cursor: "pointer" }}
+        >
+          Undo
+        </button>
+
+        <button
+          onClick={redo}
+          disabled={!history.redo}
+          title="Redo (Ctrl+Shift+Z)"
+          style={{ padding: "10px 12px", borderRadius: 12, border: 0, cursor: "pointer" }}
+        >
+          Redo
+        </button>
+
+        <button
+          onClick={() => {
+            if (!replaying) return replay();
+            stopReplay();
+            onStrokeEnd?.();
+          }}
+          disabled={!history.undo}
+          style={{ padding: "10px 12px", borderRadius: 12, border: 0, cursor: "pointer" }}
+        >
+          {replaying ? "Stop" : "Replay"}
+        </button>
+
+        <button
+          onClick={exportStrokes}
+          disabled={!history.undo}
+          title="Every drawing since the page loaded, as QuickDraw-style ndjson"
+          style={{ padding: "10px 12px", borderRadius: 12, border: 0, cursor: "pointer" }}
+        >
+          Export strokes
+        </button>
       </div>
 
       <div style={{ display: "grid", gap: 6, maxWidth: 360 }}>
@@ -189,6 +420,27 @@ export default function DoodleCanvas({
           onMouseUp={() => onInteractingChange?.(false)}
           style={{ width: "100%", height: 28, cursor: "pointer" }}
         />
+
+        <label style={{ display: "flex", justifyContent: "space-between", alignItems: "center", opacity: 0.85 }}>
+          <span title="Curve through the recorded points; pen pressure always sets the width">Smoothing</span>
+          <select
+            value={smoothing}
+            onChange={(e) => setSmoothing(e.target.value)}
+            style={{
+              padding: "4px 8px",
+              borderRadius: 8,
+              background: "rgba(255,255,255,0.06)",
+              color: "white",
+              border: "1px solid rgba(255,255,255,0.15)",
+            }}
+          >
+            {SMOOTHING.map((m) => (
+              <option key={m.id} value={m.id}>
+                {m.label}
+              </option>
+            ))}
+          </select>
+        </label>
       </div>
     </div>
   );
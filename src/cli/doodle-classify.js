@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+// doodle-classify: run the app's models over a folder of PNGs or an IDX file, without a browser.
+// Built to dist-cli/ with `npm run build:cli` (see README); reads the same public/model artifacts.
+import { readFile, readdir, stat, writeFile } from "node:fs/promises";
+import { basename, extname, join, resolve } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { parseArgs } from "node:util";
+import * as tf from "@tensorflow/tfjs";
+import {
+  DEFAULT_PREPROCESS,
+  MNIST_SIZE,
+  SQUASH_PREPROCESS,
+  fetchManifest,
+  loadModel,
+  meanBrightness,
+  modelUrl,
+  parseIdx,
+  predictBatch,
+  preprocessImage,
+  preprocessImageData,
+} from "../ml/index";
+import { decodePng } from "./png";
+
+const USAGE = `Usage: doodle-classify <folder of PNGs | images.idx3-ubyte> [options]
+
+Options:
+  --model <id>          model id from the manifest (default: the first one)
+  --manifest <path>     model manifest (default: public/model/manifest.json of this package)
+  --labels <path>       IDX labels for an IDX input; adds a label column and the accuracy
+  --preprocess <mode>   "drawing" (crop, resize, center like the app) or "none"
+                        (default: drawing for PNGs, none for 28x28 IDX images)
+  --invert <mode>       PNGs only: "auto" (dark ink on a light background is inverted), "yes" or "no"
+  --embeddings          add the model's embedding to every row
+  --format <format>     "csv" or "ndjson" (default: from --out's extension, else csv)
+  --out <path>          output file (default: stdout)
+  --batch <n>           images per model call (default: 64)
+  -h, --help            show this help
+`;
+
+const DEFAULT_MANIFEST = fileURLToPath(new URL("../public/model/manifest.json", import.meta.url));
+
+// fetch() for file: URLs, so the model registry can load straight from disk
+async function fileFetch(url) {
+  try {
+    return new Response(await readFile(fileURLToPath(String(url))), { status: 200 });
+  } catch (e) {
+    if (e.code === "ENOENT") return new Response(null, { status: 404 });
+    throw e;
+  }
+}
+
+const fail = (message) => {
+  process.stderr.write(`doodle-classify: ${message}\n`);
+  process.exit(1);
+};
+
+// [{ id, pixels, label?, empty? }] from a folder of PNGs
+async function readPngFolder(dir, config, invert) {
+  const names = (await readdir(dir)).filter((n) => extname(n).toLowerCase() === ".png").sort();
+  if (!names.length) fail(`no .png files in ${dir}`);
+  const items = [];
+  for (const name of names) {
+    const image = decodePng(await readFile(join(dir, name)));
+    const flip = invert === "yes" || (invert === "auto" && meanBrightness(image) > 0.5);
+    const { pixels, empty } = preprocessImageData(image, config, { invert: flip });
+    items.push({ id: name, pixels, empty });
+  }
+  return items;
+}
+
+// [{ id, pixels, label? }] from IDX images (any size; 28x28 images can skip preprocessing)
+async function readIdxImages(path, labelsPath, config) {
+  const { dims, data } = parseIdx(toArrayBuffer(await readFile(path)));
+  if (dims.length !== 3) fail(`${path}: expected [N, height, width] images, got [${dims.join(", ")}]`);
+  const [count, height, width] = dims;
+  if (!config && (height !== MNIST_SIZE || width !== MNIST_SIZE)) {
+    fail(`${path}: ${height}x${width} images need --preprocess drawing`);
+  }
+
+  let labels = null;
+  if (labelsPath) {
+    labels = parseIdx(toArrayBuffer(await readFile(labelsPath))).data;
+    if (labels.length !== count) fail(`${count} images but ${labels.length} labels`);
+  }
+
+  const items = [];
+  for (let n = 0; n < count; n++) {
+    const gray = Float32Array.from(data.subarray(n * height * width, (n + 1) * height * width), (v) => v / 255);
+    const { pixels, empty } = config ? preprocessImage({ data: gray, width, height }, config) : { pixels: gray, empty: false };
+    items.push({ id: String(n), pixels, empty, label: labels ? String(labels[n]) : undefined });
+  }
+  return items;
+}
+
+function toArrayBuffer(buf) {
+  return buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength);
+}
+
+const round = (v) => Math.round(v * 1e6) / 1e6;
+const csvField = (v) => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+
+function toRows(items, results, classes, format, withLabels) {
+  const lines = [];
+  if (format === "csv") {
+    const dim = results.find((r) => r.embedding)?.embedding.length ?? 0;
+    lines.push(
+      [
+        "id",
+        ...(withLabels ? ["label"] : []),
+        "predicted",
+        "confidence",
+        ...classes.map((c) => `p_${c}`),
+        ...Array.from({ length: dim }, (_, i) => `e${i}`),
+      ].join(",")
+    );
+  }
+
+  items.forEach((item, i) => {
+    const r = results[i];
+    if (format === "ndjson") {
+      lines.push(
+        JSON.stringify({
+          id: item.id,
+          ...(withLabels ? { label: item.label } : {}),
+          predicted: r.predicted,
+          confidence: r.confidence === null ? null : round(r.confidence),
+          probs: r.probs ? Object.fromEntries(classes.map((c, k) => [c, round(r.probs[k])])) : null,
+          ...(r.embedding !== undefined ? { embedding: r.embedding ? Array.from(r.embedding, round) : null } : {}),
+        })
+      );
+      return;
+    }
+    lines.push(
+      [
+        csvField(item.id),
+        ...(withLabels ? [item.label] : []),
+        r.predicted ?? "",
+        r.confidence === null ? "" : round(r.confidence),
+        ...classes.map((_, k) => (r.probs ? round(r.probs[k]) : "")),
+        ...(r.embedding ? Array.from(r.embedding, round) : []),
+      ].join(",")
+    );
+  });
+  return lines.join("\n") + "\n";
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      model: { type: "string" },
+      manifest: { type: "string", default: DEFAULT_MANIFEST },
+      labels: { type: "string" },
+      preprocess: { type: "string" },
+      invert: { type: "string", default: "auto" },
+      embeddings: { type: "boolean", default: false },
+      format: { type: "string" },
+      out: { type: "string" },
+      batch: { type: "string", default: "64" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+  if (values.help || positionals.length !== 1) {
+    process.stdout.write(USAGE);
+    process.exit(values.help ? 0 : 1);
+  }
+
+  const input = resolve(positionals[0]);
+  const isFolder = (await stat(input).catch(() => fail(`${input} not found`))).isDirectory();
+  const preprocess = values.preprocess ?? (isFolder ? "drawing" : "none");
+  if (!["drawing", "none"].includes(preprocess)) fail(`--preprocess must be "drawing" or "none"`);
+  if (!["auto", "yes", "no"].includes(values.invert)) fail(`--invert must be "auto", "yes" or "no"`);
+  const format = values.format ?? (values.out && extname(values.out) === ".ndjson" ? "ndjson" : "csv");
+  if (!["csv", "ndjson"].includes(format)) fail(`--format must be "csv" or "ndjson"`);
+  const batchSize = Math.max(1, Number(values.batch) || 64);
+
+  // Models, exactly as the app loads them
+  const manifestUrl = pathToFileURL(resolve(values.manifest)).href;
+  const entries = await fetchManifest(manifestUrl, { fetch: fileFetch });
+  const entry = values.model ? entries.find((e) => e.id === values.model) : entries[0];
+  if (!entry) fail(`no model "${values.model}" in ${values.manifest} (have: ${entries.map((e) => e.id).join(", ")})`);
+  await tf.ready();
+  const runtime = await loadModel(entry, modelUrl(entry, manifestUrl), { fetch: fileFetch });
+  if (runtime.warning) process.stderr.write(`warning: ${runtime.warning}\n`);
+  if (values.embeddings && !runtime.embedBatch) fail(`${entry.name} has no embedding output`);
+
+  const started = performance.now();
+  // PNGs are drawings: the squash config keeps them whole when preprocessing is off
+  const config = preprocess === "drawing" ? DEFAULT_PREPROCESS : isFolder ? SQUASH_PREPROCESS : null;
+  const items = isFolder
+    ? await readPngFolder(input, config, values.invert)
+    : await readIdxImages(input, values.labels, config);
+
+  const results = new Array(items.length);
+  const usable = items.map((item, i) => i).filter((i) => !items[i].empty);
+  for (const i of items.keys()) {
+    if (items[i].empty) results[i] = { predicted: null, confidence: null, probs: null, ...(values.embeddings ? { embedding: null } : {}) };
+  }
+  for (let start = 0; start < usable.length; start += batchSize) {
+    const idx = usable.slice(start, start + batchSize);
+    const pixels = idx.map((i) => items[i].pixels);
+    const probs = await predictBatch(runtime, pixels);
+    const embeddings = values.embeddings ? await runtime.embedBatch(pixels) : null;
+    idx.forEach((i, j) => {
+      const k = probs[j].reduce((best, p, c) => (p > probs[j][best] ? c : best), 0);
+      results[i] = {
+        predicted: runtime.labels[k],
+        confidence: probs[j][k],
+        probs: probs[j],
+        ...(embeddings ? { embedding: embeddings[j] } : {}),
+      };
+    });
+  }
+
+  const withLabels = items.some((item) => item.label !== undefined);
+  const text = toRows(items, results, runtime.labels, format, withLabels);
+  if (values.out) await writeFile(values.out, text);
+  else process.stdout.write(text);
+
+  const seconds = (performance.now() - started) / 1000;
+  const correct = withLabels ? items.filter((item, i) => results[i].predicted === item.label).length : null;
+  process.stderr.write(
+    `${items.length} images (${items.length - usable.length} empty) through ${entry.name} in ${seconds.toFixed(1)} s` +
+      (correct !== null ? `, accuracy ${((correct / items.length) * 100).toFixed(2)}%` : "") +
+      (values.out ? ` -> ${basename(values.out)}` : "") +
+      "\n"
+  );
+  runtime.dispose();
+}
+
+main().catch((e) => fail(e?.message ?? String(e)));
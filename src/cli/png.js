@@ -0,0 +1,117 @@
+// Minimal PNG decoder for the CLI (Node's zlib, no dependencies): non-interlaced grayscale,
+// RGB, palette and alpha images at 1-16 bits per channel, decoded to ImageData-style RGBA.
+// Transparent pixels are composited over white, like a drawing on paper.
+import { inflateSync } from "node:zlib";
+
+const SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+// Undo the per-row filters in place; `bpp` is bytes per complete pixel (at least 1)
+function unfilter(raw, height, stride, bpp) {
+  const out = new Uint8Array(height * stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const row = y * stride;
+    const prev = row - stride;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= bpp ? out[row + x - bpp] : 0;
+      const b = y > 0 ? out[prev + x] : 0;
+      const c = x >= bpp && y > 0 ? out[prev + x - bpp] : 0;
+      const v = raw[src + x];
+      if (filter === 0) out[row + x] = v;
+      else if (filter === 1) out[row + x] = v + a;
+      else if (filter === 2) out[row + x] = v + b;
+      else if (filter === 3) out[row + x] = v + ((a + b) >> 1);
+      else if (filter === 4) out[row + x] = v + paeth(a, b, c);
+      else throw new Error(`Unknown PNG filter ${filter}.`);
+    }
+  }
+  return out;
+}
+
+/**
+ * @param {Uint8Array} bytes  PNG file contents
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}}
+ */
+export function decodePng(bytes) {
+  if (!SIGNATURE.every((b, i) => bytes[i] === b)) throw new Error("Not a PNG file.");
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+  for (let at = 8; at + 8 <= bytes.length; ) {
+    const length = view.getUint32(at);
+    const type = String.fromCharCode(...bytes.subarray(at + 4, at + 8));
+    const data = bytes.subarray(at + 8, at + 8 + length);
+    if (type === "IHDR") {
+      header = {
+        width: view.getUint32(at + 8),
+        height: view.getUint32(at + 12),
+        depth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+    } else if (type === "PLTE") palette = data;
+    else if (type === "tRNS") transparency = data;
+    else if (type === "IDAT") idat.push(data);
+    else if (type === "IEND") break;
+    at += 12 + length;
+  }
+
+  if (!header) throw new Error("PNG has no header.");
+  const { width, height, depth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (!channels) throw new Error(`Unsupported PNG color type ${colorType}.`);
+  if (interlace) throw new Error("Interlaced PNGs are not supported.");
+  if (colorType === 3 && !palette) throw new Error("Palette PNG without a palette.");
+
+  const bitsPerPixel = channels * depth;
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  const pixels = unfilter(inflateSync(Buffer.concat(idat)), height, stride, Math.max(1, bitsPerPixel >> 3));
+
+  // Sample `c` of pixel `x` in row `y`, scaled to 0..255 (palette indices stay raw)
+  const sample = (y, x, c) => {
+    const row = y * stride;
+    if (depth === 8) return pixels[row + x * channels + c];
+    if (depth === 16) return pixels[row + (x * channels + c) * 2];
+    const bit = (x * channels + c) * depth;
+    const v = (pixels[row + (bit >> 3)] >> (8 - depth - (bit & 7))) & ((1 << depth) - 1);
+    return colorType === 3 ? v : Math.round((v * 255) / ((1 << depth) - 1));
+  };
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let r, g, b, alpha = 255;
+      if (colorType === 3) {
+        const i = sample(y, x, 0);
+        [r, g, b] = [palette[i * 3], palette[i * 3 + 1], palette[i * 3 + 2]];
+        if (transparency && i < transparency.length) alpha = transparency[i];
+      } else if (colorType === 0 || colorType === 4) {
+        r = g = b = sample(y, x, 0);
+        if (colorType === 4) alpha = sample(y, x, 1);
+      } else {
+        [r, g, b] = [sample(y, x, 0), sample(y, x, 1), sample(y, x, 2)];
+        if (colorType === 6) alpha = sample(y, x, 3);
+      }
+      const o = (y * width + x) * 4;
+      const over = (v) => Math.round((v * alpha + 255 * (255 - alpha)) / 255);
+      data[o] = over(r);
+      data[o + 1] = over(g);
+      data[o + 2] = over(b);
+      data[o + 3] = 255;
+    }
+  }
+  return { data, width, height };
+}
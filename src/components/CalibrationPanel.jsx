@@ -0,0 +1,107 @@
+import React from "react";
+import ReliabilityDiagram from "./ReliabilityDiagram";
+
+const button = { padding: "8px 10px", borderRadius: 10, border: 0, cursor: "pointer" };
+
+const SLIDERS = [
+  { key: "minConfidence", label: "Min confidence", min: 0, max: 1, step: 0.05 },
+  { key: "minMargin", label: "Min margin over 2nd", min: 0, max: 1, step: 0.05 },
+];
+
+const pct = (v) => `${(v * 100).toFixed(1)}%`;
+
+// Temperature scaling for the selected model, its reliability diagram, and the "not sure" thresholds
+export default function CalibrationPanel({
+  modelName,
+  labeledCount,
+  temperature,
+  result,
+  fitting,
+  progress,
+  error,
+  onFit,
+  onReset,
+  thresholds,
+  onThresholdsChange,
+}) {
+  return (
+    <div style={{ display: "grid", gap: 14, fontSize: 13 }}>
+      <div style={{ display: "grid", gap: 8 }}>
+        <strong>"I'm not sure" below</strong>
+        {SLIDERS.map((s) => (
+          <div key={s.key} style={{ display: "grid", gridTemplateColumns: "150px 1fr 48px", gap: 8, alignItems: "center" }}>
+            <span>{s.label}</span>
+            <input
+              type="range"
+              min={s.min}
+              max={s.max}
+              step={s.step}
+              value={thresholds[s.key]}
+              onChange={(e) => onThresholdsChange({ ...thresholds, [s.key]: Number(e.target.value) })}
+            />
+            <span style={{ fontSize: 12, opacity: 0.85, textAlign: "right" }}>{Math.round(thresholds[s.key] * 100)}%</span>
+          </div>
+        ))}
+      </div>
+
+      <div style={{ display: "grid", gap: 8 }}>
+        <strong>Temperature scaling: {modelName}</strong>
+        <div style={{ opacity: 0.75 }}>
+          Fits one temperature T on the {labeledCount} labeled samples so the probabilities match how often the model is
+          actually right (T &gt; 1 softens an overconfident model). The ranking of classes never changes.
+        </div>
+
+        <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+          <button
+            onClick={onFit}
+            disabled={fitting || labeledCount < 2}
+            style={{ ...button, opacity: fitting || labeledCount < 2 ? 0.6 : 1 }}
+          >
+            {fitting ? `Scoring samples… ${Math.round(progress * 100)}%` : "Fit temperature"}
+          </button>
+          <button onClick={onReset} disabled={temperature === 1} style={{ ...button, opacity: temperature === 1 ? 0.6 : 1 }}>
+            Reset to T = 1
+          </button>
+          <span style={{ fontSize: 12, opacity: 0.85 }}>Current T = {temperature.toFixed(2)}</span>
+        </div>
+
+        {error ? <div style={{ color: "#ff6b6b" }}>{error}</div> : null}
+
+        {result ? (
+          <div style={{ display: "flex", gap: 16, flexWrap: "wrap", alignItems: "start" }}>
+            <ReliabilityDiagram before={result.before} after={result.after} />
+            <table style={{ fontSize: 12, borderCollapse: "collapse" }}>
+              <thead>
+                <tr>
+                  <th />
+                  <th style={{ padding: "2px 8px", fontWeight: 400, opacity: 0.75 }}>T = 1</th>
+                  <th style={{ padding: "2px 8px", fontWeight: 400, opacity: 0.75 }}>T = {result.temperature.toFixed(2)}</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr>
+                  <td style={{ opacity: 0.75 }}>NLL</td>
+                  <td style={{ padding: "2px 8px" }}>{result.nllBefore.toFixed(3)}</td>
+                  <td style={{ padding: "2px 8px" }}>{result.nllAfter.toFixed(3)}</td>
+                </tr>
+                <tr>
+                  <td style={{ opacity: 0.75 }}>ECE</td>
+                  <td style={{ padding: "2px 8px" }}>{pct(result.before.ece)}</td>
+                  <td style={{ padding: "2px 8px" }}>{pct(result.after.ece)}</td>
+                </tr>
+                <tr>
+                  <td style={{ opacity: 0.75 }}>Accuracy</td>
+                  <td style={{ padding: "2px 8px" }}>{pct(result.before.accuracy)}</td>
+                  <td style={{ padding: "2px 8px" }}>{pct(result.after.accuracy)}</td>
+                </tr>
+              </tbody>
+            </table>
+            <div style={{ fontSize: 12, opacity: 0.6, flexBasis: "100%" }}>
+              Outlined: accuracy per confidence bin before scaling. Filled: after. The dashed diagonal is perfect calibration.
+            </div>
+          </div>
+        ) : null}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,134 @@
+import React from "react";
+import { agreementBetween } from "../ml/compare";
+
+const DISAGREE = "#ff6b6b";
+
+// Agreement cells go from red (never agree) to white (always agree)
+function cellColor(rate) {
+  return `rgba(255, ${Math.round(107 + 148 * rate)}, ${Math.round(107 + 148 * rate)}, ${0.15 + 0.25 * rate})`;
+}
+
+/**
+ * Every compared model's top-k for the current drawing, side by side, plus the
+ * session's pairwise top-1 agreement.
+ */
+export default function ComparePanel({ models, excluded, onToggle, comparison, agreement, onResetAgreement }) {
+  const ids = Object.keys(agreement.names);
+
+  return (
+    <div style={{ display: "grid", gap: 14, fontSize: 13 }}>
+      <div style={{ display: "flex", gap: 12, flexWrap: "wrap" }}>
+        {models.map((m) => (
+          <label key={m.id} style={{ display: "flex", gap: 6, alignItems: "center", cursor: "pointer" }}>
+            <input type="checkbox" checked={!excluded.has(m.id)} onChange={() => onToggle(m.id)} />
+            {m.name}
+          </label>
+        ))}
+      </div>
+
+      {comparison.rows.length ? (
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(150px, 1fr))", gap: 10 }}>
+          {comparison.rows.map((r) => (
+            <div
+              key={r.id}
+              style={{
+                padding: 10,
+                borderRadius: 12,
+                border: `1px solid ${r.disagrees ? DISAGREE : "rgba(255,255,255,0.12)"}`,
+                background: r.disagrees ? "rgba(255,107,107,0.08)" : "rgba(255,255,255,0.02)",
+                display: "grid",
+                gap: 6,
+                alignContent: "start",
+              }}
+            >
+              <div style={{ fontSize: 12, opacity: 0.8 }}>{r.name}</div>
+              {r.error ? <div style={{ color: DISAGREE, fontSize: 12 }}>{r.error}</div> : null}
+              {r.top.map((p, i) => (
+                <div key={p.label}>
+                  <div style={{ display: "flex", justifyContent: "space-between" }}>
+                    <strong style={{ fontSize: i === 0 ? 20 : 14, color: i === 0 && r.disagrees ? DISAGREE : "white" }}>
+                      {p.label}
+                    </strong>
+                    <span style={{ opacity: 0.8 }}>{(p.prob * 100).toFixed(1)}%</span>
+                  </div>
+                  <div style={{ height: 5, borderRadius: 999, background: "rgba(255,255,255,0.12)", overflow: "hidden" }}>
+                    <div style={{ height: "100%", width: `${Math.max(1, Math.round(p.prob * 100))}%`, background: "white" }} />
+                  </div>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div style={{ opacity: 0.7 }}>Draw a digit to run it through every checked model.</div>
+      )}
+
+      {comparison.rows.some((r) => r.disagrees) ? (
+        <div style={{ color: DISAGREE, fontSize: 12 }}>
+          {comparison.consensus === null
+            ? "The models are split on this drawing."
+            : `Highlighted models disagree with the majority (${comparison.consensus}).`}
+        </div>
+      ) : null}
+
+      <div style={{ display: "grid", gap: 8 }}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <strong>Top-1 agreement this session</strong>
+          <span style={{ display: "flex", gap: 8, alignItems: "center" }}>
+            <span style={{ fontSize: 12, opacity: 0.75 }}>{agreement.drawings} drawings</span>
+            <button
+              onClick={onResetAgreement}
+              disabled={!agreement.drawings}
+              style={{ padding: "4px 8px", borderRadius: 8, border: 0, cursor: "pointer", fontSize: 12 }}
+            >
+              Reset
+            </button>
+          </span>
+        </div>
+
+        {ids.length > 1 ? (
+          <table style={{ borderCollapse: "collapse", fontSize: 12 }}>
+            <thead>
+              <tr>
+                <th />
+                {ids.map((id) => (
+                  <th key={id} style={{ padding: 4, fontWeight: 400, opacity: 0.75, textAlign: "center" }}>
+                    {agreement.names[id]}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {ids.map((a) => (
+                <tr key={a}>
+                  <th style={{ padding: 4, fontWeight: 400, opacity: 0.75, textAlign: "right" }}>{agreement.names[a]}</th>
+                  {ids.map((b) => {
+                    const cell = a === b ? null : agreementBetween(agreement, a, b);
+                    const rate = cell ? cell.agree / cell.total : null;
+                    return (
+                      <td
+                        key={b}
+                        title={cell ? `${cell.agree} of ${cell.total} drawings` : ""}
+                        style={{
+                          padding: 6,
+                          textAlign: "center",
+                          borderRadius: 6,
+                          background: rate === null ? "transparent" : cellColor(rate),
+                          opacity: a === b ? 0.4 : 1,
+                        }}
+                      >
+                        {a === b ? "—" : rate === null ? "" : `${Math.round(rate * 100)}%`}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <div style={{ fontSize: 12, opacity: 0.7 }}>Needs at least two models answering the same drawing.</div>
+        )}
+      </div>
+    </div>
+  );
+}
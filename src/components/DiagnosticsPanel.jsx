@@ -0,0 +1,227 @@
+import React, { useEffect, useMemo, useState } from "react";
+import * as tf from "@tensorflow/tfjs";
+import LineChart from "./LineChart";
+import { BACKENDS, benchmarkModel } from "../ml/backend";
+
+const SAMPLE_MS = 1000;
+const BATCH_SIZES = [1, 32];
+
+const selectStyle = {
+  padding: "6px 8px",
+  borderRadius: 8,
+  background: "rgba(255,255,255,0.06)",
+  color: "white",
+  border: "1px solid rgba(255,255,255,0.15)",
+};
+const buttonStyle = { padding: "6px 10px", borderRadius: 8, border: 0, cursor: "pointer" };
+const cellStyle = { padding: "4px 8px", textAlign: "right" };
+
+const ms = (v) => `${v.toFixed(v < 10 ? 2 : 1)} ms`;
+const megabytes = (bytes) => `${(bytes / 2 ** 20).toFixed(1)} MB`;
+const integer = (v) => v.toFixed(0);
+const oneDecimal = (v) => v.toFixed(1);
+
+/**
+ * Runtime diagnostics: switch the tf backend, benchmark prediction latency per model, and follow
+ * tf.memory() over time. `memory` is the App's createMemoryMonitor() summary; the panel adds a
+ * sample every second while it is open, next to the ones taken after each prediction.
+ */
+export default function DiagnosticsPanel({
+  backend,
+  backendError,
+  onBackendChange,
+  models,
+  runtimeFor,
+  memory,
+  onSampleMemory,
+  onResetMemory,
+}) {
+  const [switching, setSwitching] = useState(false);
+  const [benchModel, setBenchModel] = useState("all");
+  const [runs, setRuns] = useState(50);
+  const [batchSize, setBatchSize] = useState(1);
+  const [running, setRunning] = useState(""); // name of the model being benchmarked
+  const [results, setResults] = useState([]); // benchmarkModel() results, with model name and tensor delta
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    onSampleMemory();
+    const timer = setInterval(onSampleMemory, SAMPLE_MS);
+    return () => clearInterval(timer);
+  }, [onSampleMemory]);
+
+  const pickBackend = async (id) => {
+    setSwitching(true);
+    try {
+      await onBackendChange(id);
+    } finally {
+      setSwitching(false);
+    }
+  };
+
+  // Models run one after the other on the current backend; rows accumulate across backends
+  const runBenchmark = async () => {
+    setError("");
+    const picked = benchModel === "all" ? models : models.filter((m) => m.id === benchModel);
+    try {
+      for (const m of picked) {
+        setRunning(m.name);
+        const runtime = await runtimeFor(m.id);
+        const before = tf.memory().numTensors;
+        const result = await benchmarkModel(runtime, { runs, batchSize });
+        const tensorsDelta = tf.memory().numTensors - before;
+        setResults((prev) => [...prev, { ...result, model: m.name, tensorsDelta }]);
+      }
+    } catch (e) {
+      console.error(e);
+      setError(e?.message ?? String(e));
+    } finally {
+      setRunning("");
+    }
+  };
+
+  const tensorSeries = useMemo(
+    () => [{ name: "tensors", color: "#80ed99", values: (memory?.samples ?? []).map((s) => s.numTensors) }],
+    [memory]
+  );
+  const bytesSeries = useMemo(
+    () => [{ name: "MB", color: "#4cc9f0", values: (memory?.samples ?? []).map((s) => s.numBytes / 2 ** 20) }],
+    [memory]
+  );
+
+  return (
+    <div style={{ display: "grid", gap: 16, fontSize: 13 }}>
+      <div style={{ display: "grid", gap: 6 }}>
+        <strong>Backend</strong>
+        <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+          <select
+            value={backend}
+            onChange={(e) => pickBackend(e.target.value)}
+            disabled={switching || !!running || !backend}
+            style={selectStyle}
+          >
+            {BACKENDS.map((b) => (
+              <option key={b.id} value={b.id}>
+                {b.label}
+              </option>
+            ))}
+          </select>
+          <span style={{ opacity: 0.6 }}>{switching ? "Switching…" : backend ? `tf.getBackend() = ${backend}` : ""}</span>
+        </div>
+        {backendError ? <div style={{ color: "#ff6b6b" }}>{backendError}</div> : null}
+      </div>
+
+      <div style={{ display: "grid", gap: 8 }}>
+        <strong>Latency benchmark</strong>
+        <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+          <select value={benchModel} onChange={(e) => setBenchModel(e.target.value)} disabled={!!running} style={selectStyle}>
+            <option value="all">All models</option>
+            {models.map((m) => (
+              <option key={m.id} value={m.id}>
+                {m.name}
+              </option>
+            ))}
+          </select>
+          <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+            runs
+            <input
+              type="number"
+              min={5}
+              max={500}
+              value={runs}
+              onChange={(e) => setRuns(Math.max(5, Math.min(500, Number(e.target.value) || 5)))}
+              disabled={!!running}
+              style={{ ...selectStyle, width: 64 }}
+            />
+          </label>
+          <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+            batch
+            <select value={batchSize} onChange={(e) => setBatchSize(Number(e.target.value))} disabled={!!running} style={selectStyle}>
+              {BATCH_SIZES.map((n) => (
+                <option key={n} value={n}>
+                  {n}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button onClick={runBenchmark} disabled={!!running || switching || !models.length} style={buttonStyle}>
+            {running ? `Benchmarking ${running}…` : `Run on ${backend || "…"}`}
+          </button>
+          {results.length ? (
+            <button onClick={() => setResults([])} disabled={!!running} style={buttonStyle}>
+              Clear
+            </button>
+          ) : null}
+        </div>
+        {error ? <div style={{ color: "#ff6b6b" }}>{error}</div> : null}
+
+        {results.length ? (
+          <table style={{ borderCollapse: "collapse", fontSize: 12 }}>
+            <thead>
+              <tr style={{ opacity: 0.75 }}>
+                <th style={{ ...cellStyle, textAlign: "left", fontWeight: 400 }}>model</th>
+                <th style={{ ...cellStyle, textAlign: "left", fontWeight: 400 }}>backend</th>
+                <th style={{ ...cellStyle, fontWeight: 400 }}>batch</th>
+                <th style={{ ...cellStyle, fontWeight: 400 }}>first call</th>
+                <th style={{ ...cellStyle, fontWeight: 400 }}>median</th>
+                <th style={{ ...cellStyle, fontWeight: 400 }}>p95</th>
+                <th style={{ ...cellStyle, fontWeight: 400 }}>images/s</th>
+                <th style={{ ...cellStyle, fontWeight: 400 }}>tensors left</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.map((r, i) => (
+                <tr key={i}>
+                  <td style={{ ...cellStyle, textAlign: "left" }}>{r.model}</td>
+                  <td style={{ ...cellStyle, textAlign: "left" }}>{r.backend}</td>
+                  <td style={cellStyle}>{r.batchSize}</td>
+                  <td style={cellStyle}>{ms(r.firstMs)}</td>
+                  <td style={cellStyle}>{ms(r.medianMs)}</td>
+                  <td style={cellStyle}>{ms(r.p95Ms)}</td>
+                  <td style={cellStyle}>{r.imagesPerSecond.toFixed(0)}</td>
+                  <td style={{ ...cellStyle, color: r.tensorsDelta > 0 ? "#ffd166" : undefined }}>
+                    {r.tensorsDelta > 0 ? `+${r.tensorsDelta}` : r.tensorsDelta}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <div style={{ fontSize: 12, opacity: 0.7 }}>
+            Every run predicts the same fixed inputs, after 5 untimed warm-up calls, and includes reading the
+            probabilities back. The first call (shader or kernel compilation) is shown on its own. Switch the backend
+            and run again to compare.
+          </div>
+        )}
+      </div>
+
+      <div style={{ display: "grid", gap: 8 }}>
+        <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+          <strong>Memory</strong>
+          {memory?.latest ? (
+            <span style={{ opacity: 0.75 }}>
+              {memory.latest.numTensors} tensors · {megabytes(memory.latest.numBytes)}
+            </span>
+          ) : null}
+          <button onClick={onResetMemory} style={{ ...buttonStyle, padding: "4px 8px", fontSize: 12 }}>
+            Reset
+          </button>
+        </div>
+        {memory?.leak ? (
+          <div style={{ color: "#ffd166" }}>
+            The tensor count grew on each of the last {memory.leak.predictions} predictions (+{memory.leak.growth}{" "}
+            tensors). Something in the prediction path isn&apos;t disposed.
+          </div>
+        ) : null}
+        <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+          <LineChart series={tensorSeries} formatY={integer} width={320} height={120} />
+          <LineChart series={bytesSeries} formatY={oneDecimal} width={320} height={120} />
+        </div>
+        <div style={{ fontSize: 12, opacity: 0.7 }}>
+          tf.memory() every second while this tab is open, and after every prediction. Once a model is loaded the
+          count should return to the same baseline after each prediction.
+        </div>
+      </div>
+    </div>
+  );
+}
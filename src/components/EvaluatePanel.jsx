@@ -0,0 +1,220 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import MnistPreview from "./MnistPreview";
+import { EVAL_INPUTS, MNIST_SLICE, evaluateModel, loadMnistSlice } from "../ml/evaluate";
+
+const MAX_SHOWN = 120;
+
+// Diagonal cells go green with their share of the row, the others red
+function cellColor(share, correct) {
+  if (!share) return "transparent";
+  const alpha = 0.12 + 0.6 * share;
+  return correct ? `rgba(128, 237, 153, ${alpha})` : `rgba(255, 107, 107, ${alpha})`;
+}
+
+const percent = (v) => (v === null ? "—" : `${(v * 100).toFixed(1)}%`);
+
+/**
+ * Accuracy of the selected model on the bundled MNIST test slice (src/ml/evaluate.js), with
+ * per-digit precision/recall and a confusion matrix whose cells open the images behind them.
+ */
+export default function EvaluatePanel({ runtime, preprocessConfig, resolveUrl }) {
+  const [input, setInput] = useState("mnist");
+  const [slice, setSlice] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [result, setResult] = useState(null); // evaluateModel() result, with the model name and input
+  const [cell, setCell] = useState(null); // { digit, col } of the opened confusion cell
+  const [error, setError] = useState("");
+  const abortRef = useRef(null);
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const run = async () => {
+    if (!runtime) return;
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setRunning(true);
+    setProgress(0);
+    setError("");
+    try {
+      let data = slice;
+      if (!data) {
+        data = await loadMnistSlice(resolveUrl);
+        setSlice(data);
+      }
+      const out = await evaluateModel(runtime, data, {
+        input,
+        preprocessConfig,
+        onProgress: setProgress,
+        signal: controller.signal,
+      });
+      setResult({ ...out, modelName: runtime.entry.name, input });
+      setCell(null);
+    } catch (e) {
+      if (e?.name !== "AbortError") {
+        console.error(e);
+        setError(e?.message ?? String(e));
+      }
+    } finally {
+      abortRef.current = null;
+      setRunning(false);
+    }
+  };
+
+  const shown = useMemo(() => {
+    if (!cell || !result || !slice) return [];
+    const out = [];
+    for (let n = 0; n < result.count && out.length < MAX_SHOWN; n++) {
+      if (slice.labels[n] !== cell.digit || result.predicted[n] !== cell.col) continue;
+      out.push({ n, pixels: Float32Array.from(slice.images.subarray(n * 784, (n + 1) * 784), (v) => v / 255) });
+    }
+    return out;
+  }, [cell, result, slice]);
+
+  const cellCount = cell && result ? result.confusion[cell.digit][cell.col] : 0;
+
+  return (
+    <div style={{ display: "grid", gap: 14, fontSize: 13 }}>
+      <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+        <select
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          disabled={running}
+          style={{
+            padding: "6px 8px",
+            borderRadius: 8,
+            background: "rgba(255,255,255,0.06)",
+            color: "white",
+            border: "1px solid rgba(255,255,255,0.15)",
+          }}
+        >
+          {EVAL_INPUTS.map((m) => (
+            <option key={m.id} value={m.id}>
+              {m.label}
+            </option>
+          ))}
+        </select>
+        {running ? (
+          <button
+            onClick={() => abortRef.current?.abort()}
+            style={{ padding: "6px 10px", borderRadius: 8, border: 0, cursor: "pointer" }}
+          >
+            Cancel ({Math.round(progress * 100)}%)
+          </button>
+        ) : (
+          <button
+            onClick={run}
+            disabled={!runtime}
+            style={{ padding: "6px 10px", borderRadius: 8, border: 0, cursor: "pointer" }}
+          >
+            Evaluate {runtime?.entry.name ?? ""}
+          </button>
+        )}
+        {slice ? <span style={{ opacity: 0.6 }}>{slice.count} MNIST test images</span> : null}
+      </div>
+
+      {error ? (
+        <div style={{ color: "#ff6b6b" }}>
+          {error}
+          <div style={{ marginTop: 4, opacity: 0.85 }}>
+            The slice is read from public/{MNIST_SLICE.images} and public/{MNIST_SLICE.labels}; write them with{" "}
+            <code>python tools/export_mnist_slice.py</code>.
+          </div>
+        </div>
+      ) : null}
+
+      {result ? (
+        <>
+          <div style={{ display: "flex", gap: 16, alignItems: "baseline", flexWrap: "wrap" }}>
+            <strong style={{ fontSize: 24 }}>{percent(result.accuracy)}</strong>
+            <span style={{ opacity: 0.75 }}>
+              {result.correct} / {result.count} correct · {result.modelName} ·{" "}
+              {EVAL_INPUTS.find((m) => m.id === result.input)?.label}
+            </span>
+            <span style={{ opacity: 0.6 }}>
+              {result.perSecond ? `${result.perSecond.toFixed(0)} images/s` : ""} · {result.seconds.toFixed(2)} s
+            </span>
+          </div>
+
+          <table style={{ borderCollapse: "collapse", fontSize: 12 }}>
+            <thead>
+              <tr>
+                <th style={{ padding: 4, fontWeight: 400, opacity: 0.6, textAlign: "right" }}>true ↓ / predicted →</th>
+                {result.labels.map((l) => (
+                  <th key={l} style={{ padding: 4, fontWeight: 600, textAlign: "center" }}>
+                    {l}
+                  </th>
+                ))}
+                <th style={{ padding: "4px 8px", fontWeight: 400, opacity: 0.75 }}>precision</th>
+                <th style={{ padding: "4px 8px", fontWeight: 400, opacity: 0.75 }}>recall</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.perClass.map(({ digit, precision, recall, support }) => (
+                <tr key={digit}>
+                  <th style={{ padding: 4, fontWeight: 600, textAlign: "right" }}>{digit}</th>
+                  {result.confusion[digit].map((count, col) => {
+                    const correct = result.labels[col] === String(digit);
+                    const open = cell?.digit === digit && cell?.col === col;
+                    return (
+                      <td
+                        key={col}
+                        onClick={() => setCell(count ? { digit, col } : null)}
+                        title={`${count} image${count === 1 ? "" : "s"} of ${digit} predicted as ${result.labels[col]}`}
+                        style={{
+                          padding: "4px 6px",
+                          textAlign: "center",
+                          borderRadius: 6,
+                          cursor: count ? "pointer" : "default",
+                          background: cellColor(support ? count / support : 0, correct),
+                          outline: open ? "2px solid white" : "none",
+                          opacity: count ? 1 : 0.3,
+                        }}
+                      >
+                        {count}
+                      </td>
+                    );
+                  })}
+                  <td style={{ padding: "4px 8px", textAlign: "right" }}>{percent(precision)}</td>
+                  <td style={{ padding: "4px 8px", textAlign: "right" }}>{percent(recall)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {cell ? (
+            <div style={{ display: "grid", gap: 8 }}>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+                <strong>
+                  {cell.digit} predicted as {result.labels[cell.col]}: {cellCount} image{cellCount === 1 ? "" : "s"}
+                  {cellCount > shown.length ? ` (first ${shown.length})` : ""}
+                </strong>
+                <button
+                  onClick={() => setCell(null)}
+                  style={{ padding: "4px 8px", borderRadius: 8, border: 0, cursor: "pointer", fontSize: 12 }}
+                >
+                  Close
+                </button>
+              </div>
+              <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+                {shown.map(({ n, pixels }) => (
+                  <div key={n} title={`Test image #${n}`}>
+                    <MnistPreview pixels={pixels} size={42} label={null} />
+                  </div>
+                ))}
+              </div>
+            </div>
+          ) : (
+            <div style={{ fontSize: 12, opacity: 0.7 }}>Click a cell to see the images behind it.</div>
+          )}
+        </>
+      ) : !error && !running ? (
+        <div style={{ opacity: 0.7 }}>
+          Runs the selected model over a bundled slice of the MNIST test set, offline. &quot;Through the drawing
+          preprocessing&quot; first crops, resizes and centers every image like a drawing (current settings), so the
+          two inputs show what the preprocessing costs or gains.
+        </div>
+      ) : null}
+    </div>
+  );
+}
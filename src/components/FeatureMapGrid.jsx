@@ -0,0 +1,53 @@
+import React, { useEffect, useRef } from "react";
+
+const GAP = 4;
+const WIDTH = 460;
+
+// One node output for a single drawing: [1, h, w, channels] becomes a tile per channel,
+// [1, n] a single tile of n cells (16 per row). Each tile is scaled to its own min..max.
+export default function FeatureMapGrid({ output }) {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    const canvas = ref.current;
+    if (!canvas || !output) return;
+
+    const { shape, data } = output;
+    const spatial = shape.length === 4;
+    const [h, w, channels] = spatial
+      ? [shape[1], shape[2], shape[3]]
+      : [Math.ceil(data.length / 16), Math.min(16, data.length), 1];
+
+    const cols = spatial ? Math.ceil(Math.sqrt(channels)) : 1;
+    const rows = Math.ceil(channels / cols);
+    const cell = Math.max(2, Math.floor((WIDTH - GAP * (cols - 1)) / cols / w));
+    canvas.width = cols * w * cell + GAP * (cols - 1);
+    canvas.height = rows * h * cell + GAP * (rows - 1);
+
+    const ctx = canvas.getContext("2d");
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    const at = (c, i) => (spatial ? data[i * channels + c] : data[i]);
+
+    for (let c = 0; c < channels; c++) {
+      let lo = Infinity;
+      let hi = -Infinity;
+      for (let i = 0; i < h * w; i++) {
+        const v = at(c, i);
+        if (v === undefined) continue;
+        if (v < lo) lo = v;
+        if (v > hi) hi = v;
+      }
+      const ox = (c % cols) * (w * cell + GAP);
+      const oy = Math.floor(c / cols) * (h * cell + GAP);
+      for (let i = 0; i < h * w; i++) {
+        const v = at(c, i);
+        if (v === undefined) continue;
+        const g = Math.round(255 * (hi > lo ? (v - lo) / (hi - lo) : 0));
+        ctx.fillStyle = `rgb(${g},${g},${g})`;
+        ctx.fillRect(ox + (i % w) * cell, oy + Math.floor(i / w) * cell, cell, cell);
+      }
+    }
+  }, [output]);
+
+  return <canvas ref={ref} style={{ maxWidth: "100%", imageRendering: "pixelated", display: "block" }} />;
+}
@@ -0,0 +1,66 @@
+import React, { useEffect, useRef, useState } from "react";
+
+const hasFiles = (e) => Array.from(e.dataTransfer?.types ?? []).includes("Files");
+
+// Accepts files dropped anywhere on the page and shows a hint while dragging
+export default function FileDropOverlay({ onFiles, message }) {
+  const [dragging, setDragging] = useState(false);
+  const depthRef = useRef(0); // enter/leave also fire for every element crossed
+
+  useEffect(() => {
+    const onEnter = (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      depthRef.current += 1;
+      setDragging(true);
+    };
+    const onOver = (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = "copy";
+    };
+    const onLeave = () => {
+      depthRef.current = Math.max(0, depthRef.current - 1);
+      if (!depthRef.current) setDragging(false);
+    };
+    const onDrop = (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      depthRef.current = 0;
+      setDragging(false);
+      onFiles(Array.from(e.dataTransfer.files));
+    };
+
+    window.addEventListener("dragenter", onEnter);
+    window.addEventListener("dragover", onOver);
+    window.addEventListener("dragleave", onLeave);
+    window.addEventListener("drop", onDrop);
+    return () => {
+      window.removeEventListener("dragenter", onEnter);
+      window.removeEventListener("dragover", onOver);
+      window.removeEventListener("dragleave", onLeave);
+      window.removeEventListener("drop", onDrop);
+    };
+  }, [onFiles]);
+
+  if (!dragging) return null;
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 12,
+        borderRadius: 18,
+        border: "2px dashed rgba(255,209,102,0.8)",
+        background: "rgba(11,11,16,0.85)",
+        display: "grid",
+        placeItems: "center",
+        fontSize: 18,
+        pointerEvents: "none",
+        zIndex: 10,
+      }}
+    >
+      {message}
+    </div>
+  );
+}
@@ -0,0 +1,127 @@
+import React, { useEffect, useMemo, useState } from "react";
+import FeatureMapGrid from "./FeatureMapGrid";
+import { formatShape } from "../ml/graphInspect";
+
+const KIND_COLORS = { conv: "#4cc9f0", pool: "#80ed99", dense: "#ffd166" };
+
+// Longest "a/b/" prefix every layer name shares (e.g. "StatefulPartitionedCall/sequential_1/")
+function commonPrefix(names) {
+  if (!names.length) return "";
+  let prefix = names[0].slice(0, names[0].lastIndexOf("/") + 1);
+  for (const n of names) {
+    while (prefix && !n.startsWith(prefix)) prefix = prefix.slice(0, prefix.slice(0, -1).lastIndexOf("/") + 1);
+  }
+  return prefix;
+}
+
+/**
+ * Graph nodes of the selected model with op and shape. Picking a conv or pool node shows its
+ * feature maps for the current drawing; a dense node can become the embedding source.
+ */
+export default function InspectPanel({ modelName, nodes, embeddingNode, onUseAsEmbedding, runNode, input }) {
+  const [layersOnly, setLayersOnly] = useState(true);
+  const [selected, setSelected] = useState(null);
+  const [output, setOutput] = useState(null); // { node, shape, data }
+  const [error, setError] = useState("");
+
+  const visible = useMemo(
+    () => nodes.filter((n) => (layersOnly ? n.kind : n.op !== "Const")),
+    [nodes, layersOnly]
+  );
+  const prefix = useMemo(() => commonPrefix(nodes.filter((n) => n.kind).map((n) => n.name)), [nodes]);
+  const node = nodes.find((n) => n.name === selected) ?? null;
+
+  // Run the selected node on the current drawing (again whenever the drawing changes)
+  useEffect(() => {
+    let cancelled = false;
+    const run = async () => {
+      if (!node || !input) {
+        setOutput(null);
+        return;
+      }
+      try {
+        const out = await runNode(node.name);
+        if (cancelled) return;
+        setOutput({ node: node.name, ...out });
+        setError("");
+      } catch (e) {
+        console.error(e);
+        if (cancelled) return;
+        setOutput(null);
+        setError(e?.message ?? String(e));
+      }
+    };
+    run();
+    return () => {
+      cancelled = true;
+    };
+  }, [node, input, runNode]);
+
+  if (!nodes.length) {
+    return <div style={{ fontSize: 13, opacity: 0.7 }}>{modelName} is not a graph model, so there is no graph to inspect.</div>;
+  }
+
+  return (
+    <div style={{ display: "grid", gap: 12, fontSize: 13 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 10, flexWrap: "wrap" }}>
+        <strong>{modelName}</strong>
+        <label style={{ display: "flex", gap: 6, alignItems: "center", cursor: "pointer", fontSize: 12 }}>
+          <input type="checkbox" checked={layersOnly} onChange={(e) => setLayersOnly(e.target.checked)} />
+          Conv, pool and dense only
+        </label>
+      </div>
+
+      <div style={{ maxHeight: 220, overflow: "auto", border: "1px solid rgba(255,255,255,0.12)", borderRadius: 10 }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+          <tbody>
+            {visible.map((n) => (
+              <tr
+                key={n.name}
+                onClick={() => setSelected(n.name)}
+                title={n.name}
+                style={{
+                  cursor: "pointer",
+                  background: n.name === selected ? "rgba(255,255,255,0.12)" : "transparent",
+                }}
+              >
+                <td style={{ padding: "4px 8px", wordBreak: "break-all" }}>
+                  {n.name.startsWith(prefix) ? n.name.slice(prefix.length) : n.name}
+                  {n.name === embeddingNode ? <span style={{ marginLeft: 6, color: KIND_COLORS.dense }}>(embedding)</span> : null}
+                </td>
+                <td style={{ padding: "4px 8px", opacity: 0.75, color: KIND_COLORS[n.kind] ?? "inherit" }}>{n.op}</td>
+                <td style={{ padding: "4px 8px", opacity: 0.75, whiteSpace: "nowrap" }}>{formatShape(n.shape)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {node ? (
+        <div style={{ display: "grid", gap: 8 }}>
+          <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", fontSize: 12 }}>
+            <span style={{ opacity: 0.75 }}>
+              {node.op} · {output?.node === node.name ? `output ${formatShape(output.shape)}` : `expected ${formatShape(node.shape)}`}
+            </span>
+            {node.kind === "dense" && onUseAsEmbedding ? (
+              <button
+                onClick={() => onUseAsEmbedding(node.name)}
+                disabled={node.name === embeddingNode}
+                style={{ padding: "4px 8px", borderRadius: 8, border: 0, cursor: "pointer", fontSize: 12 }}
+              >
+                {node.name === embeddingNode ? "Embedding source" : "Use as embedding"}
+              </button>
+            ) : null}
+          </div>
+          {error ? <div style={{ color: "#ff6b6b" }}>{error}</div> : null}
+          {!input ? (
+            <div style={{ opacity: 0.7 }}>Draw something to see this node&apos;s output.</div>
+          ) : output?.node === node.name ? (
+            <FeatureMapGrid output={output} />
+          ) : null}
+        </div>
+      ) : (
+        <div style={{ opacity: 0.7 }}>Pick a node to see its output for the current drawing.</div>
+      )}
+    </div>
+  );
+}
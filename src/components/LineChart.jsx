@@ -0,0 +1,87 @@
+import React, { useEffect, useRef } from "react";
+
+const fixed2 = (v) => v.toFixed(2);
+
+// Small multi-series line chart. series = [{ name, color, values }], values may contain nulls.
+// The y range is [0, yMax] (yMax defaults to the largest value).
+export default function LineChart({ series = [], yMax = null, formatY = fixed2, width = 420, height = 140 }) {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    const canvas = ref.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext("2d");
+    ctx.clearRect(0, 0, width, height);
+
+    ctx.fillStyle = "rgba(255,255,255,0.02)";
+    ctx.fillRect(0, 0, width, height);
+
+    const n = Math.max(0, ...series.map((s) => s.values.length));
+    if (!n) return;
+
+    const all = series.flatMap((s) => s.values).filter((v) => v != null && Number.isFinite(v));
+    const top = yMax ?? Math.max(1e-9, ...all);
+
+    const padL = 36;
+    const padR = 8;
+    const padT = 18;
+    const padB = 18;
+    const plotW = width - padL - padR;
+    const plotH = height - padT - padB;
+    const x = (i) => padL + (n === 1 ? plotW / 2 : (i / (n - 1)) * plotW);
+    const y = (v) => padT + (1 - Math.min(v, top) / top) * plotH;
+
+    // grid: 0, half, top
+    ctx.strokeStyle = "rgba(255,255,255,0.08)";
+    ctx.fillStyle = "rgba(255,255,255,0.5)";
+    ctx.font = "10px system-ui";
+    ctx.lineWidth = 1;
+    for (const v of [0, top / 2, top]) {
+      ctx.beginPath();
+      ctx.moveTo(padL, y(v));
+      ctx.lineTo(width - padR, y(v));
+      ctx.stroke();
+      ctx.fillText(formatY(v), 2, y(v) + 3);
+    }
+    ctx.fillText(String(n), width - padR - 12, height - 5);
+
+    // lines (a null breaks the line)
+    series.forEach((s) => {
+      ctx.strokeStyle = s.color;
+      ctx.fillStyle = s.color;
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      let pen = false;
+      s.values.forEach((v, i) => {
+        if (v == null || !Number.isFinite(v)) {
+          pen = false;
+          return;
+        }
+        if (pen) ctx.lineTo(x(i), y(v));
+        else ctx.moveTo(x(i), y(v));
+        pen = true;
+      });
+      ctx.stroke();
+      if (n === 1 && s.values[0] != null) ctx.fillRect(x(0) - 2, y(s.values[0]) - 2, 4, 4);
+    });
+
+    // legend
+    let lx = padL;
+    series.forEach((s) => {
+      ctx.fillStyle = s.color;
+      ctx.fillRect(lx, 5, 10, 3);
+      ctx.fillStyle = "rgba(255,255,255,0.7)";
+      ctx.fillText(s.name, lx + 14, 10);
+      lx += 20 + ctx.measureText(s.name).width;
+    });
+  }, [series, yMax, formatY, width, height]);
+
+  return (
+    <canvas
+      ref={ref}
+      width={width}
+      height={height}
+      style={{ width, height, borderRadius: 10, border: "1px solid rgba(255,255,255,0.1)", display: "block" }}
+    />
+  );
+}
@@ -0,0 +1,44 @@
+import React, { useEffect, useRef } from "react";
+import { drawHeatmapPixels, drawMnistPixels } from "../mnistPreprocess";
+
+const canvasStyle = (size) => ({
+  width: size,
+  height: size,
+  imageRendering: "pixelated",
+  borderRadius: 8,
+  display: "block",
+});
+
+// The 28x28 model input, scaled up with nearest-neighbour so the pixels stay visible.
+// `heatmap` (784 values in [0, 1], e.g. from src/ml/explain.js) is drawn on top.
+export default function MnistPreview({ pixels = null, heatmap = null, size = 112, label = "Model input (28×28)" }) {
+  const ref = useRef(null);
+  const heatRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = ref.current;
+    if (!canvas) return;
+    drawMnistPixels(canvas, pixels ?? new Float32Array(784));
+  }, [pixels]);
+
+  useEffect(() => {
+    if (heatmap && heatRef.current) drawHeatmapPixels(heatRef.current, heatmap);
+  }, [heatmap]);
+
+  return (
+    <div style={{ display: "grid", gap: 6, justifyItems: "start" }}>
+      {label ? <span style={{ fontSize: 12, opacity: 0.75 }}>{label}</span> : null}
+      <div style={{ position: "relative", border: "1px solid rgba(255,255,255,0.15)", borderRadius: 8, background: "black" }}>
+        <canvas ref={ref} width={28} height={28} style={canvasStyle(size)} />
+        {heatmap ? (
+          <canvas
+            ref={heatRef}
+            width={28}
+            height={28}
+            style={{ ...canvasStyle(size), position: "absolute", inset: 0, pointerEvents: "none" }}
+          />
+        ) : null}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+import React from "react";
+import MnistPreview from "./MnistPreview";
+
+const UNSURE_COLOR = "#ffd166";
+
+// Multi-digit mode: the number read off the canvas, then every segment with its 28x28 input,
+// label and confidence (src/ml/segment.js). `digits` carry an `unsure` flag from the thresholds.
+export default function NumberReadout({ digits }) {
+  if (!digits.length) return null;
+  const confidence = digits.reduce((p, d) => p * d.confidence, 1);
+
+  return (
+    <div style={{ display: "grid", gap: 10 }}>
+      <div style={{ display: "flex", alignItems: "baseline", gap: 12, flexWrap: "wrap" }}>
+        <strong style={{ fontSize: 32, letterSpacing: 4 }}>{digits.map((d) => d.label).join("")}</strong>
+        <span style={{ fontSize: 12, opacity: 0.7 }}>
+          {digits.length} digit{digits.length === 1 ? "" : "s"} · joint confidence {(confidence * 100).toFixed(1)}%
+        </span>
+      </div>
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+        {digits.map((d, i) => (
+          <div key={i} style={{ display: "grid", gap: 4, justifyItems: "center", fontSize: 12 }}>
+            <MnistPreview pixels={d.pixels} size={44} label={null} />
+            <strong style={{ fontSize: 16, color: d.unsure ? UNSURE_COLOR : "inherit" }}>{d.label}</strong>
+            <span style={{ opacity: 0.75 }}>{(d.confidence * 100).toFixed(0)}%</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
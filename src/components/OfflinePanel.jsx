@@ -0,0 +1,143 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { listCachedModels, onModelCacheChange, removeCachedModel } from "../storage/modelCache";
+import { serviceWorkerState } from "../serviceWorker";
+
+const buttonStyle = { padding: "4px 8px", borderRadius: 8, border: 0, cursor: "pointer", fontSize: 12 };
+const cellStyle = { padding: "4px 8px", textAlign: "left" };
+
+const megabytes = (bytes) => (bytes === null ? "—" : `${(bytes / 2 ** 20).toFixed(2)} MB`);
+
+const SW_STATES = {
+  active: "active: the app starts without the network",
+  none: "not active yet (development server, or the first visit)",
+  unsupported: "not supported by this browser",
+};
+
+async function storageInfo() {
+  if (!navigator.storage?.estimate) return null;
+  const { usage, quota } = await navigator.storage.estimate();
+  return { usage, quota, persisted: (await navigator.storage.persisted?.()) ?? false };
+}
+
+// A cached copy against the manifest the app loaded
+function copyStatus(record, entry) {
+  if (!entry) return { text: "not in the manifest", color: "#ffd166" };
+  if (!entry.checksum) return { text: "unversioned, refreshed when online", color: undefined };
+  return record.checksum === entry.checksum
+    ? { text: "current", color: "#80ed99" }
+    : { text: "outdated, replaced after a reload", color: "#ffd166" };
+}
+
+/**
+ * Offline readiness: network and service worker state, storage use, and the models cached in
+ * IndexedDB (src/storage/modelCache.js), which can be removed one by one or all at once.
+ */
+export default function OfflinePanel({ models }) {
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [worker, setWorker] = useState(serviceWorkerState);
+  const [cached, setCached] = useState(null); // listCachedModels()
+  const [storage, setStorage] = useState(null); // { usage, quota, persisted }
+  const [error, setError] = useState("");
+
+  const refresh = useCallback(
+    () =>
+      Promise.all([listCachedModels(), storageInfo()])
+        .then(([list, info]) => {
+          setCached(list);
+          setStorage(info);
+          setError("");
+        })
+        .catch((e) => {
+          console.error(e);
+          setError(e?.message ?? String(e));
+        }),
+    []
+  );
+
+  useEffect(() => {
+    refresh();
+    return onModelCacheChange(refresh);
+  }, [refresh]);
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    const updateWorker = () => setWorker(serviceWorkerState());
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    navigator.serviceWorker?.addEventListener("controllerchange", updateWorker);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+      navigator.serviceWorker?.removeEventListener("controllerchange", updateWorker);
+    };
+  }, []);
+
+  const remove = async (ids) => {
+    try {
+      for (const id of ids) await removeCachedModel(id);
+    } catch (e) {
+      console.error(e);
+      setError(e?.message ?? String(e));
+    }
+  };
+
+  return (
+    <div style={{ display: "grid", gap: 8, fontSize: 13 }}>
+      <strong>Offline</strong>
+      <div style={{ opacity: 0.75 }}>
+        Network: {online ? "online" : "offline"} · Service worker: {SW_STATES[worker]}
+        {storage
+          ? ` · Storage: ${megabytes(storage.usage)} of ${megabytes(storage.quota)}${storage.persisted ? ", persistent" : ""}`
+          : ""}
+      </div>
+      {error ? <div style={{ color: "#ff6b6b" }}>{error}</div> : null}
+
+      {cached?.length ? (
+        <>
+          <table style={{ borderCollapse: "collapse", fontSize: 12 }}>
+            <thead>
+              <tr style={{ opacity: 0.75 }}>
+                <th style={{ ...cellStyle, fontWeight: 400 }}>cached model</th>
+                <th style={{ ...cellStyle, fontWeight: 400 }}>saved</th>
+                <th style={{ ...cellStyle, fontWeight: 400, textAlign: "right" }}>size</th>
+                <th style={{ ...cellStyle, fontWeight: 400 }}>version</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {cached.map((record) => {
+                const status = copyStatus(record, models.find((m) => m.id === record.id));
+                return (
+                  <tr key={record.id}>
+                    <td style={cellStyle}>{record.name}</td>
+                    <td style={cellStyle}>{new Date(record.savedAt).toLocaleString()}</td>
+                    <td style={{ ...cellStyle, textAlign: "right" }}>{megabytes(record.bytes)}</td>
+                    <td style={{ ...cellStyle, color: status.color }} title={record.checksum ?? ""}>
+                      {status.text}
+                    </td>
+                    <td style={cellStyle}>
+                      <button onClick={() => remove([record.id])} style={buttonStyle}>
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <div>
+            <button onClick={() => remove(cached.map((r) => r.id))} style={buttonStyle}>
+              Clear all cached models
+            </button>
+          </div>
+        </>
+      ) : cached ? (
+        <div style={{ fontSize: 12, opacity: 0.7 }}>No models cached yet. Every model is saved here after its first load.</div>
+      ) : null}
+      <div style={{ fontSize: 12, opacity: 0.7 }}>
+        Cached models load without the network as long as the manifest lists the same checksum. Removing one only
+        frees the space: a loaded model keeps running, and is fetched again after a reload.
+      </div>
+    </div>
+  );
+}
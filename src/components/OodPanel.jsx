@@ -0,0 +1,58 @@
+import React from "react";
+import { MIN_OOD_SAMPLES, OOD_METHODS } from "../ml/ood";
+
+// Out-of-distribution score settings: which score, where "not a digit" starts, and what it's fitted on
+export default function OodPanel({ method, onMethodChange, thresholds, onThresholdsChange, model, status, flaggedCount }) {
+  const spec = OOD_METHODS.find((m) => m.id === method) ?? OOD_METHODS[0];
+
+  return (
+    <div style={{ display: "grid", gap: 8, fontSize: 13 }}>
+      <strong>"Not a digit" detection</strong>
+      <div style={{ display: "grid", gridTemplateColumns: "150px 1fr 48px", gap: 8, alignItems: "center" }}>
+        <span>Score</span>
+        <select
+          value={method}
+          onChange={(e) => onMethodChange(e.target.value)}
+          style={{
+            padding: "4px 8px",
+            borderRadius: 8,
+            background: "rgba(255,255,255,0.06)",
+            color: "white",
+            border: "1px solid rgba(255,255,255,0.15)",
+          }}
+        >
+          {OOD_METHODS.map((m) => (
+            <option key={m.id} value={m.id}>
+              {m.label}
+            </option>
+          ))}
+        </select>
+        <span />
+
+        <span>Flag above</span>
+        <input
+          type="range"
+          min={0}
+          max={spec.max}
+          step={spec.step}
+          value={thresholds[spec.id]}
+          onChange={(e) => onThresholdsChange({ ...thresholds, [spec.id]: Number(e.target.value) })}
+        />
+        <span style={{ fontSize: 12, opacity: 0.85, textAlign: "right" }}>{thresholds[spec.id].toFixed(2)}</span>
+      </div>
+
+      <div style={{ fontSize: 12, opacity: 0.75 }}>
+        {method === "mahalanobis"
+          ? model
+            ? `Centroids of ${model.classes.length} digits from ${model.count} labeled samples. 1.0 = as far out as the outermost 5% of them.`
+            : status || `Label at least ${MIN_OOD_SAMPLES} digits to estimate the class centroids.`
+          : "1 − the top probability of the selected model. Needs no samples, but a confident wrong answer scores low."}
+      </div>
+      {flaggedCount ? (
+        <div style={{ fontSize: 12, color: "#ff6b6b" }}>
+          {flaggedCount} stored sample{flaggedCount === 1 ? "" : "s"} flagged (crossed out in the plot).
+        </div>
+      ) : null}
+    </div>
+  );
+}
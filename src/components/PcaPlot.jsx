@@ -1,7 +1,120 @@
-import React, { useEffect, useRef } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { classColor, labelKey } from "./classColors";
+import MnistPreview from "./MnistPreview";
 
-export default function PcaPlot({ points = [], highlight = null, width = 420, height = 280 }) {
+const DEFAULT_VIEW = { scale: 1, tx: 0, ty: 0 };
+const NO_CLASSES = new Set();
+const HIT_RADIUS = 8;
+const FLAG_COLOR = "#ff6b6b";
+
+// Out-of-distribution marker: a small red cross over the point
+function drawFlag(ctx, x, y, r) {
+  ctx.strokeStyle = FLAG_COLOR;
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  ctx.moveTo(x - r, y - r);
+  ctx.lineTo(x + r, y + r);
+  ctx.moveTo(x + r, y - r);
+  ctx.lineTo(x - r, y + r);
+  ctx.stroke();
+}
+
+// Ray casting: is (x, y) inside the polygon [[x, y], ...]?
+function insidePolygon(x, y, poly) {
+  let inside = false;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+    const [xi, yi] = poly[i];
+    const [xj, yj] = poly[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+const toolButton = (active) => ({
+  padding: "4px 10px",
+  borderRadius: 8,
+  border: "1px solid rgba(255,255,255,0.15)",
+  background: active ? "rgba(255,255,255,0.18)" : "rgba(255,255,255,0.04)",
+  color: "white",
+  cursor: "pointer",
+  fontSize: 12,
+});
+
+/**
+ * Scatter plot of projected samples.
+ * points[i] is drawn for samples[i] (sample: { id, label, predicted, pixels }).
+ * Wheel zooms, drag pans; in lasso mode (or with Shift held) drag selects.
+ * Zoom/pan is kept until `viewKey` changes (e.g. a new projection run).
+ * Samples in `flaggedIds` (and the highlight, with `highlightFlagged`) are crossed out as "not a digit".
+ * The legend toggles classes in and out of `hiddenClasses` (labelKey() values) through onHiddenClassesChange.
+ */
+export default function PcaPlot({
+  points = [],
+  samples = [],
+  highlight = null,
+  selectedIds = null,
+  flaggedIds = null,
+  highlightFlagged = false,
+  hiddenClasses = null,
+  onSelect,
+  onHiddenClassesChange,
+  onPointClick,
+  viewKey = null,
+  width = 420,
+  height = 280,
+}) {
   const ref = useRef(null);
+  const screenRef = useRef([]); // screen position of every visible point, from the last draw
+  const dragRef = useRef(null);
+
+  const [tool, setTool] = useState("pan"); // pan | lasso
+  const [view, setView] = useState(DEFAULT_VIEW);
+  const [viewFor, setViewFor] = useState(viewKey);
+  const [hover, setHover] = useState(null); // { index, x, y }
+  const [lasso, setLasso] = useState(null); // [[x, y], ...] in canvas pixels
+
+  // New run or other axes: start from the full view again
+  if (viewFor !== viewKey) {
+    setViewFor(viewKey);
+    setView(DEFAULT_VIEW);
+    setHover(null);
+  }
+
+  // Legend entries: every class present, with its count
+  const classes = useMemo(() => {
+    const counts = new Map();
+    for (let i = 0; i < points.length; i++) {
+      const k = labelKey(samples[i]?.label);
+      counts.set(k, (counts.get(k) ?? 0) + 1);
+    }
+    return [...counts.entries()]
+      .map(([key, count]) => ({ key, count, color: classColor(key === "unlabeled" ? null : key) }))
+      .sort((a, b) => a.key.localeCompare(b.key, undefined, { numeric: true }));
+  }, [points, samples]);
+
+  // Data -> canvas transform: fit the data bounds, then apply zoom/pan
+  const toScreen = useMemo(() => {
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    for (const [x, y] of points) {
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+
+    const pad = 14;
+    const sx = (x) => pad + ((x - minX) / (maxX - minX + 1e-9)) * (width - pad * 2);
+    const sy = (y) => pad + ((y - minY) / (maxY - minY + 1e-9)) * (height - pad * 2);
+    return ([x, y]) => [sx(x) * view.scale + view.tx, sy(y) * view.scale + view.ty];
+  }, [points, view, width, height]);
+
+  const hidden = hiddenClasses ?? NO_CLASSES;
+  const toggle = (key) => {
+    const next = new Set(hidden);
+    if (next.has(key)) next.delete(key);
+    else next.add(key);
+    onHiddenClassesChange?.(next);
+  };
 
   useEffect(() => {
     const canvas = ref.current;
@@ -13,55 +126,267 @@ export default function PcaPlot({ points = [], highlight = null, width = 420, he
     ctx.fillStyle = "rgba(255,255,255,0.02)";
     ctx.fillRect(0, 0, width, height);
 
+    screenRef.current = [];
     if (!points.length) {
       ctx.fillStyle = "rgba(255,255,255,0.7)";
       ctx.font = "12px system-ui";
-      ctx.fillText("No PCA points yet", 12, 20);
+      ctx.fillText("No projected points yet", 12, 20);
       return;
     }
 
-    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
-    for (const [x, y] of points) {
-      if (x < minX) minX = x;
-      if (x > maxX) maxX = x;
-      if (y < minY) minY = y;
-      if (y > maxY) maxY = y;
-    }
-
-    const pad = 14;
-    const sx = (x) => pad + ((x - minX) / (maxX - minX + 1e-9)) * (width - pad * 2);
-    const sy = (y) => pad + ((y - minY) / (maxY - minY + 1e-9)) * (height - pad * 2);
+    // points, colored by class
+    for (let i = 0; i < points.length; i++) {
+      const key = labelKey(samples[i]?.label);
+      if (hidden.has(key)) continue;
+      const [x, y] = toScreen(points[i]);
+      screenRef.current.push({ index: i, x, y });
 
-    // points
-    ctx.fillStyle = "rgba(255,255,255,0.65)";
-    for (const [x, y] of points) {
+      ctx.fillStyle = classColor(key === "unlabeled" ? null : key);
       ctx.beginPath();
-      ctx.arc(sx(x), sy(y), 2.4, 0, Math.PI * 2);
+      ctx.arc(x, y, 2.8, 0, Math.PI * 2);
       ctx.fill();
+
+      if (flaggedIds?.has(samples[i]?.id)) drawFlag(ctx, x, y, 4);
+
+      if (selectedIds?.has(samples[i]?.id)) {
+        ctx.strokeStyle = "white";
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.arc(x, y, 4.5, 0, Math.PI * 2);
+        ctx.stroke();
+      }
+    }
+
+    // hovered point
+    if (hover && points[hover.index]) {
+      const [x, y] = toScreen(points[hover.index]);
+      ctx.strokeStyle = "#ffd166";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(x, y, 5, 0, Math.PI * 2);
+      ctx.stroke();
     }
 
     // highlight current
     if (highlight) {
+      const [x, y] = toScreen(highlight);
       ctx.strokeStyle = "white";
       ctx.lineWidth = 2;
       ctx.beginPath();
-      ctx.arc(sx(highlight[0]), sy(highlight[1]), 6, 0, Math.PI * 2);
+      ctx.arc(x, y, 6, 0, Math.PI * 2);
+      ctx.stroke();
+      if (highlightFlagged) drawFlag(ctx, x, y, 6);
+    }
+
+    // lasso in progress
+    if (lasso?.length > 1) {
+      ctx.strokeStyle = "rgba(255,209,102,0.9)";
+      ctx.fillStyle = "rgba(255,209,102,0.08)";
+      ctx.lineWidth = 1;
+      ctx.setLineDash([4, 3]);
+      ctx.beginPath();
+      lasso.forEach(([x, y], i) => (i ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+      ctx.closePath();
+      ctx.fill();
       ctx.stroke();
+      ctx.setLineDash([]);
+    }
+  }, [points, samples, hidden, highlight, highlightFlagged, selectedIds, flaggedIds, hover, lasso, toScreen, width, height]);
+
+  // Wheel zoom around the cursor. Native listener: React's onWheel is passive and can't preventDefault.
+  useEffect(() => {
+    const canvas = ref.current;
+    if (!canvas) return;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const rect = canvas.getBoundingClientRect();
+      const mx = e.clientX - rect.left;
+      const my = e.clientY - rect.top;
+      const f = Math.exp(-e.deltaY * 0.0015);
+      setView((v) => {
+        const scale = Math.min(50, Math.max(0.5, v.scale * f));
+        const k = scale / v.scale;
+        return { scale, tx: mx - (mx - v.tx) * k, ty: my - (my - v.ty) * k };
+      });
+    };
+    canvas.addEventListener("wheel", onWheel, { passive: false });
+    return () => canvas.removeEventListener("wheel", onWheel);
+  }, []);
+
+  const localPos = (e) => {
+    const rect = ref.current.getBoundingClientRect();
+    return [e.clientX - rect.left, e.clientY - rect.top];
+  };
+
+  const nearestPoint = (x, y) => {
+    let best = null;
+    let bestD = HIT_RADIUS * HIT_RADIUS;
+    for (const p of screenRef.current) {
+      const d = (p.x - x) ** 2 + (p.y - y) ** 2;
+      if (d <= bestD) {
+        bestD = d;
+        best = p;
+      }
     }
-  }, [points, highlight, width, height]);
+    return best;
+  };
+
+  const onMouseDown = (e) => {
+    if (e.button !== 0 || !points.length) return;
+    e.preventDefault();
+    const [x, y] = localPos(e);
+    const mode = tool === "lasso" || e.shiftKey ? "lasso" : "pan";
+    dragRef.current = { mode, startX: x, startY: y, lastX: x, lastY: y, moved: false };
+    if (mode === "lasso") setLasso([[x, y]]);
+  };
+
+  const onMouseMove = (e) => {
+    const [x, y] = localPos(e);
+    const drag = dragRef.current;
+
+    if (!drag) {
+      const p = nearestPoint(x, y);
+      setHover(p ? { index: p.index, x: p.x, y: p.y } : null);
+      return;
+    }
+
+    if (Math.abs(x - drag.startX) + Math.abs(y - drag.startY) > 3) drag.moved = true;
+
+    if (drag.mode === "pan") {
+      const dx = x - drag.lastX;
+      const dy = y - drag.lastY;
+      setView((v) => ({ ...v, tx: v.tx + dx, ty: v.ty + dy }));
+      setHover(null);
+    } else {
+      setLasso((prev) => (prev ? [...prev, [x, y]] : [[x, y]]));
+    }
+    drag.lastX = x;
+    drag.lastY = y;
+  };
+
+  const onMouseUp = (e) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag) return;
+
+    // A click (no drag) on a point opens it
+    if (!drag.moved) {
+      setLasso(null);
+      const [x, y] = localPos(e);
+      const p = nearestPoint(x, y);
+      if (p) onPointClick?.(samples[p.index], p.index);
+      return;
+    }
+
+    if (drag.mode === "lasso") {
+      const poly = lasso ?? [];
+      setLasso(null);
+      if (poly.length < 3) return;
+      const ids = screenRef.current
+        .filter((p) => insidePolygon(p.x, p.y, poly))
+        .map((p) => samples[p.index]?.id)
+        .filter(Boolean);
+      onSelect?.(new Set(e.altKey && selectedIds ? [...selectedIds, ...ids] : ids));
+    }
+  };
+
+  const hovered = hover ? samples[hover.index] : null;
 
   return (
-    <canvas
-      ref={ref}
-      width={width}
-      height={height}
-      style={{
-        width,
-        height,
-        borderRadius: 14,
-        border: "1px solid rgba(255,255,255,0.12)",
-        display: "block",
-      }}
-    />
+    <div style={{ display: "grid", gap: 10 }}>
+      <div style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap" }}>
+        <button onClick={() => setTool("pan")} style={toolButton(tool === "pan")}>
+          Pan
+        </button>
+        <button onClick={() => setTool("lasso")} style={toolButton(tool === "lasso")} title="Or hold Shift while dragging">
+          Lasso
+        </button>
+        <button onClick={() => setView(DEFAULT_VIEW)} style={toolButton(false)}>
+          Reset view
+        </button>
+        <span style={{ fontSize: 12, opacity: 0.6 }}>Wheel to zoom · click a point to open it</span>
+      </div>
+
+      <div style={{ position: "relative", width, height }}>
+        <canvas
+          ref={ref}
+          width={width}
+          height={height}
+          onMouseDown={onMouseDown}
+          onMouseMove={onMouseMove}
+          onMouseUp={onMouseUp}
+          onMouseLeave={(e) => {
+            if (dragRef.current) onMouseUp(e);
+            setHover(null);
+          }}
+          style={{
+            width,
+            height,
+            borderRadius: 14,
+            border: "1px solid rgba(255,255,255,0.12)",
+            display: "block",
+            cursor: tool === "lasso" ? "crosshair" : hovered ? "pointer" : "grab",
+          }}
+        />
+
+        {hovered ? (
+          <div
+            style={{
+              position: "absolute",
+              left: Math.min(hover.x + 12, width - 140),
+              top: Math.max(0, Math.min(hover.y + 12, height - 92)),
+              display: "flex",
+              gap: 8,
+              padding: 8,
+              borderRadius: 10,
+              background: "rgba(11,11,16,0.92)",
+              border: "1px solid rgba(255,255,255,0.18)",
+              pointerEvents: "none",
+              fontSize: 12,
+            }}
+          >
+            <MnistPreview pixels={hovered.pixels} size={56} label={null} />
+            <div style={{ display: "grid", alignContent: "center", gap: 2 }}>
+              <span>
+                Label: <strong>{hovered.label ?? "—"}</strong>
+              </span>
+              <span style={{ opacity: 0.8 }}>Predicted: {hovered.predicted ?? "—"}</span>
+              {flaggedIds?.has(hovered.id) ? <span style={{ color: FLAG_COLOR }}>Not a digit?</span> : null}
+            </div>
+          </div>
+        ) : null}
+      </div>
+
+      {classes.length ? (
+        <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+          {classes.map((c) => {
+            const off = hidden.has(c.key);
+            return (
+              <button
+                key={c.key}
+                onClick={() => toggle(c.key)}
+                title={off ? "Show class" : "Hide class"}
+                style={{
+                  display: "flex",
+                  gap: 6,
+                  alignItems: "center",
+                  padding: "4px 8px",
+                  borderRadius: 999,
+                  border: "1px solid rgba(255,255,255,0.15)",
+                  background: "rgba(255,255,255,0.04)",
+                  color: "white",
+                  cursor: "pointer",
+                  fontSize: 12,
+                  opacity: off ? 0.4 : 1,
+                }}
+              >
+                <span style={{ width: 10, height: 10, borderRadius: 999, background: c.color }} />
+                {c.key} <span style={{ opacity: 0.7 }}>({c.count})</span>
+              </button>
+            );
+          })}
+        </div>
+      ) : null}
+    </div>
   );
 }
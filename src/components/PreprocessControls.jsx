@@ -0,0 +1,71 @@
+import React from "react";
+import { DEFAULT_PREPROCESS, SQUASH_PREPROCESS, PREPROCESS_STAGES } from "../ml/preprocess";
+
+// Numeric parameter per stage (stages without one are just on/off)
+const PARAMS = {
+  threshold: { key: "value", min: 0, max: 0.9, step: 0.05, format: (v) => v.toFixed(2) },
+  padding: { key: "px", min: 0, max: 60, step: 2, format: (v) => `${v}px` },
+  resize: { key: "box", min: 8, max: 28, step: 1, format: (v) => `${v}px` },
+  blur: { key: "sigma", min: 0.2, max: 2, step: 0.1, format: (v) => `σ ${v.toFixed(1)}` },
+};
+
+export default function PreprocessControls({ config, onChange }) {
+  const update = (id, patch) => onChange({ ...config, [id]: { ...config[id], ...patch } });
+
+  return (
+    <div style={{ display: "grid", gap: 8, fontSize: 13 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <strong>Preprocessing</strong>
+        <div style={{ display: "flex", gap: 6 }}>
+          <button
+            onClick={() => onChange(DEFAULT_PREPROCESS)}
+            style={{ padding: "4px 8px", borderRadius: 8, border: 0, cursor: "pointer", fontSize: 12 }}
+          >
+            MNIST
+          </button>
+          <button
+            onClick={() => onChange(SQUASH_PREPROCESS)}
+            style={{ padding: "4px 8px", borderRadius: 8, border: 0, cursor: "pointer", fontSize: 12 }}
+          >
+            Squash
+          </button>
+        </div>
+      </div>
+
+      {PREPROCESS_STAGES.map((stage) => {
+        const opts = config[stage.id] ?? DEFAULT_PREPROCESS[stage.id];
+        const param = PARAMS[stage.id];
+
+        return (
+          <div key={stage.id} style={{ display: "grid", gridTemplateColumns: "170px 1fr 56px", gap: 8, alignItems: "center" }}>
+            <label style={{ display: "flex", gap: 6, alignItems: "center", cursor: "pointer" }}>
+              <input type="checkbox" checked={!!opts.enabled} onChange={(e) => update(stage.id, { enabled: e.target.checked })} />
+              {stage.label}
+            </label>
+
+            {param ? (
+              <>
+                <input
+                  type="range"
+                  min={param.min}
+                  max={param.max}
+                  step={param.step}
+                  value={opts[param.key]}
+                  disabled={!opts.enabled}
+                  onChange={(e) => update(stage.id, { [param.key]: Number(e.target.value) })}
+                />
+                <span style={{ fontSize: 12, opacity: opts.enabled ? 0.85 : 0.4, textAlign: "right" }}>
+                  {param.format(opts[param.key])}
+                </span>
+              </>
+            ) : null}
+          </div>
+        );
+      })}
+
+      {!config.resize?.enabled ? (
+        <div style={{ fontSize: 12, opacity: 0.7 }}>Resize off: the image is stretched to 28×28.</div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+import React from "react";
+
+// Every class probability as a vertical bar; the top class is drawn solid
+export default function ProbabilityBars({ probs = [], labels = [], height = 90 }) {
+  if (!probs.length) return null;
+  let top = 0;
+  probs.forEach((p, i) => {
+    if (p > probs[top]) top = i;
+  });
+
+  return (
+    <div style={{ display: "flex", gap: 4, alignItems: "end", overflowX: "auto", paddingBottom: 2 }}>
+      {probs.map((p, i) => (
+        <div key={i} title={`${labels[i] ?? i}: ${(p * 100).toFixed(1)}%`} style={{ display: "grid", gap: 4, minWidth: 22, flex: 1 }}>
+          <div style={{ fontSize: 10, opacity: 0.7, textAlign: "center" }}>{Math.round(p * 100)}</div>
+          <div style={{ height, display: "flex", alignItems: "end", background: "rgba(255,255,255,0.05)", borderRadius: 4 }}>
+            <div
+              style={{
+                width: "100%",
+                height: `${Math.max(1, p * 100)}%`,
+                borderRadius: 4,
+                background: i === top ? "white" : "rgba(255,255,255,0.4)",
+              }}
+            />
+          </div>
+          <div style={{ fontSize: 12, textAlign: "center", fontWeight: i === top ? 700 : 400 }}>{labels[i] ?? i}</div>
+        </div>
+      ))}
+    </div>
+  );
+}
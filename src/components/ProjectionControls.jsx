@@ -0,0 +1,56 @@
+import React from "react";
+import { PROJECTIONS, getProjection } from "../ml/projection";
+
+const inputStyle = {
+  padding: "6px 8px",
+  borderRadius: 8,
+  border: "1px solid rgba(255,255,255,0.18)",
+  background: "rgba(255,255,255,0.05)",
+  color: "white",
+  outline: "none",
+};
+
+// Method selector plus that method's parameters (taken from its registry entry)
+export default function ProjectionControls({ method, params, onMethodChange, onParamsChange, disabled = false }) {
+  const spec = getProjection(method);
+
+  return (
+    <div style={{ display: "flex", gap: 12, flexWrap: "wrap", alignItems: "end", fontSize: 13 }}>
+      <label style={{ display: "grid", gap: 4 }}>
+        <span style={{ fontSize: 12, opacity: 0.75 }}>Method</span>
+        <select value={method} disabled={disabled} onChange={(e) => onMethodChange(e.target.value)} style={inputStyle}>
+          {PROJECTIONS.map((m) => (
+            <option key={m.id} value={m.id}>
+              {m.label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {spec.params.map((p) => (
+        <label key={p.key} style={{ display: "grid", gap: 4 }}>
+          <span style={{ fontSize: 12, opacity: 0.75 }}>{p.label}</span>
+          <input
+            type="number"
+            min={p.min}
+            max={p.max}
+            step={p.step}
+            value={params[p.key]}
+            disabled={disabled}
+            onChange={(e) => {
+              const v = Number(e.target.value);
+              if (Number.isFinite(v)) onParamsChange({ ...params, [p.key]: Math.min(p.max, Math.max(p.min, v)) });
+            }}
+            style={{ ...inputStyle, width: 80 }}
+          />
+        </label>
+      ))}
+
+      {!spec.canProject ? (
+        <span style={{ fontSize: 12, opacity: 0.7, alignSelf: "center" }}>
+          The live point is placed by its nearest samples.
+        </span>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+import React, { useEffect, useRef } from "react";
+
+// Accuracy per confidence bin against the diagonal (perfect calibration).
+// `before` is outlined, `after` (temperature-scaled) filled.
+export default function ReliabilityDiagram({ before = null, after = null, width = 260, height = 220 }) {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    const canvas = ref.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext("2d");
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = "rgba(255,255,255,0.02)";
+    ctx.fillRect(0, 0, width, height);
+
+    const pad = 28;
+    const size = Math.min(width, height) - pad - 8;
+    const x = (v) => pad + v * size;
+    const y = (v) => 8 + (1 - v) * size;
+
+    // axes, ticks and the diagonal
+    ctx.strokeStyle = "rgba(255,255,255,0.15)";
+    ctx.fillStyle = "rgba(255,255,255,0.5)";
+    ctx.font = "10px system-ui";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x(0), y(1), size, size);
+    for (const v of [0, 0.5, 1]) {
+      ctx.fillText(v.toFixed(1), x(v) - 6, y(0) + 12);
+      ctx.fillText(v.toFixed(1), 4, y(v) + 3);
+    }
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(x(0), y(0));
+    ctx.lineTo(x(1), y(1));
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    const drawBins = (res, filled) => {
+      if (!res) return;
+      for (const b of res.bins) {
+        if (!b.count) continue;
+        const w = (b.hi - b.lo) * size;
+        if (filled) {
+          ctx.fillStyle = "rgba(255,209,102,0.55)";
+          ctx.fillRect(x(b.lo) + 1, y(b.accuracy), w - 2, y(0) - y(b.accuracy));
+        } else {
+          ctx.strokeStyle = "rgba(255,255,255,0.8)";
+          ctx.strokeRect(x(b.lo) + 1, y(b.accuracy), w - 2, y(0) - y(b.accuracy));
+        }
+      }
+    };
+    drawBins(after, true);
+    drawBins(before, false);
+  }, [before, after, width, height]);
+
+  return (
+    <canvas
+      ref={ref}
+      width={width}
+      height={height}
+      style={{ width, height, borderRadius: 10, border: "1px solid rgba(255,255,255,0.1)", display: "block" }}
+    />
+  );
+}
@@ -0,0 +1,221 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { classColor, labelKey } from "./classColors";
+
+const CAMERA_DISTANCE = 3.2;
+
+// Rotate (yaw around Y, then pitch around X) and perspective-project a unit-cube point
+function projectPoint([x, y, z], cam, cx, cy, focal) {
+  const cyw = Math.cos(cam.yaw);
+  const syw = Math.sin(cam.yaw);
+  const cp = Math.cos(cam.pitch);
+  const sp = Math.sin(cam.pitch);
+
+  const x1 = x * cyw + z * syw;
+  const z1 = -x * syw + z * cyw;
+  const y2 = y * cp - z1 * sp;
+  const z2 = y * sp + z1 * cp;
+
+  const s = focal / (CAMERA_DISTANCE + z2);
+  return { x: cx + x1 * s, y: cy - y2 * s, depth: z2, scale: s / focal };
+}
+
+/**
+ * 3D scatter drawn with the 2D canvas API (no 3D framework).
+ * points[i] = [x, y, z] for samples[i]; drag to orbit, wheel to zoom.
+ * Samples in `flaggedIds` get a red cross ("not a digit"); classes in `hiddenClasses` (hidden in
+ * the 2D plot's legend) are left out.
+ */
+export default function Scatter3D({
+  points = [],
+  samples = [],
+  highlight = null,
+  flaggedIds = null,
+  hiddenClasses = null,
+  axisLabels = ["X", "Y", "Z"],
+  width = 420,
+  height = 320,
+}) {
+  const ref = useRef(null);
+  const camRef = useRef({ yaw: 0.6, pitch: 0.35, zoom: 1 });
+  const dragRef = useRef(null);
+  const [autoRotate, setAutoRotate] = useState(true);
+
+  // Fit the data into [-1, 1]^3 (same scale on every axis so distances stay honest)
+  const fit = useMemo(() => {
+    if (!points.length) return null;
+    const lo = [Infinity, Infinity, Infinity];
+    const hi = [-Infinity, -Infinity, -Infinity];
+    for (const p of points) {
+      for (let a = 0; a < 3; a++) {
+        const v = p[a] ?? 0;
+        if (v < lo[a]) lo[a] = v;
+        if (v > hi[a]) hi[a] = v;
+      }
+    }
+    const center = lo.map((l, a) => (l + hi[a]) / 2);
+    const half = Math.max(...hi.map((h, a) => (h - lo[a]) / 2), 1e-9);
+    return (p) => [0, 1, 2].map((a) => ((p[a] ?? 0) - center[a]) / half);
+  }, [points]);
+
+  const draw = useCallback(() => {
+    const canvas = ref.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext("2d");
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = "rgba(255,255,255,0.02)";
+    ctx.fillRect(0, 0, width, height);
+
+    if (!fit) {
+      ctx.fillStyle = "rgba(255,255,255,0.7)";
+      ctx.font = "12px system-ui";
+      ctx.fillText("No projected points yet", 12, 20);
+      return;
+    }
+
+    const cam = camRef.current;
+    const cx = width / 2;
+    const cy = height / 2;
+    const focal = Math.min(width, height) * 0.42 * CAMERA_DISTANCE * cam.zoom;
+
+    // axes from the origin
+    ctx.lineWidth = 1;
+    ctx.font = "11px system-ui";
+    const origin = projectPoint([0, 0, 0], cam, cx, cy, focal);
+    [
+      [1.15, 0, 0],
+      [0, 1.15, 0],
+      [0, 0, 1.15],
+    ].forEach((end, a) => {
+      const p = projectPoint(end, cam, cx, cy, focal);
+      ctx.strokeStyle = "rgba(255,255,255,0.25)";
+      ctx.beginPath();
+      ctx.moveTo(origin.x, origin.y);
+      ctx.lineTo(p.x, p.y);
+      ctx.stroke();
+      ctx.fillStyle = "rgba(255,255,255,0.6)";
+      ctx.fillText(axisLabels[a], p.x + 3, p.y - 3);
+    });
+
+    // far points first so near ones paint over them
+    const projected = [];
+    points.forEach((p, i) => {
+      if (hiddenClasses?.has(labelKey(samples[i]?.label))) return;
+      projected.push({ i, ...projectPoint(fit(p), cam, cx, cy, focal) });
+    });
+    projected.sort((a, b) => b.depth - a.depth);
+
+    for (const p of projected) {
+      ctx.globalAlpha = Math.max(0.35, Math.min(1, 1.2 - p.depth * 0.3));
+      ctx.fillStyle = classColor(samples[p.i]?.label);
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, Math.max(1.5, 2.8 * p.scale * CAMERA_DISTANCE), 0, Math.PI * 2);
+      ctx.fill();
+      if (flaggedIds?.has(samples[p.i]?.id)) {
+        ctx.strokeStyle = "#ff6b6b";
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(p.x - 4, p.y - 4);
+        ctx.lineTo(p.x + 4, p.y + 4);
+        ctx.moveTo(p.x + 4, p.y - 4);
+        ctx.lineTo(p.x - 4, p.y + 4);
+        ctx.stroke();
+      }
+    }
+    ctx.globalAlpha = 1;
+
+    // highlight current
+    if (highlight) {
+      const h = projectPoint(fit(highlight), cam, cx, cy, focal);
+      ctx.strokeStyle = "white";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(h.x, h.y, 6, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  }, [fit, points, samples, highlight, flaggedIds, hiddenClasses, axisLabels, width, height]);
+
+  useEffect(() => {
+    draw();
+  }, [draw]);
+
+  useEffect(() => {
+    if (!autoRotate) return;
+    let raf = 0;
+    const tick = () => {
+      if (!dragRef.current) camRef.current.yaw += 0.006;
+      draw();
+      raf = requestAnimationFrame(tick);
+    };
+    raf = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(raf);
+  }, [autoRotate, draw]);
+
+  // Wheel zoom (native listener so the page doesn't scroll)
+  useEffect(() => {
+    const canvas = ref.current;
+    if (!canvas) return;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const cam = camRef.current;
+      cam.zoom = Math.min(8, Math.max(0.3, cam.zoom * Math.exp(-e.deltaY * 0.0015)));
+      draw();
+    };
+    canvas.addEventListener("wheel", onWheel, { passive: false });
+    return () => canvas.removeEventListener("wheel", onWheel);
+  }, [draw]);
+
+  const onMouseDown = (e) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    dragRef.current = { x: e.clientX, y: e.clientY };
+  };
+
+  const onMouseMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const cam = camRef.current;
+    cam.yaw += (e.clientX - drag.x) * 0.01;
+    cam.pitch = Math.max(-1.5, Math.min(1.5, cam.pitch + (e.clientY - drag.y) * 0.01));
+    drag.x = e.clientX;
+    drag.y = e.clientY;
+    draw();
+  };
+
+  const endDrag = () => {
+    dragRef.current = null;
+  };
+
+  return (
+    <div style={{ display: "grid", gap: 8 }}>
+      <canvas
+        ref={ref}
+        width={width}
+        height={height}
+        onMouseDown={onMouseDown}
+        onMouseMove={onMouseMove}
+        onMouseUp={endDrag}
+        onMouseLeave={endDrag}
+        style={{
+          width,
+          height,
+          borderRadius: 14,
+          border: "1px solid rgba(255,255,255,0.12)",
+          display: "block",
+          cursor: "grab",
+        }}
+      />
+      <div style={{ display: "flex", gap: 12, alignItems: "center", fontSize: 12 }}>
+        <label style={{ display: "flex", gap: 6, alignItems: "center", cursor: "pointer" }}>
+          <input type="checkbox" checked={autoRotate} onChange={(e) => setAutoRotate(e.target.checked)} />
+          Auto-rotate
+        </label>
+        <span style={{ opacity: 0.6 }}>Drag to orbit · wheel to zoom</span>
+        {hiddenClasses?.size ? (
+          <span style={{ opacity: 0.6 }}>
+            {hiddenClasses.size} class{hiddenClasses.size === 1 ? "" : "es"} hidden in the 2D legend
+          </span>
+        ) : null}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+import React, { useEffect, useRef } from "react";
+
+// Explained variance per component (bars) and cumulative (line).
+// Components currently on the plot axes are drawn solid, the rest dimmed.
+export default function ScreePlot({ ratios = [], selected = [], width = 420, height = 120 }) {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    const canvas = ref.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext("2d");
+    ctx.clearRect(0, 0, width, height);
+
+    ctx.fillStyle = "rgba(255,255,255,0.02)";
+    ctx.fillRect(0, 0, width, height);
+
+    if (!ratios.length) return;
+
+    const padL = 30;
+    const padR = 8;
+    const padT = 10;
+    const padB = 18;
+    const plotW = width - padL - padR;
+    const plotH = height - padT - padB;
+    const slot = plotW / ratios.length;
+    const y = (v) => padT + (1 - v) * plotH;
+
+    // grid: 0, 50, 100%
+    ctx.strokeStyle = "rgba(255,255,255,0.08)";
+    ctx.fillStyle = "rgba(255,255,255,0.5)";
+    ctx.font = "10px system-ui";
+    ctx.lineWidth = 1;
+    for (const v of [0, 0.5, 1]) {
+      ctx.beginPath();
+      ctx.moveTo(padL, y(v));
+      ctx.lineTo(width - padR, y(v));
+      ctx.stroke();
+      ctx.fillText(`${v * 100}%`, 2, y(v) + 3);
+    }
+
+    // bars
+    ratios.forEach((r, i) => {
+      ctx.fillStyle = selected.includes(i) ? "white" : "rgba(255,255,255,0.35)";
+      const x = padL + i * slot + slot * 0.15;
+      ctx.fillRect(x, y(r), slot * 0.7, y(0) - y(r));
+      ctx.fillStyle = "rgba(255,255,255,0.6)";
+      ctx.fillText(String(i + 1), padL + i * slot + slot / 2 - 3, height - 5);
+    });
+
+    // cumulative
+    ctx.strokeStyle = "#ffd166";
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    let cum = 0;
+    ratios.forEach((r, i) => {
+      cum += r;
+      const px = padL + i * slot + slot / 2;
+      if (i === 0) ctx.moveTo(px, y(cum));
+      else ctx.lineTo(px, y(cum));
+    });
+    ctx.stroke();
+  }, [ratios, selected, width, height]);
+
+  return (
+    <canvas
+      ref={ref}
+      width={width}
+      height={height}
+      style={{
+        width,
+        height,
+        borderRadius: 14,
+        border: "1px solid rgba(255,255,255,0.12)",
+        display: "block",
+      }}
+    />
+  );
+}
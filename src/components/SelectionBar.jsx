@@ -0,0 +1,59 @@
+import React, { useState } from "react";
+
+const button = { padding: "6px 10px", borderRadius: 10, border: 0, cursor: "pointer", fontSize: 13 };
+
+// Actions for the samples picked with the lasso
+export default function SelectionBar({ count, labels, onRelabel, onDelete, onExport, onClear }) {
+  const [label, setLabel] = useState(String(labels[0] ?? ""));
+
+  if (!count) return null;
+
+  return (
+    <div
+      style={{
+        display: "flex",
+        gap: 8,
+        alignItems: "center",
+        flexWrap: "wrap",
+        padding: 8,
+        borderRadius: 12,
+        background: "rgba(255,209,102,0.08)",
+        border: "1px solid rgba(255,209,102,0.3)",
+        fontSize: 13,
+      }}
+    >
+      <strong>{count} selected</strong>
+
+      <select
+        value={label}
+        onChange={(e) => setLabel(e.target.value)}
+        style={{
+          padding: "5px 8px",
+          borderRadius: 8,
+          border: "1px solid rgba(255,255,255,0.18)",
+          background: "rgba(255,255,255,0.05)",
+          color: "white",
+          outline: "none",
+        }}
+      >
+        {labels.map((l) => (
+          <option key={l} value={l}>
+            {l}
+          </option>
+        ))}
+      </select>
+      <button onClick={() => onRelabel(label)} style={button}>
+        Relabel
+      </button>
+      <button onClick={onDelete} style={button}>
+        Delete
+      </button>
+      <button onClick={onExport} style={button}>
+        Export
+      </button>
+      <button onClick={onClear} style={button}>
+        Clear selection
+      </button>
+    </div>
+  );
+}
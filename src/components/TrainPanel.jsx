@@ -0,0 +1,307 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import LineChart from "./LineChart";
+import { logRegToJson, trainLogReg } from "../ml/logreg";
+import { HEAD_TYPES, parseHead, serializeHead, trainHead } from "../ml/head";
+import { isDigitLabel } from "../ml/labels";
+import { downloadText, fileStamp } from "../utils/download";
+
+const inputStyle = {
+  padding: "6px 8px",
+  borderRadius: 8,
+  border: "1px solid rgba(255,255,255,0.18)",
+  background: "rgba(255,255,255,0.05)",
+  color: "white",
+  outline: "none",
+};
+
+const button = { padding: "8px 10px", borderRadius: 10, border: 0, cursor: "pointer" };
+
+const LEARNING_RATE = { key: "learningRate", label: "Learning rate", min: 0.0001, max: 1, step: 0.001 };
+const L2 = { key: "l2", label: "L2", min: 0, max: 0.1, step: 0.0001 };
+const EPOCHS = { key: "epochs", label: "Epochs", min: 1, max: 500, step: 1 };
+const HELD_OUT = { key: "validationSplit", label: "Held-out", min: 0, max: 0.5, step: 0.05 };
+const NEIGHBORS = { key: "k", label: "Neighbors", min: 1, max: 50, step: 1 };
+
+// What can be trained: the pixel logistic regression, or a head on the CNN embedding
+const TARGETS = [
+  {
+    id: "logreg",
+    label: "Logistic regression (pixels, digits)",
+    params: [LEARNING_RATE, L2, EPOCHS, HELD_OUT],
+    defaults: { learningRate: 0.01, l2: 0.0001, epochs: 30, validationSplit: 0.2 },
+  },
+  {
+    id: "dense",
+    label: "CNN head: dense softmax (any labels)",
+    params: [LEARNING_RATE, L2, EPOCHS, HELD_OUT],
+    defaults: { learningRate: 0.005, l2: 0.0001, epochs: 40, validationSplit: 0.2 },
+  },
+  {
+    id: "knn",
+    label: "CNN head: k-NN (any labels)",
+    params: [NEIGHBORS, HELD_OUT],
+    defaults: { k: 5, validationSplit: 0.2 },
+  },
+];
+
+const percent = (v) => `${Math.round(v * 100)}%`;
+const hasLabel = (l) => l !== null && l !== undefined && l !== "";
+
+/**
+ * Trains on the labeled samples: the logistic regression (784 -> 10) on pixels, or a
+ * personalized head on CNN embeddings (computed through `embed`, which rejects when the CNN isn't loaded).
+ */
+export default function TrainPanel({ samples, onApplyLogReg, head, onApplyHead, embed, canEmbed }) {
+  const [target, setTarget] = useState("logreg");
+  const [paramsByTarget, setParamsByTarget] = useState(() => Object.fromEntries(TARGETS.map((t) => [t.id, t.defaults])));
+  const [history, setHistory] = useState([]);
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [status, setStatus] = useState("");
+  const [error, setError] = useState("");
+  const abortRef = useRef(null);
+  const importRef = useRef(null);
+
+  const spec = TARGETS.find((t) => t.id === target);
+  const params = paramsByTarget[target];
+  const isHead = target !== "logreg";
+
+  // The 10-way model only learns digit labels; heads take any label
+  const labeled = useMemo(
+    () => samples.filter((s) => s.pixels?.length === 784 && (isHead ? hasLabel(s.label) : isDigitLabel(s.label))),
+    [samples, isHead]
+  );
+  const classCount = new Set(labeled.map((s) => String(s.label))).size;
+  const blocked = labeled.length < 2 || (isHead && !canEmbed);
+
+  // Stop a run when the panel goes away
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const changeTarget = (id) => {
+    setTarget(id);
+    setHistory([]);
+    setResult(null);
+    setStatus("");
+    setError("");
+  };
+
+  const train = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setRunning(true);
+    setError("");
+    setStatus("");
+    setHistory([]);
+    setResult(null);
+
+    const onEpoch = (entry) => setHistory((prev) => [...prev, entry]);
+
+    try {
+      if (!isHead) {
+        const res = await trainLogReg({
+          inputs: labeled.map((s) => s.pixels),
+          labels: labeled.map((s) => Number(s.label)),
+          ...params,
+          signal: controller.signal,
+          onEpoch,
+        });
+        setResult({ target, ...res });
+        return;
+      }
+
+      setStatus(`Embedding ${labeled.length} samples with the CNN…`);
+      const embeddings = await embed(labeled.map((s) => s.pixels));
+      if (controller.signal.aborted) return;
+      setStatus("");
+
+      const res = await trainHead({
+        type: target,
+        embeddings,
+        labels: labeled.map((s) => s.label),
+        embedding: "cnn-penultimate",
+        ...params,
+        signal: controller.signal,
+        onEpoch,
+      });
+      setResult({ target, ...res });
+    } catch (e) {
+      console.error(e);
+      setStatus("");
+      setError(e?.message ?? String(e));
+    } finally {
+      abortRef.current = null;
+      setRunning(false);
+    }
+  };
+
+  const importHead = async (file) => {
+    if (!file) return;
+    try {
+      setError("");
+      onApplyHead(parseHead(await file.text()));
+    } catch (e) {
+      setError(`Import failed: ${e?.message ?? String(e)}`);
+    }
+  };
+
+  const download = () => {
+    if (result.target === "logreg") downloadText("logreg.json", logRegToJson(result), "application/json");
+    else downloadText(`head-${result.type}-${fileStamp()}.json`, serializeHead(result), "application/json");
+  };
+
+  const headLabel = (h) => HEAD_TYPES.find((t) => t.id === h.type)?.label ?? h.type;
+
+  const last = history[history.length - 1];
+  const lossSeries = useMemo(
+    () => [
+      { name: "train loss", color: "white", values: history.map((h) => h.loss) },
+      { name: "held-out loss", color: "#ffd166", values: history.map((h) => h.valLoss) },
+    ],
+    [history]
+  );
+  const accSeries = useMemo(
+    () => [
+      { name: "train acc", color: "white", values: history.map((h) => h.acc) },
+      { name: "held-out acc", color: "#ffd166", values: history.map((h) => h.valAcc) },
+    ],
+    [history]
+  );
+
+  return (
+    <div style={{ display: "grid", gap: 12, fontSize: 13 }}>
+      <label style={{ display: "grid", gap: 4 }}>
+        <span style={{ fontSize: 12, opacity: 0.75 }}>Train</span>
+        <select value={target} disabled={running} onChange={(e) => changeTarget(e.target.value)} style={inputStyle}>
+          {TARGETS.map((t) => (
+            <option key={t.id} value={t.id}>
+              {t.label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <div style={{ opacity: 0.75 }}>
+        {labeled.length} labeled samples over {classCount} {isHead ? "classes" : "digits"}. Label drawings before adding
+        them (or relabel them in the plot) to train on your own handwriting
+        {isHead ? "; a head can also learn new classes such as letters or symbols." : "."}
+      </div>
+      {isHead && !canEmbed ? (
+        <div style={{ color: "#ffd166" }}>Heads train on CNN embeddings, but no model in the manifest provides one.</div>
+      ) : null}
+
+      <div style={{ display: "flex", gap: 12, flexWrap: "wrap", alignItems: "end" }}>
+        {spec.params.map((p) => (
+          <label key={p.key} style={{ display: "grid", gap: 4 }}>
+            <span style={{ fontSize: 12, opacity: 0.75 }}>{p.label}</span>
+            <input
+              type="number"
+              min={p.min}
+              max={p.max}
+              step={p.step}
+              value={params[p.key]}
+              disabled={running}
+              onChange={(e) => {
+                const v = Number(e.target.value);
+                if (!Number.isFinite(v)) return;
+                setParamsByTarget((prev) => ({
+                  ...prev,
+                  [target]: { ...prev[target], [p.key]: Math.min(p.max, Math.max(p.min, v)) },
+                }));
+              }}
+              style={{ ...inputStyle, width: 80 }}
+            />
+          </label>
+        ))}
+      </div>
+
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center" }}>
+        {running ? (
+          <button onClick={() => abortRef.current?.abort()} style={button}>
+            Stop
+          </button>
+        ) : (
+          <button
+            onClick={train}
+            disabled={blocked}
+            style={{ ...button, cursor: blocked ? "not-allowed" : "pointer", opacity: blocked ? 0.6 : 1 }}
+          >
+            Train
+          </button>
+        )}
+        <button onClick={download} disabled={!result || running} style={{ ...button, opacity: result && !running ? 1 : 0.6 }}>
+          {isHead ? "Download head.json" : "Download logreg.json"}
+        </button>
+        <button
+          onClick={() => (result.target === "logreg" ? onApplyLogReg(result) : onApplyHead(result))}
+          disabled={!result || running}
+          style={{ ...button, opacity: result && !running ? 1 : 0.6 }}
+        >
+          Use in app
+        </button>
+        {status ? <span style={{ fontSize: 12, opacity: 0.8 }}>{status}</span> : null}
+        {result?.target === "knn" ? (
+          <span style={{ fontSize: 12, opacity: 0.8 }}>
+            {result.embeddings.length} stored embeddings
+            {result.valAcc != null ? ` · held-out ${percent(result.valAcc)}` : ""}
+          </span>
+        ) : null}
+        {last ? (
+          <span style={{ fontSize: 12, opacity: 0.8 }}>
+            Epoch {last.epoch}/{params.epochs}
+            {result?.stopped ? " (stopped)" : ""} · train {percent(last.acc)}
+            {last.valAcc != null ? ` · held-out ${percent(last.valAcc)}` : ""}
+          </span>
+        ) : null}
+      </div>
+
+      {error ? <div style={{ color: "#ff6b6b" }}>{error}</div> : null}
+
+      {history.length ? (
+        <>
+          <LineChart series={lossSeries} />
+          <LineChart series={accSeries} yMax={1} formatY={percent} />
+        </>
+      ) : null}
+
+      {isHead ? (
+        <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center", fontSize: 12 }}>
+          <span style={{ opacity: 0.75 }}>
+            {head
+              ? `Active head: ${headLabel(head)}, ${head.classes.length} classes (${head.classes.join(", ")})`
+              : "No personalized head yet."}
+          </span>
+          {head ? (
+            <button
+              onClick={() => downloadText(`head-${head.type}-${fileStamp()}.json`, serializeHead(head), "application/json")}
+              style={{ ...button, padding: "4px 8px", fontSize: 12 }}
+            >
+              Export
+            </button>
+          ) : null}
+          <button onClick={() => importRef.current?.click()} style={{ ...button, padding: "4px 8px", fontSize: 12 }}>
+            Import…
+          </button>
+          {head ? (
+            <button onClick={() => onApplyHead(null)} style={{ ...button, padding: "4px 8px", fontSize: 12 }}>
+              Remove
+            </button>
+          ) : null}
+          <input
+            ref={importRef}
+            type="file"
+            accept=".json,application/json"
+            style={{ display: "none" }}
+            onChange={(e) => {
+              importHead(e.target.files?.[0]);
+              e.target.value = "";
+            }}
+          />
+        </div>
+      ) : (
+        <div style={{ fontSize: 12, opacity: 0.6 }}>
+          Place the downloaded file at public/model/logreg/logreg.json to ship it as the default weights.
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+// One color per class, shared by every plot so a "7" looks the same everywhere.
+// Digits use a fixed categorical palette; any other label gets a stable hashed hue.
+
+export const CLASS_COLORS = [
+  "#4e79a7", // 0
+  "#f28e2b", // 1
+  "#e15759", // 2
+  "#76b7b2", // 3
+  "#59a14f", // 4
+  "#edc948", // 5
+  "#b07aa1", // 6
+  "#ff9da7", // 7
+  "#9c755f", // 8
+  "#bab0ac", // 9
+];
+
+export const UNLABELED_COLOR = "rgba(255,255,255,0.65)";
+
+// A label's class in the plot legends (and in their set of hidden classes)
+export const labelKey = (label) => (label === null || label === undefined ? "unlabeled" : String(label));
+
+export function classColor(label) {
+  if (label === null || label === undefined || label === "") return UNLABELED_COLOR;
+
+  const n = Number(label);
+  if (Number.isInteger(n) && n >= 0 && n < CLASS_COLORS.length) return CLASS_COLORS[n];
+
+  let h = 0;
+  const s = String(label);
+  for (let i = 0; i < s.length; i++) h = (h * 31 + s.charCodeAt(i)) % 360;
+  return `hsl(${h}, 65%, 62%)`;
+}
@@ -1,4 +1,6 @@
 import ReactDOM from "react-dom/client";
 import App from "./App.jsx";
+import { registerServiceWorker } from "./serviceWorker";
 
-ReactDOM.createRoot(document.getElementById("root")).render(<App />);
\ No newline at end of file
+ReactDOM.createRoot(document.getElementById("root")).render(<App />);
+registerServiceWorker();
@@ -0,0 +1,83 @@
+// src/ml/backend.js
+// Runtime backend switching and a repeatable latency benchmark. WebGL and CPU ship with
+// @tensorflow/tfjs; the WebAssembly backend is its own chunk (src/ml/wasmBackend.js), loaded
+// the first time it is picked.
+import * as tf from "@tensorflow/tfjs";
+import { MNIST_SIZE } from "./preprocess";
+
+export const BACKENDS = [
+  { id: "webgl", label: "WebGL (GPU)" },
+  { id: "wasm", label: "WebAssembly" },
+  { id: "cpu", label: "CPU (plain JavaScript)" },
+];
+
+/**
+ * Switch every later tf call to `id`. Tensors that already exist (model weights included) move
+ * to the new backend the next time they are used, so loaded models keep working.
+ * @returns {Promise<string>} the active backend
+ */
+export async function switchBackend(id) {
+  if (!BACKENDS.some((b) => b.id === id)) throw new Error(`Unknown backend "${id}".`);
+  if (id === "wasm" && !tf.findBackendFactory("wasm")) await import("./wasmBackend");
+
+  const previous = tf.getBackend();
+  if (!(await tf.setBackend(id))) {
+    if (previous) await tf.setBackend(previous);
+    throw new Error(`The ${id} backend could not be initialized in this browser.`);
+  }
+  await tf.ready();
+  return tf.getBackend();
+}
+
+// Same inputs on every run: a fixed pseudo-random image per batch slot (a small LCG), in [0, 1]
+function benchmarkInput(batchSize, seed) {
+  const data = new Float32Array(batchSize * MNIST_SIZE * MNIST_SIZE);
+  let s = seed >>> 0;
+  for (let i = 0; i < data.length; i++) {
+    s = (Math.imul(s, 1664525) + 1013904223) >>> 0;
+    data[i] = s / 2 ** 32;
+  }
+  return tf.tensor4d(data, [batchSize, MNIST_SIZE, MNIST_SIZE, 1]);
+}
+
+/**
+ * Time `runs` predictions of a runtime model (src/ml/modelRegistry.js) after `warmup` untimed
+ * ones; the first warm-up call, which compiles shaders or kernels, is reported separately.
+ * Each timing includes reading the probabilities back, as a real prediction does.
+ * @param {{runs?: number, warmup?: number, batchSize?: number, seed?: number}} [options]
+ * @returns {Promise<{backend: string, batchSize: number, runs: number, firstMs: number,
+ *   meanMs: number, medianMs: number, p95Ms: number, minMs: number, maxMs: number, imagesPerSecond: number}>}
+ */
+export async function benchmarkModel(runtime, { runs = 50, warmup = 5, batchSize = 1, seed = 1 } = {}) {
+  // The personalized head classifies one drawing at a time
+  const batch = runtime.entry.format === "head" ? 1 : batchSize;
+  const x = benchmarkInput(batch, seed);
+  const times = [];
+  let firstMs = 0;
+  try {
+    for (let i = 0; i < warmup + runs; i++) {
+      const started = performance.now();
+      await runtime.predict(x);
+      const ms = performance.now() - started;
+      if (i === 0) firstMs = ms;
+      if (i >= warmup) times.push(ms);
+    }
+  } finally {
+    x.dispose();
+  }
+
+  const sorted = [...times].sort((a, b) => a - b);
+  const meanMs = sorted.reduce((a, b) => a + b, 0) / sorted.length;
+  return {
+    backend: tf.getBackend(),
+    batchSize: batch,
+    runs,
+    firstMs,
+    meanMs,
+    medianMs: sorted[Math.floor(sorted.length / 2)],
+    p95Ms: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+    minMs: sorted[0],
+    maxMs: sorted[sorted.length - 1],
+    imagesPerSecond: (batch * 1000) / meanMs,
+  };
+}
@@ -0,0 +1,134 @@
+// src/ml/calibration.js
+// Uncertainty and calibration on top of any model's output probabilities.
+// Temperature scaling only needs the probabilities: log(p) equals the logits up to a
+// constant, so softmax(log(p) / T) is softmax(logits / T).
+import * as tf from "@tensorflow/tfjs";
+
+const EPS = 1e-12;
+
+export const DEFAULT_THRESHOLDS = { minConfidence: 0.5, minMargin: 0.15 };
+
+export function applyTemperature(probs, temperature = 1) {
+  if (temperature === 1) return Array.from(probs);
+  const z = Array.from(probs, (p) => Math.log(Math.max(p, EPS)) / temperature);
+  const max = Math.max(...z);
+  const exp = z.map((v) => Math.exp(v - max));
+  const sum = exp.reduce((a, b) => a + b, 0);
+  return exp.map((e) => e / sum);
+}
+
+// Entropy divided by its maximum (log of the class count): 0 = certain, 1 = uniform
+export function normalizedEntropy(probs) {
+  if (probs.length < 2) return 0;
+  let h = 0;
+  for (const p of probs) if (p > 0) h -= p * Math.log(p);
+  return h / Math.log(probs.length);
+}
+
+// Top-1 probability, and its lead over the runner-up
+export function confidenceAndMargin(probs) {
+  const sorted = Array.from(probs).sort((a, b) => b - a);
+  return { confidence: sorted[0] ?? 0, margin: (sorted[0] ?? 0) - (sorted[1] ?? 0) };
+}
+
+export function isUnsure(probs, { minConfidence, minMargin } = DEFAULT_THRESHOLDS) {
+  const { confidence, margin } = confidenceAndMargin(probs);
+  return confidence < minConfidence || margin < minMargin;
+}
+
+function nll(probsList, labels, temperature) {
+  let sum = 0;
+  probsList.forEach((p, i) => {
+    sum -= Math.log(Math.max(applyTemperature(p, temperature)[labels[i]], EPS));
+  });
+  return sum / probsList.length;
+}
+
+/**
+ * Confidence vs accuracy in equal-width confidence bins, and the expected calibration error
+ * (bin-size-weighted mean gap between the two).
+ */
+export function reliability(probsList, labels, bins = 10) {
+  const stats = Array.from({ length: bins }, (_, b) => ({ lo: b / bins, hi: (b + 1) / bins, count: 0, conf: 0, correct: 0 }));
+  probsList.forEach((p, i) => {
+    let top = 0;
+    for (let c = 1; c < p.length; c++) if (p[c] > p[top]) top = c;
+    const bin = stats[Math.min(bins - 1, Math.floor(p[top] * bins))];
+    bin.count += 1;
+    bin.conf += p[top];
+    bin.correct += top === labels[i] ? 1 : 0;
+  });
+
+  const n = probsList.length || 1;
+  let ece = 0;
+  const result = stats.map((b) => {
+    const confidence = b.count ? b.conf / b.count : null;
+    const accuracy = b.count ? b.correct / b.count : null;
+    if (b.count) ece += (b.count / n) * Math.abs(accuracy - confidence);
+    return { lo: b.lo, hi: b.hi, count: b.count, confidence, accuracy };
+  });
+  return { bins: result, ece, accuracy: stats.reduce((s, b) => s + b.correct, 0) / n };
+}
+
+/**
+ * Temperature minimizing the negative log-likelihood of the labels (golden-section search
+ * over log T, which is unimodal for this problem).
+ * @returns {{temperature: number, nllBefore: number, nllAfter: number, before: object, after: object}}
+ *   before/after are reliability() results
+ */
+export function fitTemperature(probsList, labels, { min = 0.05, max = 20, iterations = 40 } = {}) {
+  if (probsList.length < 2) throw new Error("Need at least 2 labeled samples to fit a temperature.");
+
+  const f = (logT) => nll(probsList, labels, Math.exp(logT));
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let a = Math.log(min);
+  let b = Math.log(max);
+  let c = b - ratio * (b - a);
+  let d = a + ratio * (b - a);
+  let fc = f(c);
+  let fd = f(d);
+  for (let i = 0; i < iterations; i++) {
+    if (fc < fd) {
+      b = d;
+      d = c;
+      fd = fc;
+      c = b - ratio * (b - a);
+      fc = f(c);
+    } else {
+      a = c;
+      c = d;
+      fc = fd;
+      d = a + ratio * (b - a);
+      fd = f(d);
+    }
+  }
+
+  const temperature = Math.exp((a + b) / 2);
+  const scaled = probsList.map((p) => applyTemperature(p, temperature));
+  return {
+    temperature,
+    nllBefore: nll(probsList, labels, 1),
+    nllAfter: nll(probsList, labels, temperature),
+    before: reliability(probsList, labels),
+    after: reliability(scaled, labels),
+  };
+}
+
+// Raw probabilities of a runtime model (src/ml/modelRegistry.js) for stored 28x28 drawings
+export async function predictPixels(runtime, pixelsList, onProgress) {
+  const out = [];
+  for (let i = 0; i < pixelsList.length; i++) {
+    const input = tf.tensor4d(Float32Array.from(pixelsList[i]), [1, 28, 28, 1]);
+    try {
+      out.push(await runtime.predict(input));
+    } finally {
+      input.dispose();
+    }
+    if (i % 50 === 49) {
+      onProgress?.((i + 1) / pixelsList.length);
+      await tf.nextFrame();
+    }
+  }
+  onProgress?.(1);
+  return out;
+}
@@ -1,30 +1,22 @@
 // src/ml/cnnEmbedding.js
 import * as tf from "@tensorflow/tfjs";
+import { denseOutputs } from "./graphInspect";
 
 export const DEFAULT_EMBEDDING_NODE =
   "StatefulPartitionedCall/sequential_1/dense_1/Relu";
 
-export function resolveEmbeddingOutputName(graphModel) {
-  const preferred = "StatefulPartitionedCall/sequential_1/dense_1/Relu";
-
+// `preferred` comes from the model manifest (or the graph inspector). Without it, the output of
+// the next-to-last dense layer: the classifier is the last one, the embedding feeds it.
+export function resolveEmbeddingOutputName(graphModel, preferred = DEFAULT_EMBEDDING_NODE) {
   const nodes = graphModel?.executor?.graph?.nodes;
   if (!nodes) return null;
 
-  // Case A: nodes is an ARRAY
-  if (Array.isArray(nodes)) {
-    if (nodes.some((n) => n.name === preferred)) return preferred;
-    const fb = nodes.find((n) => n.name?.includes("dense_1/Relu"))?.name;
-    return fb ?? null;
-  }
-
-  // Case B: nodes is an OBJECT keyed by node name
-  // Fast path: exact key exists
-  if (nodes[preferred]) return preferred;
+  // nodes is an array or an object keyed by node name, depending on the tfjs version
+  const list = Array.isArray(nodes) ? nodes : Object.values(nodes);
+  if (preferred && list.some((n) => n.name === preferred)) return preferred;
 
-  // Fallback: find a key that contains dense_1/Relu
-  const keys = Object.keys(nodes);
-  const fb = keys.find((k) => k.includes("dense_1/Relu"));
-  return fb ?? null;
+  const dense = denseOutputs(list.map((n) => ({ name: n.name, op: n.op, inputs: n.inputs.map((i) => i.name) })));
+  return dense.length >= 2 ? dense[dense.length - 2] : null;
 }
 
 /**
@@ -60,4 +52,40 @@ export async function extractCnnEmbedding(graphModel, input4d, outputName) {
     if (Array.isArray(y)) y.forEach((tt) => tt?.dispose?.());
     else y?.dispose?.();
   }
-}
\ No newline at end of file
+}
+/**
+ * Embed many 28x28 images at once.
+ * @param {tf.GraphModel} graphModel
+ * @param {string} outputName   node name for embedding output
+ * @param {Array<ArrayLike<number>>} pixelsList  each 784 values in [0, 1]
+ * @param {number} batchSize
+ * @param {(x: tf.Tensor4D) => tf.Tensor} [transform]  model-specific reshape/normalization of each batch
+ * @returns {Promise<Float32Array[]>} one embedding per image
+ */
+export async function embedPixelBatch(graphModel, outputName, pixelsList, batchSize = 64, transform = null) {
+  if (!graphModel) throw new Error("CNN model not loaded.");
+  if (!outputName) throw new Error("CNN embedding node not resolved.");
+
+  const out = [];
+  for (let start = 0; start < pixelsList.length; start += batchSize) {
+    const chunk = pixelsList.slice(start, start + batchSize);
+    const flat = new Float32Array(chunk.length * 784);
+    chunk.forEach((p, i) => flat.set(p, i * 784));
+
+    const raw = tf.tensor4d(flat, [chunk.length, 28, 28, 1], "float32");
+    const input = transform ? transform(raw) : raw;
+    let y;
+    try {
+      y = await graphModel.executeAsync(input, outputName);
+      const t = Array.isArray(y) ? y[0] : y;
+      const dim = t.size / chunk.length;
+      const data = await t.data();
+      for (let i = 0; i < chunk.length; i++) out.push(data.slice(i * dim, (i + 1) * dim));
+    } finally {
+      tf.dispose([raw, input]);
+      if (Array.isArray(y)) y.forEach((tt) => tt?.dispose?.());
+      else y?.dispose?.();
+    }
+  }
+  return out;
+}
@@ -0,0 +1,65 @@
+// src/ml/compare.js
+// Running several models on the same drawing: per-model top-k, which models disagree with
+// the majority, and a session-long pairwise agreement count on the top-1 label.
+import { classLabel } from "./labels";
+
+// `classes` names the outputs (manifest labels, head classes); digit names become numbers
+export function topK(probs, k = 3, classes = null) {
+  return Array.from(probs)
+    .map((p, i) => ({ label: classes ? classLabel(String(classes[i])) : i, prob: p }))
+    .sort((a, b) => b.prob - a.prob)
+    .slice(0, k);
+}
+
+/**
+ * @param {{id: string, name: string, probs?: ArrayLike<number>, labels?: string[], error?: string}[]} results
+ * @returns {{rows: object[], consensus: string|null}} rows carry `top` and `disagrees`; the consensus
+ *   is the top-1 label most models picked (null on a tie)
+ */
+export function compareModels(results, k = 3) {
+  const rows = results.map((r) => (r.error ? { ...r, top: [] } : { ...r, top: topK(r.probs, k, r.labels) }));
+  const answered = rows.filter((r) => r.top.length);
+
+  const counts = new Map();
+  for (const r of answered) {
+    const key = String(r.top[0].label);
+    counts.set(key, (counts.get(key) ?? 0) + 1);
+  }
+  const ranked = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  const consensus = ranked.length && (ranked.length === 1 || ranked[0][1] > ranked[1][1]) ? ranked[0][0] : null;
+
+  return {
+    consensus,
+    rows: rows.map((r) => ({
+      ...r,
+      disagrees: r.top.length > 0 && counts.size > 1 && String(r.top[0].label) !== consensus,
+    })),
+  };
+}
+
+export const EMPTY_AGREEMENT = { drawings: 0, names: {}, pairs: {} };
+
+const pairKey = (a, b) => (a < b ? `${a}\n${b}` : `${b}\n${a}`);
+
+// Count one drawing: for every pair of models that both answered, did their top-1 match?
+export function addToAgreement(agreement, rows) {
+  const answered = rows.filter((r) => r.top.length);
+  if (answered.length < 2) return agreement;
+
+  const names = { ...agreement.names };
+  const pairs = { ...agreement.pairs };
+  for (const r of answered) names[r.id] = r.name;
+  for (let i = 0; i < answered.length; i++) {
+    for (let j = i + 1; j < answered.length; j++) {
+      const key = pairKey(answered[i].id, answered[j].id);
+      const prev = pairs[key] ?? { agree: 0, total: 0 };
+      const same = String(answered[i].top[0].label) === String(answered[j].top[0].label);
+      pairs[key] = { agree: prev.agree + (same ? 1 : 0), total: prev.total + 1 };
+    }
+  }
+  return { drawings: agreement.drawings + 1, names, pairs };
+}
+
+export function agreementBetween(agreement, a, b) {
+  return agreement.pairs[pairKey(a, b)] ?? null;
+}
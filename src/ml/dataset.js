@@ -0,0 +1,127 @@
+// src/ml/dataset.js
+// Sample-set file format, shared by export, import and the IndexedDB copy.
+//
+// One record per sample:
+//   { id, pixels: number[784] (0..255), label, predicted, embeddingSource, embeddingDim,
+//     embedding: number[], modelId, timestamp }
+// `id` is optional on import; samples without one get a fresh id.
+//
+// JSON:   { format: "doodle-samples", version: 1, exportedAt, samples: [record, ...] }
+// NDJSON: one record per line, no header, so files can simply be concatenated.
+
+import { classLabel } from "./labels";
+
+export const DATASET_FORMAT = "doodle-samples";
+export const DATASET_VERSION = 1;
+export const PIXEL_COUNT = 28 * 28;
+
+const round5 = (v) => Math.round(v * 1e5) / 1e5;
+
+let idCounter = 0;
+export function newSampleId() {
+  idCounter = (idCounter + 1) % 1e6;
+  return `${Date.now().toString(36)}-${idCounter.toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// In-app sample -> plain record
+export function sampleToRecord(sample) {
+  const embedding = sample.embedding ? Array.from(sample.embedding, round5) : [];
+  return {
+    id: sample.id ?? null,
+    pixels: Array.from(sample.pixels ?? [], (v) => Math.round(Math.min(1, Math.max(0, v)) * 255)),
+    label: sample.label ?? null,
+    predicted: sample.predicted ?? null,
+    embeddingSource: sample.embeddingSource ?? null,
+    embeddingDim: embedding.length,
+    embedding,
+    modelId: sample.modelId ?? null,
+    timestamp: sample.timestamp ?? Date.now(),
+  };
+}
+
+// Plain record -> in-app sample (pixels back in [0, 1])
+export function recordToSample(record, index = 0) {
+  if (!record || typeof record !== "object") throw new Error(`Sample ${index + 1}: not an object.`);
+  if (!Array.isArray(record.pixels) || record.pixels.length !== PIXEL_COUNT) {
+    throw new Error(
+      `Sample ${index + 1}: expected ${PIXEL_COUNT} pixels, got ${Array.isArray(record.pixels) ? record.pixels.length : "none"}.`
+    );
+  }
+
+  const embedding = Array.isArray(record.embedding) ? record.embedding.map(Number) : null;
+  if (embedding && record.embeddingDim != null && embedding.length !== record.embeddingDim) {
+    throw new Error(
+      `Sample ${index + 1}: embeddingDim says ${record.embeddingDim} but the embedding has ${embedding.length} values.`
+    );
+  }
+
+  return {
+    id: typeof record.id === "string" && record.id ? record.id : newSampleId(),
+    pixels: record.pixels.map((v) => Number(v) / 255),
+    // Digit labels are numbers in the app, whichever way a file or an older version stored them
+    label: record.label == null ? null : classLabel(String(record.label)),
+    predicted: record.predicted == null ? null : classLabel(String(record.predicted)),
+    embeddingSource: record.embeddingSource ?? null,
+    embedding: embedding?.length ? embedding : null,
+    modelId: record.modelId ?? null,
+    timestamp: Number(record.timestamp) || Date.now(),
+  };
+}
+
+export function serializeDataset(samples, format = "json") {
+  const records = samples.map(sampleToRecord);
+  if (format === "ndjson") return records.map((r) => JSON.stringify(r)).join("\n") + "\n";
+
+  return JSON.stringify({
+    format: DATASET_FORMAT,
+    version: DATASET_VERSION,
+    exportedAt: new Date().toISOString(),
+    samples: records,
+  });
+}
+
+// Accepts either format; throws with the offending line/sample on bad input.
+export function parseDataset(text) {
+  const trimmed = (text || "").trim();
+  if (!trimmed) throw new Error("Dataset file is empty.");
+
+  let records = null;
+  if (trimmed.startsWith("{")) {
+    try {
+      const json = JSON.parse(trimmed);
+      if (Array.isArray(json.samples)) {
+        if (json.version > DATASET_VERSION) {
+          throw new Error(`Dataset version ${json.version} is newer than this app supports (${DATASET_VERSION}).`);
+        }
+        records = json.samples;
+      } else {
+        records = [json]; // a single-line NDJSON file
+      }
+    } catch (e) {
+      if (!(e instanceof SyntaxError)) throw e;
+      // Not a single JSON document: fall through to NDJSON
+    }
+  }
+
+  if (!records) {
+    records = trimmed.split(/\r?\n/).map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        throw new Error(`Line ${i + 1} is not valid JSON.`);
+      }
+    });
+  }
+
+  return records.map(recordToSample);
+}
+
+// Projections (PCA, t-SNE, UMAP) need every embedding to have the same length
+export function checkEmbeddingDims(samples) {
+  const dims = new Set(samples.map((s) => s.embedding?.length ?? 0));
+  if (dims.has(0)) throw new Error("Some samples have no embedding.");
+  if (dims.size > 1) {
+    throw new Error(`Samples have mixed embedding sizes (${[...dims].join(", ")}). Re-embed them with one source.`);
+  }
+  return dims.size ? [...dims][0] : 0;
+}
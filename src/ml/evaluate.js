@@ -0,0 +1,161 @@
+// src/ml/evaluate.js
+// Offline evaluation on the MNIST test slice in public/mnist/ (written by
+// tools/export_mnist_slice.py as IDX files): accuracy, per-class precision/recall,
+// the confusion matrix and throughput of a runtime model (src/ml/modelRegistry.js).
+import * as tf from "@tensorflow/tfjs";
+import { MNIST_SIZE, preprocessImage } from "./preprocess";
+
+export const MNIST_SLICE = {
+  images: "mnist/test-images.idx3-ubyte",
+  labels: "mnist/test-labels.idx1-ubyte",
+};
+
+// How the MNIST images reach the model
+export const EVAL_INPUTS = [
+  { id: "mnist", label: "MNIST as is" },
+  { id: "preprocess", label: "Through the drawing preprocessing" },
+];
+
+/**
+ * Parse an (uncompressed) IDX file of unsigned bytes.
+ * @param {ArrayBuffer} buffer
+ * @returns {{dims: number[], data: Uint8Array}}
+ */
+export function parseIdx(buffer) {
+  const view = new DataView(buffer);
+  if (buffer.byteLength < 4 || view.getUint16(0) !== 0) throw new Error("Not an IDX file.");
+  if (view.getUint8(2) !== 0x08) throw new Error("Only unsigned-byte IDX files are supported.");
+
+  const ndim = view.getUint8(3);
+  const dims = Array.from({ length: ndim }, (_, i) => view.getUint32(4 + i * 4));
+  const offset = 4 + ndim * 4;
+  const size = dims.reduce((a, b) => a * b, 1);
+  if (buffer.byteLength < offset + size) throw new Error(`IDX file is truncated (${dims.join("x")} expected).`);
+  return { dims, data: new Uint8Array(buffer, offset, size) };
+}
+
+/**
+ * Fetch and check the bundled slice. `resolve` turns a public/ path into a URL (the app's base URL).
+ * @returns {Promise<{images: Uint8Array, labels: Uint8Array, count: number}>}  images are count*784 bytes
+ */
+export async function loadMnistSlice(resolve = (p) => p) {
+  const read = async (path) => {
+    const res = await fetch(resolve(path));
+    if (!res.ok) throw new Error(`Failed to fetch ${path} (${res.status})`);
+    return parseIdx(await res.arrayBuffer());
+  };
+  const [images, labels] = await Promise.all([read(MNIST_SLICE.images), read(MNIST_SLICE.labels)]);
+
+  if (images.dims.length !== 3 || images.dims[1] !== MNIST_SIZE || images.dims[2] !== MNIST_SIZE) {
+    throw new Error(`${MNIST_SLICE.images}: expected [N, 28, 28] images, got [${images.dims.join(", ")}].`);
+  }
+  if (labels.dims[0] !== images.dims[0]) {
+    throw new Error(`${images.dims[0]} images but ${labels.dims[0]} labels.`);
+  }
+  return { images: images.data, labels: labels.data, count: images.dims[0] };
+}
+
+// One slice image as model input pixels in [0, 1]
+function inputPixels(slice, i, input, preprocessConfig) {
+  const bytes = slice.images.subarray(i * 784, (i + 1) * 784);
+  const pixels = Float32Array.from(bytes, (v) => v / 255);
+  if (input !== "preprocess") return pixels;
+  return preprocessImage({ data: pixels, width: MNIST_SIZE, height: MNIST_SIZE }, preprocessConfig).pixels;
+}
+
+/**
+ * Probabilities for a batch of 28x28 images; the personalized head only takes one drawing at a time.
+ * @param {object} runtime  runtime model (src/ml/modelRegistry.js)
+ * @param {ArrayLike<number>[]} batch  784 values in [0, 1] each
+ * @returns {Promise<number[][]>}
+ */
+export async function predictBatch(runtime, batch) {
+  if (runtime.entry.format === "head") {
+    const out = [];
+    for (const pixels of batch) {
+      const x = tf.tensor4d(pixels, [1, MNIST_SIZE, MNIST_SIZE, 1]);
+      try {
+        out.push(await runtime.predict(x));
+      } finally {
+        x.dispose();
+      }
+    }
+    return out;
+  }
+
+  const flat = new Float32Array(batch.length * 784);
+  batch.forEach((p, i) => flat.set(p, i * 784));
+  const x = tf.tensor4d(flat, [batch.length, MNIST_SIZE, MNIST_SIZE, 1]);
+  try {
+    const probs = await runtime.predict(x);
+    const k = probs.length / batch.length;
+    return batch.map((_, i) => probs.slice(i * k, (i + 1) * k));
+  } finally {
+    x.dispose();
+  }
+}
+
+const argmax = (probs) => probs.reduce((best, p, i) => (p > probs[best] ? i : best), 0);
+
+/**
+ * Run a model over the slice.
+ * @param {object} runtime  runtime model (src/ml/modelRegistry.js)
+ * @param {{images: Uint8Array, labels: Uint8Array, count: number}} slice  loadMnistSlice()
+ * @param {{input?: "mnist"|"preprocess", preprocessConfig?: object, batchSize?: number,
+ *   onProgress?: (fraction: number) => void, signal?: AbortSignal}} [options]
+ * @returns {Promise<{count: number, correct: number, accuracy: number, labels: string[],
+ *   confusion: number[][], perClass: {digit: number, precision: number|null, recall: number|null, support: number}[],
+ *   predicted: Int32Array, seconds: number, perSecond: number}>}
+ *   confusion[digit][i] counts images of `digit` predicted as labels[i]; predicted[n] is image n's
+ *   predicted label index
+ */
+export async function evaluateModel(runtime, slice, { input = "mnist", preprocessConfig, batchSize = 100, onProgress, signal } = {}) {
+  const labels = runtime.labels.map(String);
+  const digitIndex = Array.from({ length: 10 }, (_, d) => labels.indexOf(String(d)));
+  const confusion = Array.from({ length: 10 }, () => new Array(labels.length).fill(0));
+  const predicted = new Int32Array(slice.count);
+  const started = performance.now();
+
+  for (let start = 0; start < slice.count; start += batchSize) {
+    if (signal?.aborted) throw new DOMException("Evaluation cancelled", "AbortError");
+    const end = Math.min(slice.count, start + batchSize);
+    const batch = [];
+    for (let i = start; i < end; i++) batch.push(inputPixels(slice, i, input, preprocessConfig));
+
+    const probs = await predictBatch(runtime, batch);
+    probs.forEach((p, j) => {
+      predicted[start + j] = argmax(p);
+      confusion[slice.labels[start + j]][predicted[start + j]] += 1;
+    });
+    onProgress?.(end / slice.count);
+    await tf.nextFrame();
+  }
+  const seconds = (performance.now() - started) / 1000;
+
+  // Precision of digit d: of everything predicted as d, how much was d; recall: of every d, how much was found
+  let correct = 0;
+  const perClass = digitIndex.map((col, digit) => {
+    const support = confusion[digit].reduce((a, b) => a + b, 0);
+    const hits = col < 0 ? 0 : confusion[digit][col];
+    const predictedAs = col < 0 ? 0 : confusion.reduce((sum, row) => sum + row[col], 0);
+    correct += hits;
+    return {
+      digit,
+      precision: predictedAs ? hits / predictedAs : null,
+      recall: support ? hits / support : null,
+      support,
+    };
+  });
+
+  return {
+    count: slice.count,
+    correct,
+    accuracy: slice.count ? correct / slice.count : 0,
+    labels,
+    confusion,
+    perClass,
+    predicted,
+    seconds,
+    perSecond: seconds > 0 ? slice.count / seconds : null,
+  };
+}
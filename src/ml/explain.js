@@ -0,0 +1,105 @@
+// src/ml/explain.js
+// Why did the model pick a class? Each method returns a heatmap over the 28x28 input
+// (784 values in [0, 1], row-major like the pixels):
+//  - Grad-CAM: the last conv layer's activations weighted by their average gradient, upsampled
+//  - saliency: |d p(class) / d pixel|
+//  - occlusion: how much p(class) drops when a patch of the input is blanked
+// Grad-CAM and saliency need the runtime's differentiable forward (src/ml/modelRegistry.js);
+// occlusion only calls predict(), so it works for every model, the personalized head included.
+import * as tf from "@tensorflow/tfjs";
+
+export const EXPLAIN_METHODS = [
+  { id: "gradcam", label: "Grad-CAM" },
+  { id: "saliency", label: "Saliency" },
+  { id: "occlusion", label: "Occlusion" },
+];
+
+const CONV_OPS = new Set(["Conv2D", "_FusedConv2D", "DepthwiseConv2dNative", "FusedDepthwiseConv2dNative"]);
+
+// Name of the graph's last convolution (e.g. ".../conv2d_1_2/Relu" in the shipped CNN), or null
+export function lastConvNode(graphModel) {
+  const nodes = graphModel?.executor?.graph?.nodes;
+  if (!nodes) return null;
+  const list = Array.isArray(nodes) ? nodes : Object.values(nodes);
+  return list.filter((n) => CONV_OPS.has(n.op)).pop()?.name ?? null;
+}
+
+// Methods the runtime model supports
+export function explainMethodsFor(runtime) {
+  if (!runtime) return [];
+  return EXPLAIN_METHODS.filter((m) => {
+    if (m.id === "gradcam") return !!(runtime.activation && lastConvNode(runtime.graphModel));
+    if (m.id === "saliency") return !!runtime.forward;
+    return true;
+  });
+}
+
+function normalize(values) {
+  let max = 0;
+  for (const v of values) if (v > max) max = v;
+  return max > 0 ? values.map((v) => v / max) : values;
+}
+
+function saliency(runtime, input, classIndex) {
+  return tf.tidy(() => {
+    const grad = tf.grad((x) => runtime.forward(x).gather([classIndex], 1).sum())(input);
+    return grad.abs().reshape([784]).dataSync();
+  });
+}
+
+function gradCam(runtime, input, classIndex) {
+  const node = lastConvNode(runtime.graphModel);
+  return tf.tidy(() => {
+    const activation = runtime.activation(input, node); // [1, h, w, channels]
+    const grad = tf.grad((a) => runtime.forwardFrom(node, a).gather([classIndex], 1).sum())(activation);
+    const weights = grad.mean([1, 2], true); // one weight per channel
+    const cam = tf.relu(activation.mul(weights).sum(3, true)); // [1, h, w, 1]
+    return tf.image.resizeBilinear(cam, [28, 28]).reshape([784]).dataSync();
+  });
+}
+
+async function occlusion(runtime, input, classIndex, { patch = 6, stride = 2 } = {}) {
+  const pixels = await input.data();
+  const base = (await runtime.predict(input))[classIndex];
+  const drop = new Float32Array(784);
+  const hits = new Float32Array(784);
+
+  for (let y0 = 0; y0 + patch <= 28; y0 += stride) {
+    for (let x0 = 0; x0 + patch <= 28; x0 += stride) {
+      const occluded = Float32Array.from(pixels);
+      for (let y = y0; y < y0 + patch; y++) occluded.fill(0, y * 28 + x0, y * 28 + x0 + patch);
+
+      const x = tf.tensor4d(occluded, [1, 28, 28, 1]);
+      let p;
+      try {
+        p = (await runtime.predict(x))[classIndex];
+      } finally {
+        x.dispose();
+      }
+      for (let y = y0; y < y0 + patch; y++) {
+        for (let xx = x0; xx < x0 + patch; xx++) {
+          drop[y * 28 + xx] += base - p;
+          hits[y * 28 + xx] += 1;
+        }
+      }
+    }
+  }
+  return drop.map((d, i) => (hits[i] ? Math.max(0, d / hits[i]) : 0));
+}
+
+/**
+ * Heatmap of what drives `classIndex` for one drawing.
+ * @param {object} runtime  runtime model (src/ml/modelRegistry.js)
+ * @param {tf.Tensor4D} input  preprocessed [1, 28, 28, 1] drawing
+ * @param {"gradcam"|"saliency"|"occlusion"} method
+ * @param {number} classIndex  output index (into runtime.labels)
+ * @returns {Promise<Float32Array>} 784 values in [0, 1]
+ */
+export async function explain(runtime, input, method, classIndex) {
+  if (!explainMethodsFor(runtime).some((m) => m.id === method)) {
+    throw new Error(`${runtime?.entry.name ?? "This model"} doesn't support ${method}.`);
+  }
+  if (method === "gradcam") return normalize(gradCam(runtime, input, classIndex));
+  if (method === "saliency") return normalize(saliency(runtime, input, classIndex));
+  return normalize(await occlusion(runtime, input, classIndex));
+}
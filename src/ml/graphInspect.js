@@ -0,0 +1,145 @@
+// src/ml/graphInspect.js
+// The graph of a converted TF.js GraphModel as read from model.json's `modelTopology`: every
+// node with its op, inputs and statically inferred output shape, and which nodes are conv, pool
+// or dense layers. Shapes use -1 for the batch dimension and null where the op isn't covered.
+// Nothing in here touches tfjs, so it runs on the plain JSON.
+
+const KINDS = {
+  Conv2D: "conv",
+  _FusedConv2D: "conv",
+  DepthwiseConv2dNative: "conv",
+  FusedDepthwiseConv2dNative: "conv",
+  MaxPool: "pool",
+  AvgPool: "pool",
+  MatMul: "dense",
+  _FusedMatMul: "dense",
+};
+
+// Ops whose output has the shape of their first input
+const SAME_SHAPE = new Set([
+  "BiasAdd",
+  "Add",
+  "AddV2",
+  "Sub",
+  "Mul",
+  "Relu",
+  "Relu6",
+  "Elu",
+  "Selu",
+  "Sigmoid",
+  "Tanh",
+  "LeakyRelu",
+  "Softmax",
+  "Identity",
+  "FusedBatchNorm",
+  "FusedBatchNormV3",
+]);
+
+// Activations that still count as the dense layer's own output
+const ACTIVATIONS = new Set(["BiasAdd", "Add", "AddV2", "Relu", "Relu6", "Elu", "Selu", "Sigmoid", "Tanh", "LeakyRelu"]);
+
+const cleanInput = (name) => name.replace(/^\^/, "").replace(/:\d+$/, "");
+const dims = (shape) => shape?.dim?.map((d) => Number(d.size)) ?? [];
+const ints = (attr) => attr?.list?.i?.map(Number) ?? null;
+const text = (attr) => (attr?.s ? atob(attr.s) : null);
+
+function windowOutput(size, k, stride, padding) {
+  if (size < 0) return -1;
+  return padding === "SAME" ? Math.ceil(size / stride) : Math.floor((size - k) / stride) + 1;
+}
+
+function inferShape(node, shapeOf) {
+  const attr = node.attr ?? {};
+  const input = node.inputs.length ? shapeOf(node.inputs[0]) : null;
+
+  if (node.op === "Placeholder") return dims(attr.shape?.shape);
+  if (node.op === "Const") return dims(attr.value?.tensor?.tensorShape);
+  if (SAME_SHAPE.has(node.op)) return input;
+
+  if (KINDS[node.op] === "conv") {
+    const filter = shapeOf(node.inputs[1]);
+    if (input?.length !== 4 || filter?.length !== 4) return null;
+    const [, sh, sw] = ints(attr.strides) ?? [1, 1, 1, 1];
+    const padding = text(attr.padding) ?? "VALID";
+    const channels = node.op.includes("Depthwise") ? filter[2] * filter[3] : filter[3];
+    return [input[0], windowOutput(input[1], filter[0], sh, padding), windowOutput(input[2], filter[1], sw, padding), channels];
+  }
+
+  if (KINDS[node.op] === "pool") {
+    if (input?.length !== 4) return null;
+    const [, kh, kw] = ints(attr.ksize) ?? [1, 2, 2, 1];
+    const [, sh, sw] = ints(attr.strides) ?? [1, kh, kw, 1];
+    const padding = text(attr.padding) ?? "VALID";
+    return [input[0], windowOutput(input[1], kh, sh, padding), windowOutput(input[2], kw, sw, padding), input[3]];
+  }
+
+  if (KINDS[node.op] === "dense") {
+    const b = shapeOf(node.inputs[1]);
+    if (input?.length !== 2 || b?.length !== 2) return null;
+    const rows = attr.transpose_a?.b ? input[1] : input[0];
+    const cols = attr.transpose_b?.b ? b[0] : b[1];
+    return [rows, cols];
+  }
+
+  // The target shape is a tensor we don't have here; assume the usual flatten to [batch, rest]
+  if (node.op === "Reshape") {
+    if (!input || input.slice(1).some((d) => d < 0)) return null;
+    return [input[0], input.slice(1).reduce((a, b) => a * b, 1)];
+  }
+
+  return null;
+}
+
+/**
+ * Nodes of a graph model, in the order model.json lists them.
+ * @param {{node: object[]}} modelTopology  from model.json
+ * @returns {{name: string, op: string, inputs: string[], shape: number[]|null, kind: "conv"|"pool"|"dense"|null}[]}
+ */
+export function parseGraph(modelTopology) {
+  const raw = (modelTopology?.node ?? []).map((n) => ({
+    name: n.name,
+    op: n.op,
+    attr: n.attr,
+    inputs: (n.input ?? []).filter((i) => !i.startsWith("^")).map(cleanInput),
+  }));
+  const byName = new Map(raw.map((n) => [n.name, n]));
+  const shapes = new Map();
+
+  const shapeOf = (name) => {
+    if (shapes.has(name)) return shapes.get(name);
+    const node = byName.get(name);
+    shapes.set(name, null); // guards against cycles
+    const shape = node ? inferShape(node, shapeOf) : null;
+    shapes.set(name, shape);
+    return shape;
+  };
+
+  return raw.map((n) => ({ name: n.name, op: n.op, inputs: n.inputs, shape: shapeOf(n.name), kind: KINDS[n.op] ?? null }));
+}
+
+/**
+ * Where each dense layer's output can be read: the matmul node, or the last bias/activation
+ * node that only it feeds (so a Relu after the matmul is included, a softmax is not).
+ * @param {{name: string, op: string, inputs: string[]}[]} nodes  parseGraph() output, or anything with the same fields
+ * @returns {string[]} node names, in graph order
+ */
+export function denseOutputs(nodes) {
+  const consumers = new Map();
+  for (const n of nodes) {
+    for (const i of n.inputs) consumers.set(i, [...(consumers.get(i) ?? []), n]);
+  }
+
+  return nodes
+    .filter((n) => KINDS[n.op] === "dense")
+    .map((n) => {
+      let out = n;
+      for (;;) {
+        const next = consumers.get(out.name) ?? [];
+        if (next.length !== 1 || !ACTIVATIONS.has(next[0].op)) break;
+        out = next[0];
+      }
+      return out.name;
+    });
+}
+
+export const formatShape = (shape) => (shape ? `[${shape.join(", ")}]` : "?");
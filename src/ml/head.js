@@ -0,0 +1,168 @@
+// src/ml/head.js
+// Personalized classifier heads on top of the frozen CNN's penultimate embedding.
+// Unlike the 10-way models they predict whatever labels the user collected ("7", "A", "+", ...).
+//
+// head.json:
+//   dense: { format: "doodle-head", version: 1, type: "dense", embedding, classes, inDim, W: number[inDim * C], b: number[C] }
+//   knn:   { format: "doodle-head", version: 1, type: "knn", embedding, classes, inDim, k, embeddings: number[][], labels: number[] }
+// `labels` are indices into `classes`; k-NN embeddings are stored L2-normalized.
+import { isDigitLabel } from "./labels";
+import { dot } from "./linalg";
+import { splitIndices, trainLogReg } from "./logreg";
+
+export const HEAD_FORMAT = "doodle-head";
+export const HEAD_VERSION = 1;
+export const HEAD_TYPES = [
+  { id: "dense", label: "Dense softmax" },
+  { id: "knn", label: "k-NN" },
+];
+
+const round6 = (v) => Math.round(v * 1e6) / 1e6;
+
+// Digits first in numeric order, then the other labels alphabetically
+export function headClasses(labels) {
+  const unique = [...new Set(labels.map(String))];
+  return unique.sort((a, b) => {
+    if (isDigitLabel(a) !== isDigitLabel(b)) return isDigitLabel(a) ? -1 : 1;
+    return a.localeCompare(b);
+  });
+}
+
+function normalize(v) {
+  let n = 0;
+  for (let i = 0; i < v.length; i++) n += v[i] * v[i];
+  n = Math.sqrt(n) || 1;
+  return Float32Array.from(v, (x) => x / n);
+}
+
+function softmax(logits) {
+  const max = Math.max(...logits);
+  const exp = logits.map((z) => Math.exp(z - max));
+  const sum = exp.reduce((a, b) => a + b, 0);
+  return exp.map((e) => e / sum);
+}
+
+/**
+ * Class probabilities for one embedding, in `head.classes` order.
+ * k-NN probabilities are the similarity-weighted votes of the k nearest stored embeddings.
+ */
+export function predictHead(head, embedding) {
+  const C = head.classes.length;
+
+  if (head.type === "dense") {
+    const logits = Array.from(head.b);
+    for (let i = 0; i < head.inDim; i++) {
+      const x = embedding[i];
+      if (!x) continue;
+      const row = i * C;
+      for (let c = 0; c < C; c++) logits[c] += x * head.W[row + c];
+    }
+    return softmax(logits);
+  }
+
+  const q = normalize(embedding);
+  const nearest = head.embeddings
+    .map((e, i) => ({ sim: dot(q, e), label: head.labels[i] }))
+    .sort((a, b) => b.sim - a.sim)
+    .slice(0, head.k);
+
+  const votes = new Array(C).fill(0);
+  for (const n of nearest) votes[n.label] += Math.max(n.sim, 0) + 1e-6;
+  const total = votes.reduce((a, b) => a + b, 0) || 1;
+  return votes.map((v) => v / total);
+}
+
+const argMax = (arr) => arr.reduce((best, v, i) => (v > arr[best] ? i : best), 0);
+
+/**
+ * Fit a head on CNN embeddings. Dense heads train with Adam (same loop as the logistic
+ * regression); k-NN just stores the training embeddings and reports held-out accuracy.
+ * @param {{type: "dense"|"knn", embeddings: ArrayLike<number>[], labels: (number|string)[], embedding: string,
+ *   k?: number, validationSplit?: number, seed?: number, onEpoch?: Function, signal?: AbortSignal}} options
+ *   plus the trainLogReg options (learningRate, l2, epochs, batchSize) for dense heads
+ */
+export async function trainHead({ type, embeddings, labels, embedding, k = 5, validationSplit = 0.2, seed = 1, ...rest }) {
+  if (embeddings.length < 2) throw new Error("Need at least 2 labeled samples to train a head.");
+  const classes = headClasses(labels);
+  if (classes.length < 2) throw new Error("Need samples from at least 2 classes to train a head.");
+
+  const index = new Map(classes.map((c, i) => [c, i]));
+  const y = labels.map((l) => index.get(String(l)));
+  const inDim = embeddings[0].length;
+
+  if (type === "dense") {
+    const res = await trainLogReg({ inputs: embeddings, labels: y, outDim: classes.length, validationSplit, seed, ...rest });
+    return { type, embedding, classes, inDim, W: res.W, b: res.b, history: res.history, stopped: res.stopped };
+  }
+
+  // k-NN: score the held-out part against the rest, then keep every sample
+  const { train, val } = splitIndices(embeddings.length, validationSplit, seed);
+  const probe = {
+    type,
+    classes,
+    inDim,
+    k,
+    embeddings: train.map((i) => normalize(embeddings[i])),
+    labels: train.map((i) => y[i]),
+  };
+  const correct = val.filter((i) => argMax(predictHead(probe, embeddings[i])) === y[i]).length;
+
+  return {
+    type,
+    embedding,
+    classes,
+    inDim,
+    k,
+    embeddings: embeddings.map(normalize),
+    labels: y,
+    valAcc: val.length ? correct / val.length : null,
+  };
+}
+
+export function serializeHead(head) {
+  const common = { format: HEAD_FORMAT, version: HEAD_VERSION, type: head.type, embedding: head.embedding };
+  const body =
+    head.type === "dense"
+      ? { W: Array.from(head.W, round6), b: Array.from(head.b, round6) }
+      : { k: head.k, embeddings: head.embeddings.map((e) => Array.from(e, round6)), labels: head.labels };
+  return JSON.stringify({ ...common, classes: head.classes, inDim: head.inDim, ...body });
+}
+
+// Throws with a specific message on anything that doesn't look like a head file
+export function parseHead(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new Error("Head file is not valid JSON.");
+  }
+  if (json?.format !== HEAD_FORMAT) throw new Error(`Not a ${HEAD_FORMAT} file.`);
+  if (json.version > HEAD_VERSION) {
+    throw new Error(`Head version ${json.version} is newer than this app supports (${HEAD_VERSION}).`);
+  }
+  if (!HEAD_TYPES.some((t) => t.id === json.type)) throw new Error(`Unknown head type "${json.type}".`);
+  if (!Array.isArray(json.classes) || json.classes.length < 2) throw new Error("Head needs at least 2 classes.");
+
+  const classes = json.classes.map(String);
+  const inDim = Number(json.inDim);
+  const C = classes.length;
+  const head = { type: json.type, embedding: json.embedding ?? "cnn-penultimate", classes, inDim };
+
+  if (json.type === "dense") {
+    if (json.W?.length !== inDim * C) throw new Error(`Head weights length is ${json.W?.length ?? 0} but expected ${inDim * C}.`);
+    if (json.b?.length !== C) throw new Error(`Head bias length is ${json.b?.length ?? 0} but expected ${C}.`);
+    return { ...head, W: Float32Array.from(json.W), b: Float32Array.from(json.b) };
+  }
+
+  const embeddings = json.embeddings ?? [];
+  if (embeddings.some((e) => e.length !== inDim)) throw new Error(`Every k-NN embedding must have ${inDim} values.`);
+  if (json.labels?.length !== embeddings.length || json.labels.some((l) => !(l >= 0 && l < C))) {
+    throw new Error("k-NN labels must be class indices, one per embedding.");
+  }
+  return {
+    ...head,
+    k: Math.max(1, Number(json.k) || 1),
+    embeddings: embeddings.map((e) => Float32Array.from(e)),
+    labels: json.labels.map(Number),
+  };
+}
@@ -0,0 +1,29 @@
+// src/ml/index.js
+// Everything under src/ml/ runs without a DOM. This is the entry point for callers outside the
+// React app (the doodle-classify CLI in src/cli/, pipelines, tests): model loading, preprocessing,
+// inference and embeddings on ImageData or typed arrays.
+export {
+  MANIFEST_PATH,
+  createGraphRuntime,
+  createLayersRuntime,
+  createLinearModel,
+  fetchManifest,
+  loadModel,
+  modelFromArtifacts,
+  modelUrl,
+  parseManifest,
+} from "./modelRegistry";
+export {
+  DEFAULT_PREPROCESS,
+  MNIST_SIZE,
+  PREPROCESS_STAGES,
+  SQUASH_PREPROCESS,
+  preprocessImage,
+  rgbaToGray,
+} from "./preprocess";
+export { classifyPixels, embedPixels, meanBrightness, pixelsToTensor, preprocessImageData } from "./inference";
+export { embedPixelBatch, extractCnnEmbedding, resolveEmbeddingOutputName } from "./cnnEmbedding";
+export { evaluateModel, parseIdx, predictBatch } from "./evaluate";
+export { readDigits, segmentDigits } from "./segment";
+export { topK } from "./compare";
+export { applyTemperature } from "./calibration";
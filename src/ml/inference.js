@@ -0,0 +1,58 @@
+// src/ml/inference.js
+// Classify and embed without a canvas: images come in as ImageData (or anything with RGBA
+// `data`, `width` and `height`) or as 28x28 pixel arrays, and go out as plain arrays.
+import * as tf from "@tensorflow/tfjs";
+import { DEFAULT_PREPROCESS, MNIST_SIZE, preprocessImage, rgbaToGray } from "./preprocess";
+
+/**
+ * ImageData -> model input pixels, through the same preprocessing as a drawing.
+ * @param {{data: ArrayLike<number>, width: number, height: number}} imageData  RGBA bytes
+ * @param {object} [config]  see DEFAULT_PREPROCESS
+ * @param {{invert?: boolean}} [options]  invert for dark ink on a light background
+ * @returns {{pixels: Float32Array, empty: boolean, transform: object|null}}
+ */
+export function preprocessImageData(imageData, config = DEFAULT_PREPROCESS, { invert = false } = {}) {
+  const gray = rgbaToGray(imageData.data, imageData.width, imageData.height);
+  if (invert) for (let i = 0; i < gray.data.length; i++) gray.data[i] = 1 - gray.data[i];
+  return preprocessImage(gray, config);
+}
+
+// Mean brightness in [0, 1]; above 0.5 the image is most likely dark ink on paper
+export function meanBrightness(imageData) {
+  const { data, width, height } = imageData;
+  let sum = 0;
+  for (let i = 0; i < width * height; i++) sum += data[i * 4] + data[i * 4 + 1] + data[i * 4 + 2];
+  return sum / (width * height * 3 * 255);
+}
+
+// 28x28 pixels in [0, 1] -> [1, 28, 28, 1] input tensor (the caller disposes it)
+export function pixelsToTensor(pixels) {
+  return tf.tensor4d(Float32Array.from(pixels), [1, MNIST_SIZE, MNIST_SIZE, 1]);
+}
+
+/**
+ * Probabilities of a runtime model (src/ml/modelRegistry.js) for one 28x28 image.
+ * @returns {Promise<number[]>}
+ */
+export async function classifyPixels(runtime, pixels) {
+  const x = pixelsToTensor(pixels);
+  try {
+    return await runtime.predict(x);
+  } finally {
+    x.dispose();
+  }
+}
+
+/**
+ * Embedding of one 28x28 image, from a runtime model with an embedding output.
+ * @returns {Promise<Float32Array>}
+ */
+export async function embedPixels(runtime, pixels) {
+  if (!runtime.embed) throw new Error(`${runtime.entry.name} has no embedding output.`);
+  const x = pixelsToTensor(pixels);
+  try {
+    return await runtime.embed(x);
+  } finally {
+    x.dispose();
+  }
+}
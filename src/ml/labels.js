@@ -0,0 +1,11 @@
+// src/ml/labels.js
+// Sample labels are digits (kept as numbers) or any other text the user typed ("A", "+", ...).
+// Model outputs and files name classes as strings; these helpers move between the two.
+
+// A digit 0-9, whether stored as a number or as its name
+export const isDigitLabel = (label) => label !== null && label !== undefined && /^\d$/.test(String(label));
+
+// Turn a class name back into the label type the samples use (digits stay numbers)
+export function classLabel(name) {
+  return isDigitLabel(name) ? Number(name) : name;
+}
@@ -0,0 +1,182 @@
+// src/ml/localModel.js
+// Models dropped onto the page: a TF.js model.json with its .bin shards (graph or layers
+// format, loaded through tf.io.browserFiles), or a logreg.json. Everything is checked
+// against the input signature the app feeds before anything is loaded, so a wrong export
+// fails with a specific message instead of a shape error on the first prediction.
+import * as tf from "@tensorflow/tfjs";
+import { createGraphRuntime, createLayersRuntime, createLinearModel } from "./modelRegistry";
+
+// What the preprocessing produces today (the name is what the Keras export calls it)
+export const EXPECTED_INPUT = { name: "keras_tensor", shape: [-1, 28, 28, 1], dtype: "float32" };
+const FLAT_INPUT = [-1, 784];
+
+const DTYPE_BYTES = { float32: 4, int32: 4, bool: 1, uint8: 1, uint16: 2, float16: 2 };
+const TF_DTYPES = { DT_FLOAT: "float32", DT_INT32: "int32", DT_BOOL: "bool", DT_STRING: "string" };
+
+const fmtShape = (shape) => `[${shape.map((d) => (d == null ? -1 : d)).join(", ")}]`;
+const sameShape = (a, b) => a.length === b.length && a.every((d, i) => (d ?? -1) === b[i]);
+
+let localCounter = 0;
+
+function checkInput(name, shape, dtype, where) {
+  if (!shape) throw new Error(`${where}: input "${name}" has no shape; expected ${fmtShape(EXPECTED_INPUT.shape)}.`);
+  if (!sameShape(shape, EXPECTED_INPUT.shape) && !sameShape(shape, FLAT_INPUT)) {
+    throw new Error(
+      `${where}: input "${name}" has shape ${fmtShape(shape)}; expected ${fmtShape(EXPECTED_INPUT.shape)} (28×28 grayscale, any batch size).`
+    );
+  }
+  if (dtype !== EXPECTED_INPUT.dtype) {
+    throw new Error(`${where}: input "${name}" is ${dtype}; expected ${EXPECTED_INPUT.dtype}.`);
+  }
+  return shape.map((d) => d ?? -1);
+}
+
+// Input/output signature of a converted graph model (from its model.json)
+function graphSignature(json, where) {
+  const inputs = Object.values(json.signature?.inputs ?? {});
+  if (inputs.length !== 1) throw new Error(`${where}: expected 1 input, the model has ${inputs.length}.`);
+  const input = inputs[0];
+  const inName = input.name?.replace(/:\d+$/, "") ?? "?";
+  const inShape = input.tensorShape?.dim?.map((d) => Number(d.size));
+  const shape = checkInput(inName, inShape, TF_DTYPES[input.dtype] ?? input.dtype, where);
+
+  const outputs = Object.values(json.signature?.outputs ?? {});
+  const outShape = outputs[0]?.tensorShape?.dim?.map((d) => Number(d.size)) ?? [];
+  if (outputs.length !== 1 || outShape.length !== 2) {
+    throw new Error(`${where}: expected one [-1, classes] output, got ${outputs.map((o) => o.name).join(", ") || "none"}.`);
+  }
+
+  const nodes = json.modelTopology?.node ?? [];
+  return {
+    inName,
+    shape,
+    classes: outShape[1],
+    output: nodes.some((n) => n.op === "Softmax") ? "probabilities" : "logits",
+  };
+}
+
+// Same for a Keras layers model (first layer's batch_input_shape, last layer's units/activation)
+function layersSignature(json, where) {
+  const config = json.modelTopology?.model_config?.config ?? json.modelTopology?.config;
+  const layers = config?.layers ?? [];
+  if (!layers.length) throw new Error(`${where}: model.json has no layers.`);
+
+  const first = layers[0].config ?? {};
+  const inShape = first.batch_input_shape ?? first.batch_shape;
+  const shape = checkInput(first.name ?? "input", inShape, first.dtype ?? "float32", where);
+
+  const last = layers[layers.length - 1].config ?? {};
+  if (!last.units) throw new Error(`${where}: the last layer (${last.name ?? "?"}) is not a dense [-1, classes] output.`);
+  return {
+    inName: first.name ?? "input",
+    shape,
+    classes: last.units,
+    output: last.activation === "softmax" ? "probabilities" : "logits",
+  };
+}
+
+// Every shard listed in the weights manifest must be present and hold the bytes its weights need.
+// Returns those shard files, in manifest order (tf.io.browserFiles rejects any other .bin).
+function checkShards(json, binFiles, where) {
+  const byName = new Map(binFiles.map((f) => [f.name, f]));
+  const groups = json.weightsManifest ?? [];
+  const missing = groups.flatMap((g) => g.paths).filter((p) => !byName.has(p.split("/").pop()));
+  if (missing.length) {
+    throw new Error(`${where}: missing weight shard${missing.length > 1 ? "s" : ""} ${missing.join(", ")}. Drop them together with model.json.`);
+  }
+
+  for (const g of groups) {
+    const expected = g.weights.reduce((sum, w) => {
+      const count = w.shape.reduce((a, b) => a * b, 1);
+      return sum + count * (DTYPE_BYTES[w.quantization?.dtype ?? w.dtype] ?? 4);
+    }, 0);
+    const actual = g.paths.reduce((sum, p) => sum + byName.get(p.split("/").pop()).size, 0);
+    if (actual !== expected) {
+      throw new Error(`${where}: shards ${g.paths.join(", ")} hold ${actual} bytes but model.json expects ${expected}.`);
+    }
+  }
+  return groups.flatMap((g) => g.paths).map((p) => byName.get(p.split("/").pop()));
+}
+
+const digitLabels = (n) => Array.from({ length: n }, (_, i) => String(i));
+
+function localEntry(fileName, format, shape, classes, output) {
+  localCounter += 1;
+  return {
+    id: `local-${localCounter}`,
+    name: `${fileName} (local)`,
+    format,
+    url: fileName,
+    input: { shape, normalization: { mean: 0, std: 1 } },
+    output,
+    labels: digitLabels(classes),
+    embedding: null,
+    checksum: null,
+    local: true,
+  };
+}
+
+/**
+ * Validate and load dropped files.
+ * @param {File[]} files  model.json + *.bin, or a single logreg.json
+ * @returns {Promise<{entry: object, runtime: object}>}  a temporary registry entry and its loaded model
+ */
+export async function loadLocalModel(files) {
+  const jsonFiles = files.filter((f) => f.name.toLowerCase().endsWith(".json"));
+  const binFiles = files.filter((f) => f.name.toLowerCase().endsWith(".bin"));
+  if (jsonFiles.length !== 1) {
+    throw new Error(
+      jsonFiles.length
+        ? `Drop one model at a time (got ${jsonFiles.map((f) => f.name).join(", ")}).`
+        : "No .json file dropped. Drop model.json with its .bin shards, or a logreg.json."
+    );
+  }
+
+  const file = jsonFiles[0];
+  let json;
+  try {
+    json = JSON.parse(await file.text());
+  } catch {
+    throw new Error(`${file.name} is not valid JSON.`);
+  }
+
+  // logreg.json: plain weights
+  if (Array.isArray(json.W)) {
+    const inDim = json.inDim ?? 784;
+    const outDim = json.outDim ?? 10;
+    if (inDim !== 784) throw new Error(`${file.name}: inDim is ${inDim}; expected 784 (28×28 pixels).`);
+    if (json.W.length !== inDim * outDim) {
+      throw new Error(`${file.name}: W has ${json.W.length} values; expected inDim × outDim = ${inDim * outDim}.`);
+    }
+    if (!Array.isArray(json.b) || json.b.length !== outDim) {
+      throw new Error(`${file.name}: b has ${json.b?.length ?? 0} values; expected outDim = ${outDim}.`);
+    }
+    if (![...json.W, ...json.b].every((v) => typeof v === "number" && Number.isFinite(v))) {
+      throw new Error(`${file.name}: weights must be finite numbers.`);
+    }
+    const entry = localEntry(file.name, "linear-json", [-1, inDim], outDim, "logits");
+    return { entry, runtime: createLinearModel(entry, { inDim, outDim, W: json.W, b: json.b }) };
+  }
+
+  if (!json.modelTopology) throw new Error(`${file.name}: neither a TF.js model.json nor a logreg.json.`);
+
+  const isGraph = json.format === "graph-model" || Array.isArray(json.modelTopology.node);
+  const sig = isGraph ? graphSignature(json, file.name) : layersSignature(json, file.name);
+  const shards = checkShards(json, binFiles, file.name);
+  const unused = binFiles.filter((f) => !shards.includes(f));
+
+  const entry = localEntry(file.name, isGraph ? "graph-model" : "layers-model", sig.shape, sig.classes, sig.output);
+  const handler = tf.io.browserFiles([file, ...shards]);
+  const warning = [
+    sig.inName === EXPECTED_INPUT.name ? "" : `Input is named "${sig.inName}" (the shipped CNN uses "${EXPECTED_INPUT.name}").`,
+    unused.length ? `Ignored ${unused.map((f) => f.name).join(", ")}: not listed in ${file.name}.` : "",
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+  await tf.ready();
+  if (isGraph) {
+    return { entry, runtime: createGraphRuntime(entry, await tf.loadGraphModel(handler), warning, json.modelTopology) };
+  }
+  return { entry, runtime: createLayersRuntime(entry, await tf.loadLayersModel(handler), warning) };
+}
@@ -0,0 +1,142 @@
+// src/ml/logreg.js
+// Softmax (multinomial logistic) regression: logits = x W + b, W is [inDim, outDim].
+// logreg.json: { inDim, outDim, W: number[inDim * outDim] (row-major), b: number[outDim] }
+import * as tf from "@tensorflow/tfjs";
+import { createRng, shuffle } from "./random";
+
+/**
+ * Validate a parsed logreg.json. Wrong-sized arrays are replaced by zeros (the model
+ * then predicts uniformly) and reported through `warning` instead of throwing.
+ * @returns {{inDim: number, outDim: number, W: number[], b: number[], warning: string}}
+ */
+export function readLogRegJson(json) {
+  const inDim = json.inDim ?? 784;
+  const outDim = json.outDim ?? 10;
+
+  const expected = inDim * outDim;
+  let W = Array.isArray(json.W) ? json.W : [];
+  let b = Array.isArray(json.b) ? json.b : [];
+  let warning = "";
+
+  if (W.length !== expected) {
+    warning = `LogReg weights length is ${W.length} but expected ${expected}. Using zeros until you export real weights.`;
+    W = new Array(expected).fill(0);
+  }
+
+  if (b.length !== outDim) {
+    warning = `LogReg bias length is ${b.length} but expected ${outDim}. Using zeros until you export real weights.`;
+    b = new Array(outDim).fill(0);
+  }
+
+  return { inDim, outDim, W, b, warning };
+}
+
+export function logRegToJson({ inDim, outDim, W, b }) {
+  const round = (v) => Math.round(v * 1e6) / 1e6;
+  return JSON.stringify({ inDim, outDim, W: Array.from(W, round), b: Array.from(b, round) });
+}
+
+// Seeded shuffle, then the last `fraction` of the indices is held out
+export function splitIndices(n, fraction, seed = 1) {
+  const idx = shuffle(Array.from({ length: n }, (_, i) => i), createRng(seed));
+  const nVal = fraction > 0 && n > 1 ? Math.max(1, Math.round(n * fraction)) : 0;
+  return { train: idx.slice(0, n - nVal), val: idx.slice(n - nVal) };
+}
+
+function evaluate(W, b, x, y, l2) {
+  return tf.tidy(() => {
+    const logits = x.matMul(W).add(b);
+    const ce = tf.losses.softmaxCrossEntropy(y, logits);
+    const loss = l2 > 0 ? ce.add(W.square().sum().mul(l2)) : ce;
+    const acc = logits.argMax(1).equal(y.argMax(1)).cast("float32").mean();
+    return [loss, acc];
+  });
+}
+
+/**
+ * Fit softmax regression with Adam on flat feature vectors (784 pixels, or CNN embeddings for a head).
+ * `labels` are class indices in [0, outDim).
+ * @param {{inputs: ArrayLike<number>[], labels: number[], outDim?: number, learningRate?: number,
+ *   l2?: number, epochs?: number, batchSize?: number, validationSplit?: number, seed?: number,
+ *   onEpoch?: (entry: {epoch: number, loss: number, acc: number, valLoss: number|null, valAcc: number|null}) => void,
+ *   signal?: AbortSignal}} options  aborting stops after the current epoch and keeps the weights so far
+ * @returns {Promise<{inDim: number, outDim: number, W: Float32Array, b: Float32Array, history: object[], stopped: boolean}>}
+ */
+export async function trainLogReg({
+  inputs,
+  labels,
+  outDim = 10,
+  learningRate = 0.01,
+  l2 = 1e-4,
+  epochs = 30,
+  batchSize = 32,
+  validationSplit = 0.2,
+  seed = 1,
+  onEpoch,
+  signal,
+}) {
+  const n = inputs.length;
+  if (n < 2) throw new Error("Need at least 2 labeled samples to train.");
+  const inDim = inputs[0].length;
+
+  const { train, val } = splitIndices(n, validationSplit, seed);
+  const toTensors = (ids) => {
+    const flat = new Float32Array(ids.length * inDim);
+    ids.forEach((i, k) => flat.set(inputs[i], k * inDim));
+    return {
+      x: tf.tensor2d(flat, [ids.length, inDim]),
+      y: tf.tidy(() => tf.oneHot(tf.tensor1d(ids.map((i) => labels[i]), "int32"), outDim).cast("float32")),
+    };
+  };
+
+  const trainSet = toTensors(train);
+  const valSet = val.length ? toTensors(val) : null;
+  const W = tf.tidy(() => tf.variable(tf.zeros([inDim, outDim])));
+  const b = tf.tidy(() => tf.variable(tf.zeros([outDim])));
+  const optimizer = tf.train.adam(learningRate);
+  const rng = createRng(seed + 1);
+  const history = [];
+  let stopped = false;
+
+  try {
+    for (let epoch = 1; epoch <= epochs; epoch++) {
+      if (signal?.aborted) {
+        stopped = true;
+        break;
+      }
+
+      const order = shuffle(Array.from({ length: train.length }, (_, i) => i), rng);
+      for (let start = 0; start < order.length; start += batchSize) {
+        const batchIdx = tf.tensor1d(order.slice(start, start + batchSize), "int32");
+        optimizer.minimize(() => {
+          const xb = trainSet.x.gather(batchIdx);
+          const yb = trainSet.y.gather(batchIdx);
+          const ce = tf.losses.softmaxCrossEntropy(yb, xb.matMul(W).add(b));
+          return l2 > 0 ? ce.add(W.square().sum().mul(l2)) : ce;
+        });
+        batchIdx.dispose();
+      }
+
+      const [lossT, accT] = evaluate(W, b, trainSet.x, trainSet.y, l2);
+      const valT = valSet ? evaluate(W, b, valSet.x, valSet.y, l2) : null;
+      const entry = {
+        epoch,
+        loss: (await lossT.data())[0],
+        acc: (await accT.data())[0],
+        valLoss: valT ? (await valT[0].data())[0] : null,
+        valAcc: valT ? (await valT[1].data())[0] : null,
+      };
+      tf.dispose([lossT, accT, ...(valT ?? [])]);
+
+      history.push(entry);
+      onEpoch?.(entry);
+      await tf.nextFrame(); // let the chart repaint
+    }
+
+    return { inDim, outDim, W: await W.data(), b: await b.data(), history, stopped };
+  } finally {
+    tf.dispose([trainSet.x, trainSet.y, W, b]);
+    if (valSet) tf.dispose([valSet.x, valSet.y]);
+    optimizer.dispose();
+  }
+}
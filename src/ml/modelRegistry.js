@@ -0,0 +1,393 @@
+// src/ml/modelRegistry.js
+// Every model the app can run is described by public/model/manifest.json:
+//
+//   { version: 1, models: [{
+//       id, name,
+//       format: "graph-model" | "layers-model" | "linear-json",
+//       url,                                   // relative to the manifest
+//       input: { shape: [-1, 28, 28, 1], normalization: { mean, std } },
+//       output: "probabilities" | "logits",    // logits get a softmax
+//       labels: ["0", ..., "9"],
+//       embedding?: { node, source, label },   // `source` is the sample-set embedding id, e.g. "cnn-penultimate"
+//       checksum?: "sha256-<hex>"              // over model.json + weight shards (or the JSON file)
+//   }] }
+//
+// loadModel() turns an entry into a runtime model with one interface for every format:
+//   { entry, labels, embeddingNode, warning, graphModel?, predict(input), embed?(input), embedBatch?(pixelsList),
+//     forward?(input), activation?(input, node), forwardFrom?(node, activation), save?(url), dispose() }
+// Graph models also carry `graphNodes` (src/ml/graphInspect.js), `nodeOutput(input, node)` and
+// `withEmbeddingNode(node)`, a copy of the runtime that embeds from another node.
+// `input` is always the preprocessed [1, 28, 28, 1] tensor with values in [0, 1]; the runtime
+// reshapes and normalizes it as its entry says. forward/activation/forwardFrom are synchronous and
+// differentiable (probabilities, or a graph node's output, as tensors) for the explanations in
+// src/ml/explain.js; call them inside tf.tidy. save(url) writes the model through tf.io (e.g. to
+// `indexeddb://...`), and modelFromArtifacts() turns what was saved back into a runtime.
+import * as tf from "@tensorflow/tfjs";
+import { readLogRegJson } from "./logreg";
+import { predictHead } from "./head";
+import { embedPixelBatch, extractCnnEmbedding, resolveEmbeddingOutputName } from "./cnnEmbedding";
+import { parseGraph } from "./graphInspect";
+
+export const MANIFEST_PATH = "model/manifest.json";
+export const MANIFEST_VERSION = 1;
+export const MODEL_FORMATS = ["graph-model", "layers-model", "linear-json"];
+const INPUT_SIZE = 28 * 28;
+
+export function looksLikeHtml(text) {
+  const t = (text || "").trimStart().toLowerCase();
+  return t.startsWith("<!doctype") || t.startsWith("<html") || t.startsWith("<");
+}
+
+// Throws with the offending model on anything the loader couldn't run
+export function parseManifest(json) {
+  if (!json || !Array.isArray(json.models)) throw new Error("Model manifest has no `models` list.");
+  if (json.version > MANIFEST_VERSION) {
+    throw new Error(`Model manifest version ${json.version} is newer than this app supports (${MANIFEST_VERSION}).`);
+  }
+
+  const seen = new Set();
+  return json.models.map((m, i) => {
+    const where = `Model ${m?.id ? `"${m.id}"` : i + 1}`;
+    if (!m || typeof m.id !== "string" || !m.id) throw new Error(`${where}: missing id.`);
+    if (seen.has(m.id)) throw new Error(`${where}: duplicate id.`);
+    seen.add(m.id);
+
+    if (!MODEL_FORMATS.includes(m.format)) {
+      throw new Error(`${where}: unknown format "${m.format}" (expected ${MODEL_FORMATS.join(", ")}).`);
+    }
+    if (typeof m.url !== "string" || !m.url) throw new Error(`${where}: missing url.`);
+
+    const shape = m.input?.shape;
+    if (!Array.isArray(shape) || shape[0] !== -1 || shape.slice(1).reduce((a, b) => a * b, 1) !== INPUT_SIZE) {
+      throw new Error(`${where}: input shape must be [-1, ...] with ${INPUT_SIZE} values per drawing.`);
+    }
+    if (!Array.isArray(m.labels) || m.labels.length < 2) throw new Error(`${where}: needs at least 2 class labels.`);
+
+    const norm = m.input.normalization ?? {};
+    return {
+      id: m.id,
+      name: m.name || m.id,
+      format: m.format,
+      url: m.url,
+      input: { shape, normalization: { mean: Number(norm.mean ?? 0), std: Number(norm.std ?? 1) || 1 } },
+      output: m.output === "logits" ? "logits" : "probabilities",
+      labels: m.labels.map(String),
+      embedding: m.embedding?.node ? { source: m.embedding.node, label: m.embedding.node, ...m.embedding } : null,
+      checksum: typeof m.checksum === "string" ? m.checksum : null,
+    };
+  });
+}
+
+/**
+ * Fetch and parse a manifest. Pass `fetch` to read from somewhere else than the network
+ * (the Node CLI reads file: URLs from disk).
+ * @param {string} url
+ * @param {{fetch?: typeof fetch}} [options]
+ * @returns {Promise<object[]>} parseManifest() entries
+ */
+export async function fetchManifest(url, { fetch: fetchImpl = globalThis.fetch } = {}) {
+  const res = await fetchImpl(url, { cache: "no-store" });
+  if (!res.ok) throw new Error(`Failed to fetch the model manifest (${res.status})`);
+  const text = await res.text();
+  if (looksLikeHtml(text)) throw new Error("Got HTML instead of the model manifest (path wrong / fallback)");
+  return parseManifest(JSON.parse(text));
+}
+
+// Entry URLs are relative to the manifest
+export function modelUrl(entry, manifestUrl) {
+  return new URL(entry.url, manifestUrl).href;
+}
+
+// The model that provides an embedding source (e.g. "cnn-penultimate"), if any
+export function embeddingProvider(entries, source) {
+  return entries.find((e) => e.embedding?.source === source) ?? null;
+}
+
+async function sha256Hex(buffers) {
+  const total = buffers.reduce((n, b) => n + b.byteLength, 0);
+  const all = new Uint8Array(total);
+  let offset = 0;
+  for (const b of buffers) {
+    all.set(new Uint8Array(b), offset);
+    offset += b.byteLength;
+  }
+  const digest = await crypto.subtle.digest("SHA-256", all);
+  return Array.from(new Uint8Array(digest), (x) => x.toString(16).padStart(2, "0")).join("");
+}
+
+// A mismatch is only a warning: a retrained logreg.json is expected to differ from the shipped one
+async function checksumWarning(entry, buffers) {
+  if (!entry.checksum || !globalThis.crypto?.subtle) return "";
+  const hex = await sha256Hex(buffers);
+  return entry.checksum === `sha256-${hex}`
+    ? ""
+    : `${entry.name}: files differ from the manifest checksum (got sha256-${hex.slice(0, 12)}…).`;
+}
+
+// Always a new tensor, owned by the caller
+function prepareInput(entry, input) {
+  const { mean, std } = entry.input.normalization;
+  return tf.tidy(() => {
+    const x = input.reshape([input.shape[0], ...entry.input.shape.slice(1)]);
+    return mean === 0 && std === 1 ? x : x.sub(mean).div(std);
+  });
+}
+
+// Synchronous counterpart of readProbabilities: the model output as a probabilities tensor
+function toProbabilities(entry, out) {
+  const t = Array.isArray(out) ? out[0] : out;
+  return entry.output === "logits" ? tf.softmax(t) : t;
+}
+
+// Reads and disposes the model output, also when the softmax or the read fails
+async function readProbabilities(entry, out) {
+  const t = Array.isArray(out) ? out[0] : out;
+  let probs = t;
+  try {
+    if (entry.output === "logits") probs = tf.softmax(t);
+    return Array.from(await probs.data());
+  } finally {
+    if (probs !== t) probs.dispose();
+    tf.dispose(out);
+  }
+}
+
+// `topology` is model.json's modelTopology, for the inspector's node list and shapes
+export function createGraphRuntime(entry, model, warning, topology = null) {
+  const embeddingNode = entry.embedding ? resolveEmbeddingOutputName(model, entry.embedding.node) : null;
+  const transform = (x) => prepareInput(entry, x);
+
+  return {
+    entry,
+    labels: entry.labels,
+    embeddingNode,
+    graphModel: model,
+    graphNodes: topology ? parseGraph(topology) : [],
+    warning:
+      warning || (entry.embedding && !embeddingNode ? `${entry.name}: embedding node "${entry.embedding.node}" not found.` : ""),
+    async predict(input) {
+      const x = transform(input);
+      try {
+        return await readProbabilities(entry, model.predict(x));
+      } finally {
+        x.dispose();
+      }
+    },
+    embed: embeddingNode
+      ? async (input) => {
+          const x = transform(input);
+          try {
+            return await extractCnnEmbedding(model, x, embeddingNode);
+          } finally {
+            x.dispose();
+          }
+        }
+      : null,
+    embedBatch: embeddingNode ? (pixelsList) => embedPixelBatch(model, embeddingNode, pixelsList, 64, transform) : null,
+    forward: (input) => toProbabilities(entry, model.execute(transform(input))),
+    activation: (input, node) => model.execute(transform(input), node),
+    forwardFrom: (node, activation) => toProbabilities(entry, model.execute({ [node]: activation })),
+    async nodeOutput(input, node) {
+      const x = transform(input);
+      let y;
+      try {
+        y = await model.executeAsync(x, node);
+        const t = Array.isArray(y) ? y[0] : y;
+        return { shape: t.shape, data: await t.data() };
+      } finally {
+        x.dispose();
+        tf.dispose(y);
+      }
+    },
+    withEmbeddingNode: entry.embedding
+      ? (node) => createGraphRuntime({ ...entry, embedding: { ...entry.embedding, node } }, model, warning, topology)
+      : null,
+    save: (url) => model.save(url),
+    dispose: () => model.dispose(),
+  };
+}
+
+export function createLayersRuntime(entry, model, warning) {
+  let embedder = null;
+  if (entry.embedding) {
+    try {
+      embedder = tf.model({ inputs: model.inputs, outputs: model.getLayer(entry.embedding.node).output });
+    } catch {
+      warning = warning || `${entry.name}: embedding layer "${entry.embedding.node}" not found.`;
+    }
+  }
+  const embedOne = async (x) => {
+    const out = embedder.predict(x);
+    try {
+      return await out.data();
+    } finally {
+      out.dispose();
+    }
+  };
+
+  return {
+    entry,
+    labels: entry.labels,
+    embeddingNode: embedder ? entry.embedding.node : null,
+    warning,
+    async predict(input) {
+      const x = prepareInput(entry, input);
+      try {
+        return await readProbabilities(entry, model.predict(x));
+      } finally {
+        x.dispose();
+      }
+    },
+    embed: embedder
+      ? async (input) => {
+          const x = prepareInput(entry, input);
+          try {
+            return await embedOne(x);
+          } finally {
+            x.dispose();
+          }
+        }
+      : null,
+    embedBatch: embedder
+      ? async (pixelsList) => {
+          const out = [];
+          for (const p of pixelsList) {
+            const x = tf.tidy(() => prepareInput(entry, tf.tensor4d(p, [1, 28, 28, 1])));
+            try {
+              out.push(await embedOne(x));
+            } finally {
+              x.dispose();
+            }
+          }
+          return out;
+        }
+      : null,
+    forward: (input) => toProbabilities(entry, model.apply(prepareInput(entry, input))),
+    save: (url) => model.save(url),
+    dispose: () => model.dispose(),
+  };
+}
+
+/**
+ * Softmax regression runtime from plain weights (logreg.json, or weights trained in the app).
+ * @param {object} entry  manifest entry (format "linear-json")
+ * @param {{inDim: number, outDim: number, W: ArrayLike<number>, b: ArrayLike<number>}} weights
+ */
+export function createLinearModel(entry, { inDim, outDim, W, b }, warning = "") {
+  if (inDim !== INPUT_SIZE) throw new Error(`${entry.name}: expects ${inDim} inputs, drawings have ${INPUT_SIZE}.`);
+  if (outDim !== entry.labels.length) {
+    throw new Error(`${entry.name}: has ${outDim} outputs but the manifest lists ${entry.labels.length} labels.`);
+  }
+  const Wt = tf.tensor2d(W, [inDim, outDim], "float32");
+  const bt = tf.tensor1d(b, "float32");
+  // The weights always produce logits, whatever the manifest says
+  const linearEntry = { ...entry, output: "logits", input: { ...entry.input, shape: [-1, inDim] } };
+
+  return {
+    entry,
+    labels: entry.labels,
+    embeddingNode: null,
+    warning,
+    predict: (input) =>
+      readProbabilities(
+        linearEntry,
+        tf.tidy(() => prepareInput(linearEntry, input).matMul(Wt).add(bt))
+      ),
+    embed: null,
+    embedBatch: null,
+    forward: (input) => tf.softmax(prepareInput(linearEntry, input).matMul(Wt).add(bt)),
+    // The weights as tf.io artifacts; the topology only records the shape
+    save: (url) =>
+      tf.io.getSaveHandlers(url)[0].save({
+        modelTopology: { format: "linear-json", inDim, outDim },
+        weightSpecs: [
+          { name: "W", shape: [inDim, outDim], dtype: "float32" },
+          { name: "b", shape: [outDim], dtype: "float32" },
+        ],
+        weightData: Float32Array.from([...W, ...b]).buffer,
+      }),
+    dispose: () => tf.dispose([Wt, bt]),
+  };
+}
+
+// Personalized head (src/ml/head.js) running on a base model's embedding
+export function createHeadModel(head, base) {
+  return {
+    entry: { id: "head", name: "Personalized head", format: "head" },
+    labels: head.classes,
+    embeddingNode: base.embeddingNode,
+    graphModel: base.graphModel,
+    warning: "",
+    predict: async (input) => predictHead(head, await base.embed(input)),
+    embed: base.embed,
+    embedBatch: base.embedBatch,
+    dispose: () => {}, // the base model stays cached
+  };
+}
+
+/**
+ * Runtime from tf.io model artifacts, e.g. a copy read back from `indexeddb://` by
+ * src/storage/modelCache.js. Linear models come back as the artifacts their save() wrote.
+ */
+export async function modelFromArtifacts(entry, artifacts, warning = "") {
+  if (entry.format === "linear-json") {
+    const { inDim, outDim } = artifacts.modelTopology;
+    const weights = tf.io.decodeWeights(artifacts.weightData, artifacts.weightSpecs);
+    try {
+      return createLinearModel(entry, { inDim, outDim, W: await weights.W.data(), b: await weights.b.data() }, warning);
+    } finally {
+      tf.dispose(Object.values(weights));
+    }
+  }
+
+  const handler = tf.io.fromMemory(artifacts);
+  return entry.format === "graph-model"
+    ? createGraphRuntime(entry, await tf.loadGraphModel(handler), warning, artifacts.modelTopology)
+    : createLayersRuntime(entry, await tf.loadLayersModel(handler), warning);
+}
+
+/**
+ * Load one manifest entry. `url` is the entry's resolved URL; files fetched from it are
+ * checked against the entry's checksum. `fetch` replaces the network, as in fetchManifest();
+ * `signal` (an AbortSignal) cancels the download.
+ */
+export async function loadModel(entry, url, { fetch: fetchImpl = globalThis.fetch, signal } = {}) {
+  if (entry.format === "linear-json") {
+    const res = await fetchImpl(url, { signal });
+    if (!res.ok) throw new Error(`Failed to fetch ${entry.url} (${res.status})`);
+
+    const buffer = await res.arrayBuffer();
+    const text = new TextDecoder().decode(buffer);
+    if (looksLikeHtml(text)) throw new Error("Got HTML instead of JSON (path wrong / fallback)");
+
+    const weights = readLogRegJson(JSON.parse(text));
+    const warning = weights.warning || (await checksumWarning(entry, [buffer]));
+    return createLinearModel(entry, weights, warning);
+  }
+
+  // Keep a copy of every fetched file so the checksum covers the weights too (and model.json
+  // itself, for the graph inspector)
+  const files = new Map();
+  const fetchFunc = async (input, init) => {
+    const res = await fetchImpl(input, { ...init, signal });
+    if (res.ok && (entry.checksum || String(input) === url)) files.set(String(input), await res.clone().arrayBuffer());
+    return res;
+  };
+
+  const model =
+    entry.format === "graph-model"
+      ? await tf.loadGraphModel(url, { fetchFunc })
+      : await tf.loadLayersModel(url, { fetchFunc });
+
+  let warning = "";
+  const modelJson = files.has(url) ? JSON.parse(new TextDecoder().decode(files.get(url))) : null;
+  if (entry.checksum && modelJson) {
+    const shardPaths = (modelJson.weightsManifest ?? []).flatMap((group) => group.paths);
+    const shards = shardPaths.map((p) => [...files.entries()].find(([u]) => u.endsWith(`/${p}`))?.[1]);
+    warning = shards.every(Boolean) ? await checksumWarning(entry, [files.get(url), ...shards]) : "";
+  }
+
+  return entry.format === "graph-model"
+    ? createGraphRuntime(entry, model, warning, modelJson?.modelTopology)
+    : createLayersRuntime(entry, model, warning);
+}
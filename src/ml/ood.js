@@ -0,0 +1,103 @@
+// src/ml/ood.js
+// "Is this a digit at all?" Two scores, higher = further from the digits:
+//  - Mahalanobis: distance of the CNN penultimate embedding to the nearest per-class centroid,
+//    under one covariance shared by all classes, estimated from the labeled samples
+//  - max-softmax: 1 - top probability of the selected model (needs no samples)
+import { cholesky, forwardSolve } from "./linalg";
+
+export const OOD_METHODS = [
+  { id: "mahalanobis", label: "Mahalanobis (CNN embedding)", threshold: 1.5, max: 5, step: 0.1 },
+  { id: "max-softmax", label: "Max softmax", threshold: 0.5, max: 1, step: 0.05 },
+];
+
+export const DEFAULT_OOD_THRESHOLDS = Object.fromEntries(OOD_METHODS.map((m) => [m.id, m.threshold]));
+
+// Fewer labeled digits than this and the covariance is mostly guesswork
+export const MIN_OOD_SAMPLES = 20;
+
+function quantile(values, q) {
+  const sorted = Float64Array.from(values).sort();
+  return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))] ?? 0;
+}
+
+/**
+ * Class centroids and a shared covariance from labeled embeddings. The covariance is shrunk
+ * toward a scaled identity so it stays invertible with fewer samples than dimensions.
+ * Distances are reported relative to the `quantile` of the samples' own distances, so a
+ * score of 1 means "as far out as the outermost 5% of your labeled drawings".
+ * @param {Array<ArrayLike<number>>} embeddings
+ * @param {Array<string|number>} labels  digit labels, one per embedding
+ * @returns {{classes: string[], L: Float64Array[], means: Float64Array[], scale: number, count: number}}
+ *   `means` are whitened (L⁻¹ μ), so a distance is a plain Euclidean one after whitening the input
+ */
+export function fitMahalanobis(embeddings, labels, { shrinkage = 0.1, quantile: q = 0.95 } = {}) {
+  if (embeddings.length < MIN_OOD_SAMPLES) {
+    throw new Error(`Need at least ${MIN_OOD_SAMPLES} labeled digits (have ${embeddings.length}).`);
+  }
+  const dim = embeddings[0].length;
+  const classes = [...new Set(labels.map(String))].sort();
+  if (classes.length < 2) throw new Error("Need labeled samples of at least 2 digits.");
+
+  const index = new Map(classes.map((c, i) => [c, i]));
+  const sums = classes.map(() => new Float64Array(dim));
+  const counts = new Array(classes.length).fill(0);
+  embeddings.forEach((e, i) => {
+    const c = index.get(String(labels[i]));
+    counts[c] += 1;
+    for (let d = 0; d < dim; d++) sums[c][d] += e[d];
+  });
+  const means = sums.map((s, c) => s.map((v) => v / counts[c]));
+
+  // Pooled within-class covariance
+  const cov = Array.from({ length: dim }, () => new Float64Array(dim));
+  const r = new Float64Array(dim);
+  embeddings.forEach((e, i) => {
+    const mu = means[index.get(String(labels[i]))];
+    for (let d = 0; d < dim; d++) r[d] = e[d] - mu[d];
+    for (let a = 0; a < dim; a++) {
+      const ra = r[a];
+      if (ra === 0) continue;
+      const row = cov[a];
+      for (let b = 0; b <= a; b++) row[b] += ra * r[b];
+    }
+  });
+  const denom = Math.max(1, embeddings.length - classes.length);
+  let trace = 0;
+  for (let a = 0; a < dim; a++) {
+    for (let b = 0; b <= a; b++) {
+      cov[a][b] /= denom;
+      cov[b][a] = cov[a][b];
+    }
+    trace += cov[a][a];
+  }
+  const ridge = Math.max(trace / dim, 1e-6);
+  for (let a = 0; a < dim; a++) {
+    for (let b = 0; b < dim; b++) cov[a][b] *= 1 - shrinkage;
+    cov[a][a] += shrinkage * ridge;
+  }
+
+  const L = cholesky(cov);
+  const model = { classes, L, means: means.map((m) => forwardSolve(L, m)), scale: 1, count: embeddings.length };
+  model.scale = quantile(embeddings.map((e) => mahalanobisScore(model, e).score), q) || 1;
+  return model;
+}
+
+// Scaled distance to the nearest centroid, and which class that is
+export function mahalanobisScore(model, embedding) {
+  const z = forwardSolve(model.L, embedding);
+  let best = Infinity;
+  let nearest = null;
+  model.means.forEach((m, c) => {
+    let d2 = 0;
+    for (let i = 0; i < z.length; i++) d2 += (z[i] - m[i]) ** 2;
+    if (d2 < best) {
+      best = d2;
+      nearest = model.classes[c];
+    }
+  });
+  return { score: Math.sqrt(best) / model.scale, nearest };
+}
+
+export function maxSoftmaxScore(probs) {
+  return 1 - Math.max(...probs);
+}
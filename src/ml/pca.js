@@ -1,77 +1,28 @@
-// PCA via Gram matrix (X X^T) so it's fast in-browser when N (samples) is small.
-// embeddings: Array<Array<number>> length N, each length D
-// returns:
-//   points2d: Array<[number, number]> length N
+// Exact PCA for in-browser use.
+// embeddings: Array<ArrayLike<number>> length N, each length D
+// returns (k = number of components actually computed):
+//   points: Array<Array<number>> shape [N][k]   (sample coordinates)
 //   mean: Array<number> length D
-//   components: Array<Array<number>> shape [2][D]  (so you can project new points)
+//   components: Array<Array<number>> shape [k][D]  (unit vectors, so you can project new points)
+//   eigenvalues: Array<number> length k        (variance along each component)
+//   explainedVarianceRatio: Array<number> length k
+//   totalVariance: number
 // Notes:
-//   - This is deterministic-ish but power iteration can vary slightly.
-//   - Works great for N up to a few hundred and D=784.
-
-function dot(a, b) {
-  let s = 0;
-  for (let i = 0; i < a.length; i++) s += a[i] * b[i];
-  return s;
-}
-
-function norm(v) {
-  return Math.sqrt(dot(v, v)) + 1e-12;
-}
-
-function normalize(v) {
-  const n = norm(v);
-  for (let i = 0; i < v.length; i++) v[i] /= n;
-  return v;
-}
-
-function matVecMul(A, v) {
-  const n = A.length;
-  const out = new Float32Array(n);
-  for (let i = 0; i < n; i++) {
-    let s = 0;
-    const row = A[i];
-    for (let j = 0; j < n; j++) s += row[j] * v[j];
-    out[i] = s;
-  }
-  return out;
-}
-
-function powerIterationTop1(A, iters = 80) {
-  const n = A.length;
-  let v = new Float32Array(n);
-  // init
-  for (let i = 0; i < n; i++) v[i] = (Math.random() - 0.5);
-  normalize(v);
-
-  for (let t = 0; t < iters; t++) {
-    const Av = matVecMul(A, v);
-    v = Av;
-    normalize(v);
-  }
-
-  // Rayleigh quotient for eigenvalue
-  const Av = matVecMul(A, v);
-  const lambda = dot(v, Av);
-
-  return { v: Array.from(v), lambda };
-}
-
-function deflate(A, v, lambda) {
-  const n = A.length;
-  // A <- A - lambda * v v^T
-  for (let i = 0; i < n; i++) {
-    for (let j = 0; j < n; j++) {
-      A[i][j] -= lambda * v[i] * v[j];
-    }
-  }
-}
+//   - Decomposes whichever is smaller: the N x N Gram matrix (Xc Xc^T) or the
+//     D x D scatter matrix (Xc^T Xc). Both have the same non-zero eigenvalues.
+//   - Exact eigensolver, no random starts, plus sign normalization (largest
+//     |loading| of each component is positive): same data -> same axes, every run.
+//   - Cost is O(N*min(N,D)*D + min(N,D)^3), so run it off the main thread
+//     (see projectionWorker.js) once N gets into the hundreds.
+//   - onProgress(fraction in [0, 1]) is called along the way if given.
+import { dot, symmetricEigen } from "./linalg";
 
 // Compute mean and centered matrix (as arrays)
 function centerEmbeddings(embeddings) {
   const N = embeddings.length;
   const D = embeddings[0].length;
 
-  const mean = new Float32Array(D);
+  const mean = new Float64Array(D);
   for (let i = 0; i < N; i++) {
     const x = embeddings[i];
     for (let d = 0; d < D; d++) mean[d] += x[d];
@@ -81,7 +32,7 @@ function centerEmbeddings(embeddings) {
   const Xc = new Array(N);
   for (let i = 0; i < N; i++) {
     const x = embeddings[i];
-    const row = new Float32Array(D);
+    const row = new Float64Array(D);
     for (let d = 0; d < D; d++) row[d] = x[d] - mean[d];
     Xc[i] = row;
   }
@@ -90,12 +41,9 @@ function centerEmbeddings(embeddings) {
 }
 
 // Gram matrix G = Xc Xc^T (N x N)
-function gramMatrix(Xc) {
+function gramMatrix(Xc, onRow) {
   const N = Xc.length;
-  const G = new Array(N);
-  for (let i = 0; i < N; i++) {
-    G[i] = new Float32Array(N);
-  }
+  const G = Array.from({ length: N }, () => new Float64Array(N));
 
   for (let i = 0; i < N; i++) {
     G[i][i] = dot(Xc[i], Xc[i]);
@@ -104,92 +52,146 @@ function gramMatrix(Xc) {
       G[i][j] = v;
       G[j][i] = v;
     }
+    onRow?.(i + 1);
   }
 
-  // convert to arrays for easier deflation
-  const A = new Array(N);
-  for (let i = 0; i < N; i++) A[i] = Array.from(G[i]);
-  return A;
+  return G;
 }
 
-// components (2 x D) = (U^T Xc) / S
-function computeComponents(Xc, U2, S2) {
+// Scatter matrix S = Xc^T Xc (D x D)
+function scatterMatrix(Xc, onRow) {
   const N = Xc.length;
   const D = Xc[0].length;
-  const comps = [new Float32Array(D), new Float32Array(D)];
-
-  for (let k = 0; k < 2; k++) {
-    const invS = 1.0 / (S2[k] + 1e-12);
-    for (let d = 0; d < D; d++) {
-      let s = 0;
-      for (let i = 0; i < N; i++) {
-        s += U2[k][i] * Xc[i][d];
-      }
-      comps[k][d] = s * invS;
+  const S = Array.from({ length: D }, () => new Float64Array(D));
+
+  for (let n = 0; n < N; n++) {
+    const x = Xc[n];
+    for (let i = 0; i < D; i++) {
+      const xi = x[i];
+      if (xi === 0) continue;
+      const row = S[i];
+      for (let j = i; j < D; j++) row[j] += xi * x[j];
     }
+    onRow?.(n + 1);
+  }
+  for (let i = 0; i < D; i++) {
+    for (let j = 0; j < i; j++) S[i][j] = S[j][i];
   }
 
-  return [Array.from(comps[0]), Array.from(comps[1])];
+  return S;
+}
+
+// Flip v (and the matching point coordinates) so its largest |entry| is positive
+function signFlip(v) {
+  let best = 0;
+  for (let i = 1; i < v.length; i++) if (Math.abs(v[i]) > Math.abs(v[best])) best = i;
+  return v[best] < 0 ? -1 : 1;
 }
 
-export async function runPCA2D(embeddings) {
+/**
+ * @param {Array<ArrayLike<number>>} embeddings
+ * @param {{k?: number, onProgress?: (fraction: number) => void}} [options]
+ */
+export function computePCA(embeddings, { k = 2, onProgress } = {}) {
   if (!embeddings || embeddings.length < 2) {
-    return { points2d: [], mean: [], components: [] };
+    return { points: [], mean: [], components: [], eigenvalues: [], explainedVarianceRatio: [], totalVariance: 0 };
   }
 
   const N = embeddings.length;
   const D = embeddings[0].length;
+  const useGram = N <= D;
+  const m = useGram ? N : D;
+  const K = Math.max(1, Math.min(k, m, N - 1));
 
-  // Keep N reasonable so it stays snappy
-  if (N > 400) {
-    embeddings = embeddings.slice(N - 400);
-  }
+  // Rough work split: building the matrix vs. decomposing it
+  const buildWork = N * m * D;
+  const eigenWork = 3 * m * m * m;
+  const total = buildWork + eigenWork;
+  const report = (done) => onProgress?.(Math.min(1, done / total));
 
   const { mean, Xc } = centerEmbeddings(embeddings);
-  const A = gramMatrix(Xc);
 
-  // top1
-  const e1 = powerIterationTop1(A, 90);
-  deflate(A, e1.v, e1.lambda);
+  let totalScatter = 0;
+  for (const row of Xc) totalScatter += dot(row, row);
+
+  const A = useGram
+    ? gramMatrix(Xc, (i) => report((buildWork * i * (2 * N - i)) / (N * N)))
+    : scatterMatrix(Xc, (n) => report((buildWork * n) / N));
 
-  // top2
-  const e2 = powerIterationTop1(A, 90);
+  const { values, vectors } = symmetricEigen(A, { onProgress: (p) => report(buildWork + eigenWork * p) });
 
-  const lambda1 = Math.max(0, e1.lambda);
-  const lambda2 = Math.max(0, e2.lambda);
-  const s1 = Math.sqrt(lambda1);
-  const s2 = Math.sqrt(lambda2);
+  const components = [];
+  const eigenvalues = [];
+  const columns = [];
 
-  const U1 = e1.v;
-  const U2 = e2.v;
+  for (let c = 0; c < K; c++) {
+    const lambda = Math.max(0, values[c]);
+    let v;
+    let z;
 
-  // Points Z = U * S
-  const points2d = [];
-  for (let i = 0; i < embeddings.length; i++) {
-    points2d.push([U1[i] * s1, U2[i] * s2]);
+    if (useGram) {
+      // G u = lambda u  ->  v = Xc^T u / sqrt(lambda), z = u * sqrt(lambda)
+      const u = vectors[c];
+      const s = Math.sqrt(lambda);
+      const invS = 1 / (s + 1e-12);
+      v = new Float64Array(D);
+      for (let i = 0; i < N; i++) {
+        const ui = u[i];
+        const x = Xc[i];
+        for (let d = 0; d < D; d++) v[d] += ui * x[d];
+      }
+      for (let d = 0; d < D; d++) v[d] *= invS;
+      z = Float64Array.from(u, (ui) => ui * s);
+    } else {
+      // S v = lambda v  ->  z = Xc v
+      v = vectors[c];
+      z = Float64Array.from(Xc, (x) => dot(x, v));
+    }
+
+    const sign = signFlip(v);
+    components.push(Array.from(v, (x) => x * sign));
+    columns.push(Array.from(z, (x) => x * sign));
+    eigenvalues.push(lambda / (N - 1));
   }
 
-  const components = computeComponents(Xc, [U1, U2], [s1, s2]);
+  const points = new Array(N);
+  for (let i = 0; i < N; i++) points[i] = columns.map((col) => col[i]);
+
+  const totalVariance = totalScatter / (N - 1);
+  onProgress?.(1);
 
   return {
-    points2d,
+    points,
     mean,
-    components, // [2][D]
+    components, // [k][D]
+    eigenvalues,
+    explainedVarianceRatio: eigenvalues.map((l) => (totalVariance > 0 ? l / totalVariance : 0)),
+    totalVariance,
   };
 }
 
+// Main-thread fallback; prefer runProjectionInWorker from projectionWorker.js
+export async function runPCA(embeddings, options) {
+  return computePCA(embeddings, options);
+}
+
+// Two-component shorthand, kept for callers that only want a 2D plot
+export async function runPCA2D(embeddings, options) {
+  const res = computePCA(embeddings, { ...options, k: 2 });
+  return { ...res, points2d: res.points.map((p) => [p[0], p[1] ?? 0]) };
+}
+
+// Project onto every component; returns [z0, z1, ...] (length = components.length)
 export function projectWithPCA(embedding, mean, components) {
-  if (!embedding || !mean || !components || components.length !== 2) return null;
+  if (!embedding || !mean || !components?.length) return null;
 
   const D = embedding.length;
-  let z0 = 0;
-  let z1 = 0;
+  const z = new Array(components.length).fill(0);
 
   for (let i = 0; i < D; i++) {
     const x = embedding[i] - (mean[i] ?? 0);
-    z0 += x * (components[0][i] ?? 0);
-    z1 += x * (components[1][i] ?? 0);
+    for (let c = 0; c < components.length; c++) z[c] += x * (components[c][i] ?? 0);
   }
 
-  return [z0, z1];
+  return z;
 }
@@ -0,0 +1,280 @@
+// src/ml/preprocess.js
+// MNIST-style preprocessing as a list of composable stages.
+// Every stage takes and returns a grayscale image { data: Float32Array, width, height }
+// with ink in [0, 1] (white on black, same as the drawing canvas). Stages that move or scale
+// the image also attach `map: { sx, sy, tx, ty }` (input x -> sx * x + tx, same for y), so the
+// 28x28 result can be placed back over the drawing.
+// Nothing in here touches the DOM, so it runs the same in the page, a worker or Node.
+
+export const MNIST_SIZE = 28;
+
+export const DEFAULT_PREPROCESS = {
+  threshold: { enabled: true, value: 0.1 },
+  crop: { enabled: true },
+  padding: { enabled: false, px: 10 },
+  resize: { enabled: true, box: 20 },
+  centerOfMass: { enabled: true },
+  blur: { enabled: false, sigma: 0.6 },
+};
+
+// The old App.jsx behaviour: squash the whole canvas to 28x28, nothing else.
+export const SQUASH_PREPROCESS = {
+  threshold: { enabled: false, value: 0.1 },
+  crop: { enabled: false },
+  padding: { enabled: false, px: 10 },
+  resize: { enabled: false, box: 20 },
+  centerOfMass: { enabled: false },
+  blur: { enabled: false, sigma: 0.6 },
+};
+
+function makeImage(width, height) {
+  return { data: new Float32Array(width * height), width, height };
+}
+
+const withMap = (img, sx, sy, tx, ty) => ({ ...img, map: { sx, sy, tx, ty } });
+
+// RGBA bytes (canvas ImageData layout) -> grayscale image in [0, 1]
+export function rgbaToGray(rgba, width, height) {
+  const img = makeImage(width, height);
+  for (let i = 0; i < width * height; i++) {
+    img.data[i] = (rgba[i * 4] + rgba[i * 4 + 1] + rgba[i * 4 + 2]) / (3 * 255);
+  }
+  return img;
+}
+
+export function inkBoundingBox(img, minInk = 0) {
+  const { data, width, height } = img;
+  let minX = width, minY = height, maxX = -1, maxY = -1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[y * width + x] > minInk) {
+        if (x < minX) minX = x;
+        if (y < minY) minY = y;
+        if (x > maxX) maxX = x;
+        if (y > maxY) maxY = y;
+      }
+    }
+  }
+
+  if (maxX < 0) return null;
+  return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+function cropImage(img, box) {
+  const out = makeImage(box.width, box.height);
+  for (let y = 0; y < box.height; y++) {
+    const srcRow = (box.y + y) * img.width + box.x;
+    out.data.set(img.data.subarray(srcRow, srcRow + box.width), y * box.width);
+  }
+  return out;
+}
+
+// Area-averaging resample: every target pixel is the mean of the source area it covers.
+// Good for the large downscale we do here (e.g. 200px bbox -> 20px).
+export function resizeArea(img, dw, dh) {
+  const { data, width: sw, height: sh } = img;
+  const out = makeImage(dw, dh);
+  const fx = sw / dw;
+  const fy = sh / dh;
+
+  for (let y = 0; y < dh; y++) {
+    const y0 = y * fy;
+    const y1 = y0 + fy;
+    for (let x = 0; x < dw; x++) {
+      const x0 = x * fx;
+      const x1 = x0 + fx;
+      let sum = 0;
+      for (let sy = Math.floor(y0); sy < Math.min(sh, Math.ceil(y1)); sy++) {
+        const wy = Math.min(y1, sy + 1) - Math.max(y0, sy);
+        for (let sx = Math.floor(x0); sx < Math.min(sw, Math.ceil(x1)); sx++) {
+          const wx = Math.min(x1, sx + 1) - Math.max(x0, sx);
+          sum += data[sy * sw + sx] * wx * wy;
+        }
+      }
+      out.data[y * dw + x] = sum / (fx * fy);
+    }
+  }
+
+  return out;
+}
+
+// Paste src into dst with its top-left corner at (dx, dy), clipping at the edges.
+function paste(dst, src, dx, dy) {
+  for (let y = 0; y < src.height; y++) {
+    const ty = y + dy;
+    if (ty < 0 || ty >= dst.height) continue;
+    for (let x = 0; x < src.width; x++) {
+      const tx = x + dx;
+      if (tx < 0 || tx >= dst.width) continue;
+      dst.data[ty * dst.width + tx] = src.data[y * src.width + x];
+    }
+  }
+  return dst;
+}
+
+export function centerOfMass(img) {
+  const { data, width, height } = img;
+  let total = 0, cx = 0, cy = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const v = data[y * width + x];
+      total += v;
+      cx += x * v;
+      cy += y * v;
+    }
+  }
+  if (total <= 0) return null;
+  return { x: cx / total, y: cy / total };
+}
+
+function gaussianKernel(sigma) {
+  const radius = Math.max(1, Math.ceil(sigma * 3));
+  const k = new Float32Array(radius * 2 + 1);
+  let sum = 0;
+  for (let i = -radius; i <= radius; i++) {
+    const v = Math.exp(-(i * i) / (2 * sigma * sigma));
+    k[i + radius] = v;
+    sum += v;
+  }
+  for (let i = 0; i < k.length; i++) k[i] /= sum;
+  return { k, radius };
+}
+
+// Separable Gaussian blur, edges clamped
+export function gaussianBlur(img, sigma) {
+  if (!(sigma > 0)) return img;
+  const { data, width, height } = img;
+  const { k, radius } = gaussianKernel(sigma);
+  const tmp = new Float32Array(width * height);
+  const out = makeImage(width, height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let s = 0;
+      for (let i = -radius; i <= radius; i++) {
+        const sx = Math.min(width - 1, Math.max(0, x + i));
+        s += data[y * width + sx] * k[i + radius];
+      }
+      tmp[y * width + x] = s;
+    }
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let s = 0;
+      for (let i = -radius; i <= radius; i++) {
+        const sy = Math.min(height - 1, Math.max(0, y + i));
+        s += tmp[sy * width + x] * k[i + radius];
+      }
+      out.data[y * width + x] = s;
+    }
+  }
+
+  return out;
+}
+
+// Stage list, in the order they run. `required` stages run even when disabled
+// (resize always has to produce a 28x28 image; disabled just means "stretch").
+export const PREPROCESS_STAGES = [
+  {
+    id: "threshold",
+    label: "Ink threshold",
+    apply(img, { value }) {
+      const out = makeImage(img.width, img.height);
+      for (let i = 0; i < img.data.length; i++) {
+        out.data[i] = img.data[i] >= value ? img.data[i] : 0;
+      }
+      return out;
+    },
+  },
+  {
+    id: "crop",
+    label: "Bounding-box crop",
+    apply(img) {
+      const box = inkBoundingBox(img);
+      return box ? withMap(cropImage(img, box), 1, 1, -box.x, -box.y) : img;
+    },
+  },
+  {
+    id: "padding",
+    label: "Padding",
+    apply(img, { px }) {
+      const p = Math.max(0, Math.round(px));
+      return withMap(paste(makeImage(img.width + p * 2, img.height + p * 2), img, p, p), 1, 1, p, p);
+    },
+  },
+  {
+    id: "resize",
+    label: "Aspect-preserving resize",
+    required: true,
+    apply(img, { enabled, box }) {
+      if (!enabled) {
+        return withMap(resizeArea(img, MNIST_SIZE, MNIST_SIZE), MNIST_SIZE / img.width, MNIST_SIZE / img.height, 0, 0);
+      }
+
+      const target = Math.min(MNIST_SIZE, Math.max(1, Math.round(box)));
+      const scale = target / Math.max(img.width, img.height);
+      const w = Math.max(1, Math.round(img.width * scale));
+      const h = Math.max(1, Math.round(img.height * scale));
+      const fitted = resizeArea(img, w, h);
+
+      const dx = Math.floor((MNIST_SIZE - w) / 2);
+      const dy = Math.floor((MNIST_SIZE - h) / 2);
+      return withMap(paste(makeImage(MNIST_SIZE, MNIST_SIZE), fitted, dx, dy), w / img.width, h / img.height, dx, dy);
+    },
+  },
+  {
+    id: "centerOfMass",
+    label: "Center-of-mass shift",
+    apply(img) {
+      const com = centerOfMass(img);
+      if (!com) return img;
+      const dx = Math.round(img.width / 2 - com.x);
+      const dy = Math.round(img.height / 2 - com.y);
+      if (!dx && !dy) return img;
+      return withMap(paste(makeImage(img.width, img.height), img, dx, dy), 1, 1, dx, dy);
+    },
+  },
+  {
+    id: "blur",
+    label: "Gaussian blur",
+    apply(img, { sigma }) {
+      return gaussianBlur(img, sigma);
+    },
+  },
+];
+
+/**
+ * Run a grayscale image through the enabled stages.
+ * @param {{data: Float32Array, width: number, height: number}} image  ink in [0, 1]
+ * @param {object} config  per-stage options, see DEFAULT_PREPROCESS
+ * @returns {{pixels: Float32Array, empty: boolean, transform: {sx, sy, tx, ty}}}  pixels is always
+ *   28*28; transform maps source coordinates to 28x28 ones (x28 = sx * x + tx)
+ */
+export function preprocessImage(image, config = DEFAULT_PREPROCESS) {
+  const minInk = config.threshold?.enabled ? config.threshold.value : 0;
+  if (!inkBoundingBox(image, minInk)) {
+    return { pixels: new Float32Array(MNIST_SIZE * MNIST_SIZE), empty: true, transform: null };
+  }
+
+  let img = image;
+  const transform = { sx: 1, sy: 1, tx: 0, ty: 0 };
+  for (const stage of PREPROCESS_STAGES) {
+    const opts = { ...DEFAULT_PREPROCESS[stage.id], ...config[stage.id] };
+    if (!opts.enabled && !stage.required) continue;
+    const { map, ...next } = stage.apply(img, opts);
+    if (map) {
+      transform.sx *= map.sx;
+      transform.sy *= map.sy;
+      transform.tx = transform.tx * map.sx + map.tx;
+      transform.ty = transform.ty * map.sy + map.ty;
+    }
+    img = next;
+  }
+
+  const pixels = img.data;
+  for (let i = 0; i < pixels.length; i++) pixels[i] = Math.min(1, Math.max(0, pixels[i]));
+
+  return { pixels, empty: false, transform };
+}
@@ -0,0 +1,105 @@
+// src/ml/projection.js
+// Pluggable 2D/kD projections of the sample embeddings.
+//
+// Each method: { id, label, canProject, params: [{ key, label, min, max, step, default }],
+//                fit(embeddings, params, { onProgress }) -> { points, ...extra } }
+// `points` is always [N][k] with k >= 2. Methods with canProject can place a new
+// embedding exactly (see projectPoint); the rest fall back to nearest neighbours.
+import { computePCA, projectWithPCA } from "./pca";
+import { computeTSNE } from "./tsne";
+import { computeUMAP } from "./umap";
+
+export const PROJECTIONS = [
+  {
+    id: "pca",
+    label: "PCA",
+    canProject: true,
+    params: [{ key: "components", label: "Components", min: 2, max: 20, step: 1, default: 10 }],
+    fit: (embeddings, params, { onProgress } = {}) => computePCA(embeddings, { k: params.components, onProgress }),
+  },
+  {
+    id: "tsne",
+    label: "t-SNE",
+    canProject: false,
+    params: [
+      { key: "perplexity", label: "Perplexity", min: 2, max: 100, step: 1, default: 30 },
+      { key: "iterations", label: "Iterations", min: 100, max: 2000, step: 50, default: 500 },
+      { key: "seed", label: "Seed", min: 1, max: 9999, step: 1, default: 1 },
+    ],
+    fit: (embeddings, params, { onProgress } = {}) => ({
+      points: computeTSNE(embeddings, { ...params, onProgress }),
+    }),
+  },
+  {
+    id: "umap",
+    label: "UMAP",
+    canProject: false,
+    params: [
+      { key: "nNeighbors", label: "Neighbors", min: 2, max: 100, step: 1, default: 15 },
+      { key: "minDist", label: "Min distance", min: 0, max: 1, step: 0.05, default: 0.1 },
+      { key: "epochs", label: "Epochs", min: 50, max: 1000, step: 50, default: 300 },
+      { key: "seed", label: "Seed", min: 1, max: 9999, step: 1, default: 1 },
+    ],
+    fit: (embeddings, params, { onProgress } = {}) => ({
+      points: computeUMAP(embeddings, { ...params, onProgress }),
+    }),
+  },
+];
+
+export function getProjection(id) {
+  const method = PROJECTIONS.find((m) => m.id === id);
+  if (!method) throw new Error(`Unknown projection method "${id}".`);
+  return method;
+}
+
+export function defaultProjectionParams(id) {
+  return Object.fromEntries(getProjection(id).params.map((p) => [p.key, p.default]));
+}
+
+export function fitProjection(id, embeddings, params = {}, options = {}) {
+  const method = getProjection(id);
+  return { method: id, ...method.fit(embeddings, { ...defaultProjectionParams(id), ...params }, options) };
+}
+
+/**
+ * Inverse-distance weighted average of the k nearest training points' coordinates.
+ * Used to place a new embedding for methods that have no out-of-sample mapping.
+ */
+export function placeByNeighbors(embedding, embeddings, points, k = 5) {
+  if (!embedding || !embeddings?.length || embeddings.length !== points.length) return null;
+
+  const nearest = [];
+  for (let i = 0; i < embeddings.length; i++) {
+    const e = embeddings[i];
+    if (e.length !== embedding.length) return null;
+    let s = 0;
+    for (let d = 0; d < e.length; d++) {
+      const t = e[d] - embedding[d];
+      s += t * t;
+    }
+    nearest.push({ i, dist: Math.sqrt(s) });
+  }
+  nearest.sort((a, b) => a.dist - b.dist);
+
+  const top = nearest.slice(0, Math.min(k, nearest.length));
+  if (top[0].dist === 0) return points[top[0].i].slice();
+
+  const out = new Array(points[0].length).fill(0);
+  let total = 0;
+  for (const { i, dist } of top) {
+    const w = 1 / dist;
+    total += w;
+    points[i].forEach((v, c) => (out[c] += v * w));
+  }
+  return out.map((v) => v / total);
+}
+
+// Where a new embedding lands in a fitted projection (null if dims don't match)
+export function projectPoint(result, embedding, trainEmbeddings) {
+  if (!result?.points?.length || !embedding) return null;
+  if (getProjection(result.method).canProject) {
+    if (embedding.length !== result.mean?.length) return null;
+    return projectWithPCA(embedding, result.mean, result.components);
+  }
+  return placeByNeighbors(embedding, trainEmbeddings, result.points);
+}
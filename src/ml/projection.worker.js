@@ -0,0 +1,42 @@
+// src/ml/projection.worker.js
+// Runs a projection (PCA, t-SNE, UMAP) off the main thread. Embeddings arrive as one
+// flat Float32Array (N*D) and results go back as transferred typed arrays.
+import { fitProjection } from "./projection";
+
+self.onmessage = (e) => {
+  const { method, params, data, n, d } = e.data;
+
+  try {
+    const rows = new Array(n);
+    for (let i = 0; i < n; i++) rows[i] = data.subarray(i * d, (i + 1) * d);
+
+    // Progress messages are cheap but not free: only send every ~2%
+    let last = 0;
+    const onProgress = (value) => {
+      if (value - last < 0.02 && value < 1) return;
+      last = value;
+      self.postMessage({ type: "progress", value });
+    };
+
+    const { points: pointRows, mean, components, ...extra } = fitProjection(method, rows, params, { onProgress });
+    const k = pointRows[0]?.length ?? 2;
+
+    const points = new Float32Array(n * k);
+    pointRows.forEach((p, i) => points.set(p, i * k));
+    const transfer = [points.buffer];
+
+    // PCA also returns what it needs to project new points
+    let flatMean = null;
+    let flatComponents = null;
+    if (mean && components) {
+      flatMean = Float32Array.from(mean);
+      flatComponents = new Float32Array(components.length * d);
+      components.forEach((c, i) => flatComponents.set(c, i * d));
+      transfer.push(flatMean.buffer, flatComponents.buffer);
+    }
+
+    self.postMessage({ type: "result", k, points, mean: flatMean, components: flatComponents, extra }, transfer);
+  } catch (err) {
+    self.postMessage({ type: "error", message: err?.message ?? String(err) });
+  }
+};
@@ -0,0 +1,75 @@
+// src/ml/projectionWorker.js
+// Main-thread side of projection.worker.js. Each run gets its own worker, so cancelling
+// is just terminating it (a worker busy in a tight loop never sees a "cancel" message).
+import { fitProjection } from "./projection";
+
+function abortError() {
+  return new DOMException("Projection cancelled.", "AbortError");
+}
+
+/**
+ * Same result as fitProjection (see projection.js), computed in a Web Worker.
+ * PCA's mean and components come back as Float32Arrays.
+ * @param {string} method  "pca" | "tsne" | "umap"
+ * @param {Array<ArrayLike<number>>} embeddings  N rows of length D
+ * @param {object} params  method parameters
+ * @param {{onProgress?: (fraction: number) => void, signal?: AbortSignal}} [options]
+ */
+export function runProjectionInWorker(method, embeddings, params, { onProgress, signal } = {}) {
+  if (typeof Worker === "undefined") return Promise.resolve(fitProjection(method, embeddings, params, { onProgress }));
+  if (signal?.aborted) return Promise.reject(abortError());
+
+  const n = embeddings.length;
+  const d = n ? embeddings[0].length : 0;
+  const data = new Float32Array(n * d);
+  embeddings.forEach((e, i) => data.set(e, i * d));
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./projection.worker.js", import.meta.url), { type: "module" });
+
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener("abort", onAbort);
+    };
+
+    const onAbort = () => {
+      finish();
+      reject(abortError());
+    };
+
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === "progress") {
+        onProgress?.(msg.value);
+        return;
+      }
+
+      finish();
+      if (msg.type === "error") {
+        reject(new Error(msg.message));
+        return;
+      }
+
+      const { k, points, mean, components, extra } = msg;
+      const rows = [];
+      for (let i = 0; i < n; i++) rows.push(Array.from(points.subarray(i * k, (i + 1) * k)));
+
+      const result = { method, points: rows, ...extra };
+      if (mean && components) {
+        result.mean = mean;
+        result.components = Array.from({ length: components.length / d }, (_, i) =>
+          components.subarray(i * d, (i + 1) * d)
+        );
+      }
+      resolve(result);
+    };
+
+    worker.onerror = (e) => {
+      finish();
+      reject(new Error(e.message || "Projection worker failed."));
+    };
+
+    signal?.addEventListener("abort", onAbort, { once: true });
+    worker.postMessage({ method, params, data, n, d }, [data.buffer]);
+  });
+}
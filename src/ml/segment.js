@@ -0,0 +1,168 @@
+// src/ml/segment.js
+// Multi-digit input: split a drawing into one image per digit, left to right.
+//  1. connected components of the ink (8-connected)
+//  2. components that overlap horizontally are merged (a "5" whose bar was drawn apart, a "4" in two strokes)
+//  3. specks too small to be a digit are dropped
+//  4. components much wider than tall (and about as tall as the tallest one, so not a dash or a
+//     connecting stroke) are touching digits: they are cut at the column with the least ink near
+//     the middle, recursively
+// Each segment keeps the full image size with only its own ink, so the usual preprocessing
+// (src/ml/preprocess.js) crops and centers it like a single drawing.
+import * as tf from "@tensorflow/tfjs";
+import { MNIST_SIZE, preprocessImage } from "./preprocess";
+import { applyTemperature } from "./calibration";
+import { topK } from "./compare";
+
+export const DEFAULT_SEGMENT = {
+  minInk: 0.1, // ink threshold for the component mask
+  minArea: 0.02, // smallest segment, as a fraction of the largest one's ink pixels
+  mergeOverlap: 0.5, // merge when the horizontal overlap covers this much of the narrower component
+  splitAspect: 1.25, // split components wider than this times their height
+};
+
+function labelComponents(img, minInk) {
+  const { data, width, height } = img;
+  const labels = new Int32Array(width * height).fill(-1);
+  const components = [];
+  const stack = [];
+
+  for (let start = 0; start < data.length; start++) {
+    if (labels[start] !== -1 || data[start] <= minInk) continue;
+    const id = components.length;
+    const pixels = [];
+    labels[start] = id;
+    stack.push(start);
+    while (stack.length) {
+      const i = stack.pop();
+      pixels.push(i);
+      const x = i % width;
+      const y = (i - x) / width;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+          const j = ny * width + nx;
+          if (labels[j] !== -1 || data[j] <= minInk) continue;
+          labels[j] = id;
+          stack.push(j);
+        }
+      }
+    }
+    components.push(pixels);
+  }
+  return components;
+}
+
+function boxOf(pixels, width) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const i of pixels) {
+    const x = i % width;
+    const y = (i - x) / width;
+    if (x < minX) minX = x;
+    if (y < minY) minY = y;
+    if (x > maxX) maxX = x;
+    if (y > maxY) maxY = y;
+  }
+  return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+const segmentOf = (pixels, width) => ({ pixels, box: boxOf(pixels, width) });
+
+function mergeOverlapping(segments, width, overlap) {
+  const merged = [...segments];
+  for (let changed = true; changed; ) {
+    changed = false;
+    for (let a = 0; a < merged.length && !changed; a++) {
+      for (let b = a + 1; b < merged.length && !changed; b++) {
+        const A = merged[a].box;
+        const B = merged[b].box;
+        const shared = Math.min(A.x + A.width, B.x + B.width) - Math.max(A.x, B.x);
+        if (shared < overlap * Math.min(A.width, B.width)) continue;
+        merged[a] = segmentOf([...merged[a].pixels, ...merged[b].pixels], width);
+        merged.splice(b, 1);
+        changed = true;
+      }
+    }
+  }
+  return merged;
+}
+
+// Cut a wide segment at the column with the least ink in its middle half; ties go to the center
+function splitWide(segment, img, aspect, minHeight) {
+  const { box } = segment;
+  if (box.width <= aspect * box.height || box.height < minHeight || box.width < 4) return [segment];
+
+  const columns = new Float32Array(box.width);
+  for (const i of segment.pixels) columns[(i % img.width) - box.x] += img.data[i];
+
+  const center = box.width / 2;
+  let cut = -1;
+  let best = Infinity;
+  for (let c = Math.floor(box.width * 0.25); c <= Math.ceil(box.width * 0.75); c++) {
+    const cost = columns[c] + Math.abs(c - center) * 1e-3;
+    if (cost < best) {
+      best = cost;
+      cut = c;
+    }
+  }
+
+  const left = segment.pixels.filter((i) => (i % img.width) - box.x < cut);
+  const right = segment.pixels.filter((i) => (i % img.width) - box.x >= cut);
+  if (!left.length || !right.length) return [segment];
+  return [
+    ...splitWide(segmentOf(left, img.width), img, aspect, minHeight),
+    ...splitWide(segmentOf(right, img.width), img, aspect, minHeight),
+  ];
+}
+
+/**
+ * Split a drawing into digits.
+ * @param {{data: Float32Array, width: number, height: number}} img  grayscale, ink in [0, 1]
+ * @param {object} [options]  see DEFAULT_SEGMENT
+ * @returns {{box: {x, y, width, height}, image: {data: Float32Array, width: number, height: number}}[]}
+ *   left to right; `image` is the full-size drawing with only the segment's ink
+ */
+export function segmentDigits(img, options = {}) {
+  const { minInk, minArea, mergeOverlap, splitAspect } = { ...DEFAULT_SEGMENT, ...options };
+
+  let segments = labelComponents(img, minInk).map((pixels) => segmentOf(pixels, img.width));
+  segments = mergeOverlapping(segments, img.width, mergeOverlap);
+  const largest = Math.max(0, ...segments.map((s) => s.pixels.length));
+  segments = segments.filter((s) => s.pixels.length >= minArea * largest);
+  const tallest = Math.max(0, ...segments.map((s) => s.box.height));
+  segments = segments.flatMap((s) => splitWide(s, img, splitAspect, tallest / 2));
+
+  return segments
+    .sort((a, b) => a.box.x - b.box.x)
+    .map(({ pixels, box }) => {
+      const data = new Float32Array(img.width * img.height);
+      for (const i of pixels) data[i] = img.data[i];
+      return { box, image: { data, width: img.width, height: img.height } };
+    });
+}
+
+/**
+ * Read a multi-digit drawing: segment it and classify every segment with the runtime model.
+ * @param {object} runtime  runtime model (src/ml/modelRegistry.js)
+ * @param {{data: Float32Array, width: number, height: number}} img  the drawing, ink in [0, 1]
+ * @param {object} preprocessConfig  see DEFAULT_PREPROCESS
+ * @param {{temperature?: number, segment?: object}} [options]
+ * @returns {Promise<{box: object, pixels: Float32Array, probs: number[], label: string|number, confidence: number}[]>}
+ */
+export async function readDigits(runtime, img, preprocessConfig, { temperature = 1, segment = {} } = {}) {
+  const digits = [];
+  for (const { box, image } of segmentDigits(img, segment)) {
+    const { pixels, empty } = preprocessImage(image, preprocessConfig);
+    if (empty) continue;
+    const input = tf.tensor4d(pixels, [1, MNIST_SIZE, MNIST_SIZE, 1]);
+    try {
+      const probs = applyTemperature(await runtime.predict(input), temperature);
+      const [top] = topK(probs, 1, runtime.labels);
+      digits.push({ box, pixels, probs, label: top.label, confidence: top.prob });
+    } finally {
+      input.dispose();
+    }
+  }
+  return digits;
+}
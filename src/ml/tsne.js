@@ -0,0 +1,154 @@
+// src/ml/tsne.js
+// Exact t-SNE (van der Maaten & Hinton, 2008). O(N^2) per iteration, which is fine
+// for the few thousand samples the app holds and keeps the code short.
+import { createRng, gaussian } from "./random";
+
+function squaredDistances(X) {
+  const N = X.length;
+  const D = new Float64Array(N * N);
+  for (let i = 0; i < N; i++) {
+    const a = X[i];
+    for (let j = i + 1; j < N; j++) {
+      const b = X[j];
+      let s = 0;
+      for (let d = 0; d < a.length; d++) {
+        const t = a[d] - b[d];
+        s += t * t;
+      }
+      D[i * N + j] = s;
+      D[j * N + i] = s;
+    }
+  }
+  return D;
+}
+
+// Per-row Gaussian bandwidth by binary search so each row hits the target perplexity,
+// then symmetrize: P_ij = (p_j|i + p_i|j) / 2N
+function affinities(D2, N, perplexity) {
+  const P = new Float64Array(N * N);
+  const targetH = Math.log(perplexity);
+  const row = new Float64Array(N);
+
+  for (let i = 0; i < N; i++) {
+    let beta = 1;
+    let lo = -Infinity;
+    let hi = Infinity;
+
+    for (let iter = 0; iter < 50; iter++) {
+      let sum = 0;
+      for (let j = 0; j < N; j++) {
+        row[j] = j === i ? 0 : Math.exp(-D2[i * N + j] * beta);
+        sum += row[j];
+      }
+      if (sum === 0) sum = 1e-12;
+
+      let H = 0;
+      for (let j = 0; j < N; j++) {
+        if (j === i) continue;
+        const p = row[j] / sum;
+        if (p > 1e-12) H -= p * Math.log(p);
+      }
+
+      for (let j = 0; j < N; j++) P[i * N + j] = row[j] / sum;
+
+      if (Math.abs(H - targetH) < 1e-5) break;
+      if (H > targetH) {
+        lo = beta;
+        beta = hi === Infinity ? beta * 2 : (beta + hi) / 2;
+      } else {
+        hi = beta;
+        beta = lo === -Infinity ? beta / 2 : (beta + lo) / 2;
+      }
+    }
+  }
+
+  for (let i = 0; i < N; i++) {
+    for (let j = i + 1; j < N; j++) {
+      const v = Math.max((P[i * N + j] + P[j * N + i]) / (2 * N), 1e-12);
+      P[i * N + j] = v;
+      P[j * N + i] = v;
+    }
+  }
+  return P;
+}
+
+/**
+ * @param {Array<ArrayLike<number>>} X  N rows of length D
+ * @param {{perplexity?: number, iterations?: number, learningRate?: number, seed?: number,
+ *   onProgress?: (fraction: number) => void}} [options]
+ * @returns {Array<[number, number]>}
+ */
+export function computeTSNE(X, { perplexity = 30, iterations = 500, learningRate = 200, seed = 1, onProgress } = {}) {
+  const N = X.length;
+  if (N < 3) return X.map(() => [0, 0]);
+
+  // Perplexity must stay well below N or the bandwidth search has nothing to work with
+  const perp = Math.max(2, Math.min(perplexity, (N - 1) / 3));
+  const P = affinities(squaredDistances(X), N, perp);
+
+  const rng = createRng(seed);
+  const Y = new Float64Array(N * 2);
+  for (let i = 0; i < N * 2; i++) Y[i] = gaussian(rng) * 1e-4;
+
+  const gains = new Float64Array(N * 2).fill(1);
+  const update = new Float64Array(N * 2);
+  const grad = new Float64Array(N * 2);
+  const num = new Float64Array(N * N);
+  const exaggerationIters = Math.min(250, Math.floor(iterations / 4));
+
+  for (let it = 0; it < iterations; it++) {
+    const exaggeration = it < exaggerationIters ? 12 : 1;
+    const momentum = it < exaggerationIters ? 0.5 : 0.8;
+
+    // Student-t kernel in the embedding
+    let Z = 0;
+    for (let i = 0; i < N; i++) {
+      for (let j = i + 1; j < N; j++) {
+        const dx = Y[i * 2] - Y[j * 2];
+        const dy = Y[i * 2 + 1] - Y[j * 2 + 1];
+        const q = 1 / (1 + dx * dx + dy * dy);
+        num[i * N + j] = q;
+        num[j * N + i] = q;
+        Z += 2 * q;
+      }
+    }
+
+    grad.fill(0);
+    for (let i = 0; i < N; i++) {
+      for (let j = 0; j < N; j++) {
+        if (i === j) continue;
+        const q = num[i * N + j];
+        const m = (exaggeration * P[i * N + j] - q / Z) * q;
+        grad[i * 2] += 4 * m * (Y[i * 2] - Y[j * 2]);
+        grad[i * 2 + 1] += 4 * m * (Y[i * 2 + 1] - Y[j * 2 + 1]);
+      }
+    }
+
+    // Gradient descent with momentum and per-parameter gains
+    for (let k = 0; k < N * 2; k++) {
+      const sameSign = Math.sign(grad[k]) === Math.sign(update[k]);
+      gains[k] = Math.max(0.01, sameSign ? gains[k] * 0.8 : gains[k] + 0.2);
+      update[k] = momentum * update[k] - learningRate * gains[k] * grad[k];
+      Y[k] += update[k];
+    }
+
+    // Keep the cloud centered
+    let mx = 0;
+    let my = 0;
+    for (let i = 0; i < N; i++) {
+      mx += Y[i * 2];
+      my += Y[i * 2 + 1];
+    }
+    mx /= N;
+    my /= N;
+    for (let i = 0; i < N; i++) {
+      Y[i * 2] -= mx;
+      Y[i * 2 + 1] -= my;
+    }
+
+    if (it % 10 === 0) onProgress?.(it / iterations);
+  }
+
+  onProgress?.(1);
+  return Array.from({ length: N }, (_, i) => [Y[i * 2], Y[i * 2 + 1]]);
+}
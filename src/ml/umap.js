@@ -0,0 +1,208 @@
+// src/ml/umap.js
+// Compact UMAP (McInnes, Healy & Melville, 2018):
+//   exact kNN -> fuzzy simplicial set (smooth kNN distances) -> symmetrize
+//   -> SGD layout with negative sampling.
+// kNN is brute force (O(N^2 * D)), fine for the sample counts the app holds.
+import { createRng } from "./random";
+
+function knn(X, k) {
+  const N = X.length;
+  const indices = new Array(N);
+  const dists = new Array(N);
+  const row = new Float64Array(N);
+  const order = new Array(N);
+
+  for (let i = 0; i < N; i++) {
+    const a = X[i];
+    for (let j = 0; j < N; j++) {
+      if (j === i) {
+        row[j] = Infinity;
+        continue;
+      }
+      const b = X[j];
+      let s = 0;
+      for (let d = 0; d < a.length; d++) {
+        const t = a[d] - b[d];
+        s += t * t;
+      }
+      row[j] = Math.sqrt(s);
+    }
+    for (let j = 0; j < N; j++) order[j] = j;
+    order.sort((p, q) => row[p] - row[q]);
+    indices[i] = order.slice(0, k);
+    dists[i] = indices[i].map((j) => row[j]);
+  }
+
+  return { indices, dists };
+}
+
+// Per-point rho (distance to the nearest neighbour) and sigma, so that
+// sum_j exp(-(d_ij - rho) / sigma) = log2(k)
+function smoothKnnDistances(dists, k) {
+  const target = Math.log2(k);
+  return dists.map((ds) => {
+    const rho = ds.find((d) => d > 0) ?? 0;
+    let lo = 0;
+    let hi = Infinity;
+    let sigma = 1;
+
+    for (let iter = 0; iter < 64; iter++) {
+      let sum = 0;
+      for (const d of ds) sum += Math.exp(-Math.max(0, d - rho) / sigma);
+      if (Math.abs(sum - target) < 1e-5) break;
+      if (sum > target) {
+        hi = sigma;
+        sigma = (lo + hi) / 2;
+      } else {
+        lo = sigma;
+        sigma = hi === Infinity ? sigma * 2 : (lo + hi) / 2;
+      }
+    }
+    return { rho, sigma: Math.max(sigma, 1e-3) };
+  });
+}
+
+// Fit a, b so 1 / (1 + a d^(2b)) matches the min_dist/spread target curve
+export function findAbParams(minDist, spread = 1) {
+  const xs = [];
+  const ys = [];
+  for (let i = 1; i <= 300; i++) {
+    const x = (i / 300) * spread * 3;
+    xs.push(x);
+    ys.push(x < minDist ? 1 : Math.exp(-(x - minDist) / spread));
+  }
+  const loss = (a, b) => {
+    let s = 0;
+    for (let i = 0; i < xs.length; i++) {
+      const r = 1 / (1 + a * xs[i] ** (2 * b)) - ys[i];
+      s += r * r;
+    }
+    return s;
+  };
+
+  // Coarse grid, then shrinking local search
+  let best = { a: 1.5, b: 0.9, l: Infinity };
+  for (let a = 0.1; a <= 10; a *= 1.15) {
+    for (let b = 0.3; b <= 2; b += 0.05) {
+      const l = loss(a, b);
+      if (l < best.l) best = { a, b, l };
+    }
+  }
+  let da = best.a * 0.1;
+  let db = 0.025;
+  for (let iter = 0; iter < 60; iter++) {
+    let improved = false;
+    for (const [a, b] of [
+      [best.a + da, best.b],
+      [best.a - da, best.b],
+      [best.a, best.b + db],
+      [best.a, best.b - db],
+    ]) {
+      if (a <= 0 || b <= 0) continue;
+      const l = loss(a, b);
+      if (l < best.l) {
+        best = { a, b, l };
+        improved = true;
+      }
+    }
+    if (!improved) {
+      da /= 2;
+      db /= 2;
+    }
+  }
+  return { a: best.a, b: best.b };
+}
+
+/**
+ * @param {Array<ArrayLike<number>>} X  N rows of length D
+ * @param {{nNeighbors?: number, minDist?: number, epochs?: number, seed?: number,
+ *   onProgress?: (fraction: number) => void}} [options]
+ * @returns {Array<[number, number]>}
+ */
+export function computeUMAP(X, { nNeighbors = 15, minDist = 0.1, epochs = 300, seed = 1, onProgress } = {}) {
+  const N = X.length;
+  if (N < 3) return X.map(() => [0, 0]);
+
+  const k = Math.max(2, Math.min(nNeighbors, N - 1));
+  const { indices, dists } = knn(X, k);
+  onProgress?.(0.2);
+
+  // Directed membership strengths, then fuzzy union: w = a + b - a*b
+  const params = smoothKnnDistances(dists, k);
+  const weights = new Map();
+  for (let i = 0; i < N; i++) {
+    const { rho, sigma } = params[i];
+    indices[i].forEach((j, n) => {
+      const w = Math.exp(-Math.max(0, dists[i][n] - rho) / sigma);
+      const key = i < j ? i * N + j : j * N + i;
+      const prev = weights.get(key);
+      weights.set(key, prev === undefined ? w : prev + w - prev * w);
+    });
+  }
+
+  const heads = [];
+  const tails = [];
+  const w = [];
+  let maxW = 0;
+  for (const [key, v] of weights) {
+    heads.push(Math.floor(key / N));
+    tails.push(key % N);
+    w.push(v);
+    if (v > maxW) maxW = v;
+  }
+
+  // Edges are sampled in proportion to their weight
+  const epochsPerSample = w.map((v) => (v > 0 ? maxW / v : Infinity));
+  const nextSample = epochsPerSample.slice();
+  const negativeRate = 5;
+
+  const { a, b } = findAbParams(minDist);
+  const rng = createRng(seed);
+  const Y = new Float64Array(N * 2);
+  for (let i = 0; i < N * 2; i++) Y[i] = rng() * 20 - 10;
+
+  const clip = (v) => Math.max(-4, Math.min(4, v));
+
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    const alpha = 1 - epoch / epochs;
+
+    for (let e = 0; e < heads.length; e++) {
+      if (nextSample[e] > epoch + 1) continue;
+      nextSample[e] += epochsPerSample[e];
+
+      const i = heads[e];
+      const j = tails[e];
+
+      // Attraction along the edge (applied to both ends)
+      let dx = Y[i * 2] - Y[j * 2];
+      let dy = Y[i * 2 + 1] - Y[j * 2 + 1];
+      let d2 = dx * dx + dy * dy;
+      if (d2 > 0) {
+        const coef = (-2 * a * b * d2 ** (b - 1)) / (1 + a * d2 ** b);
+        const gx = clip(coef * dx) * alpha;
+        const gy = clip(coef * dy) * alpha;
+        Y[i * 2] += gx;
+        Y[i * 2 + 1] += gy;
+        Y[j * 2] -= gx;
+        Y[j * 2 + 1] -= gy;
+      }
+
+      // Repulsion from random points
+      for (let n = 0; n < negativeRate; n++) {
+        const r = Math.floor(rng() * N);
+        if (r === i) continue;
+        dx = Y[i * 2] - Y[r * 2];
+        dy = Y[i * 2 + 1] - Y[r * 2 + 1];
+        d2 = dx * dx + dy * dy;
+        const coef = d2 > 0 ? (2 * b) / ((0.001 + d2) * (1 + a * d2 ** b)) : 0;
+        Y[i * 2] += (coef > 0 ? clip(coef * dx) : 4) * alpha;
+        Y[i * 2 + 1] += (coef > 0 ? clip(coef * dy) : 4) * alpha;
+      }
+    }
+
+    if (epoch % 10 === 0) onProgress?.(0.2 + (0.8 * epoch) / epochs);
+  }
+
+  onProgress?.(1);
+  return Array.from({ length: N }, (_, i) => [Y[i * 2], Y[i * 2 + 1]]);
+}
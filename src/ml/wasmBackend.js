@@ -0,0 +1,13 @@
+// Registers the WebAssembly backend. Imported on demand by switchBackend(): the .wasm binaries
+// are served as Vite assets, so they load from the app's base URL (threads need cross-origin
+// isolation, which GitHub Pages can't turn on, so the SIMD build is what usually runs).
+import { setWasmPaths } from "@tensorflow/tfjs-backend-wasm";
+import wasm from "@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm.wasm?url";
+import wasmSimd from "@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-simd.wasm?url";
+import wasmThreadedSimd from "@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-threaded-simd.wasm?url";
+
+setWasmPaths({
+  "tfjs-backend-wasm.wasm": wasm,
+  "tfjs-backend-wasm-simd.wasm": wasmSimd,
+  "tfjs-backend-wasm-threaded-simd.wasm": wasmThreadedSimd,
+});
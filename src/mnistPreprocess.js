@@ -1,85 +1,77 @@
-export function canvasToMnistTensor(canvas, tf) {
-  const srcSize = 280;
+import { DEFAULT_PREPROCESS, MNIST_SIZE, preprocessImage, rgbaToGray } from "./ml/preprocess";
 
-  const tmp = document.createElement("canvas");
-  tmp.width = srcSize;
-  tmp.height = srcSize;
-  const tctx = tmp.getContext("2d");
+// Canvas adapter for src/ml/preprocess.js: read pixels off a canvas, run the stages.
 
-  // black bg + copy drawing
-  tctx.fillStyle = "black";
-  tctx.fillRect(0, 0, srcSize, srcSize);
-  tctx.drawImage(canvas, 0, 0, srcSize, srcSize);
-
-  const img = tctx.getImageData(0, 0, srcSize, srcSize);
-  const data = img.data;
+export function readCanvasGray(canvas) {
+  const ctx = canvas.getContext("2d");
+  const img = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  return rgbaToGray(img.data, canvas.width, canvas.height);
+}
 
-  // find bbox of ink
-  let minX = srcSize, minY = srcSize, maxX = 0, maxY = 0;
-  const threshold = 20;
+export function preprocessCanvas(canvas, config = DEFAULT_PREPROCESS) {
+  return preprocessImage(readCanvasGray(canvas), config);
+}
 
-  for (let y = 0; y < srcSize; y++) {
-    for (let x = 0; x < srcSize; x++) {
-      const idx = (y * srcSize + x) * 4;
-      const r = data[idx], g = data[idx + 1], b = data[idx + 2];
-      const brightness = (r + g + b) / 3;
-      if (brightness > threshold) {
-        if (x < minX) minX = x;
-        if (y < minY) minY = y;
-        if (x > maxX) maxX = x;
-        if (y > maxY) maxY = y;
-      }
-    }
+// Paint 28x28 pixels in [0, 1] onto a canvas (resized to 28x28)
+export function drawMnistPixels(canvas, pixels) {
+  canvas.width = MNIST_SIZE;
+  canvas.height = MNIST_SIZE;
+  const ctx = canvas.getContext("2d");
+  const img = ctx.createImageData(MNIST_SIZE, MNIST_SIZE);
+  for (let i = 0; i < MNIST_SIZE * MNIST_SIZE; i++) {
+    const v = Math.round((pixels[i] ?? 0) * 255);
+    img.data[i * 4] = v;
+    img.data[i * 4 + 1] = v;
+    img.data[i * 4 + 2] = v;
+    img.data[i * 4 + 3] = 255;
   }
+  ctx.putImageData(img, 0, 0);
+  return canvas;
+}
 
-  if (minX > maxX || minY > maxY) return null;
-
-  // pad
-  const pad = 20;
-  minX = Math.max(0, minX - pad);
-  minY = Math.max(0, minY - pad);
-  maxX = Math.min(srcSize - 1, maxX + pad);
-  maxY = Math.min(srcSize - 1, maxY + pad);
-
-  const w = maxX - minX + 1;
-  const h = maxY - minY + 1;
-
-  // crop
-  const crop = document.createElement("canvas");
-  crop.width = w;
-  crop.height = h;
-  const cctx = crop.getContext("2d");
-  cctx.putImageData(tctx.getImageData(minX, minY, w, h), 0, 0);
-
-  // resize into 28x28 (fit into 20x20 then center)
-  const out = document.createElement("canvas");
-  out.width = 28;
-  out.height = 28;
-  const octx = out.getContext("2d");
-
-  octx.fillStyle = "black";
-  octx.fillRect(0, 0, 28, 28);
-
-  const target = 20;
-  const scale = Math.min(target / w, target / h);
-  const newW = Math.max(1, Math.round(w * scale));
-  const newH = Math.max(1, Math.round(h * scale));
-  const dx = Math.floor((28 - newW) / 2);
-  const dy = Math.floor((28 - newH) / 2);
-
-  octx.drawImage(crop, 0, 0, w, h, dx, dy, newW, newH);
-
-  // to tensor
-  const outImg = octx.getImageData(0, 0, 28, 28).data;
-  const arr = new Float32Array(28 * 28);
-
-  for (let i = 0; i < 28 * 28; i++) {
-    const r = outImg[i * 4];
-    const g = outImg[i * 4 + 1];
-    const b = outImg[i * 4 + 2];
-    arr[i] = ((r + g + b) / 3) / 255.0; // 0..1
+// Paint a 28x28 heatmap in [0, 1] (src/ml/explain.js) onto a canvas: transparent -> red -> yellow
+export function drawHeatmapPixels(canvas, values) {
+  canvas.width = MNIST_SIZE;
+  canvas.height = MNIST_SIZE;
+  const ctx = canvas.getContext("2d");
+  const img = ctx.createImageData(MNIST_SIZE, MNIST_SIZE);
+  for (let i = 0; i < MNIST_SIZE * MNIST_SIZE; i++) {
+    const v = Math.min(1, Math.max(0, values[i] ?? 0));
+    img.data[i * 4] = 255;
+    img.data[i * 4 + 1] = Math.round(220 * Math.max(0, v * 2 - 1));
+    img.data[i * 4 + 2] = 40;
+    img.data[i * 4 + 3] = Math.round(200 * Math.min(1, v * 1.5));
   }
+  ctx.putImageData(img, 0, 0);
+  return canvas;
+}
+
+/**
+ * Preprocess the drawing canvas into an MNIST-style input tensor.
+ * @param {HTMLCanvasElement} canvas
+ * @param {typeof import("@tensorflow/tfjs")} tf
+ * @param {object} [config]  stage options, see DEFAULT_PREPROCESS
+ * @returns {{tensor: tf.Tensor4D, pixels: Float32Array, previewCanvas: HTMLCanvasElement, transform: object} | null}
+ *   null when there is no ink on the canvas. The caller owns (and disposes) the tensor.
+ *   transform maps canvas coordinates to 28x28 ones, see preprocessImage().
+ */
+export function canvasToMnistTensor(canvas, tf, config = DEFAULT_PREPROCESS) {
+  const { pixels, empty, transform } = preprocessCanvas(canvas, config);
+  if (empty) return null;
+
+  const tensor = tf.tensor4d(pixels, [1, MNIST_SIZE, MNIST_SIZE, 1], "float32");
+  const previewCanvas = drawMnistPixels(document.createElement("canvas"), pixels);
+  return { tensor, pixels, previewCanvas, transform };
+}
 
-  const tensor = tf.tensor4d(arr, [1, 28, 28, 1]);
-  return { tensor, previewCanvas: out };
+// Draw 28x28 pixels scaled up over a whole (drawing) canvas, e.g. to reopen a sample
+export function paintPixelsOnCanvas(canvas, pixels) {
+  const small = drawMnistPixels(document.createElement("canvas"), pixels);
+  const ctx = canvas.getContext("2d");
+  ctx.save();
+  ctx.fillStyle = "black";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.imageSmoothingEnabled = true;
+  ctx.drawImage(small, 0, 0, canvas.width, canvas.height);
+  ctx.restore();
 }
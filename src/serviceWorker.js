@@ -0,0 +1,16 @@
+// Registers the service worker (built from src/sw.js by the plugin in vite.config.js). It only
+// exists in production builds: the dev server serves every file fresh.
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(`${import.meta.env.BASE_URL}sw.js`)
+      .catch((e) => console.warn("Service worker registration failed:", e));
+  });
+}
+
+// "active" once a worker controls the page (offline works), else "none" or "unsupported"
+export function serviceWorkerState() {
+  if (!("serviceWorker" in navigator)) return "unsupported";
+  return navigator.serviceWorker.controller ? "active" : "none";
+}
@@ -0,0 +1,15 @@
+// src/storage/headStore.js
+// Keeps the personalized head in IndexedDB so it survives reloads.
+import { idbDelete, idbGet, idbSet } from "./idb";
+import { parseHead, serializeHead } from "../ml/head";
+
+const KEY = "head";
+
+export async function loadStoredHead() {
+  const text = await idbGet(KEY);
+  return typeof text === "string" ? parseHead(text) : null;
+}
+
+export function saveStoredHead(head) {
+  return head ? idbSet(KEY, serializeHead(head)) : idbDelete(KEY);
+}
@@ -0,0 +1,45 @@
+// src/storage/idb.js
+// Minimal promise wrapper around one IndexedDB key-value store.
+
+const DB_NAME = "doodle-classifier";
+const DB_VERSION = 1;
+const STORE = "kv";
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available."));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        if (!req.result.objectStoreNames.contains(STORE)) req.result.createObjectStore(STORE);
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // Let a later call retry if opening failed
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+async function run(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export const idbGet = (key) => run("readonly", (store) => store.get(key));
+export const idbSet = (key, value) => run("readwrite", (store) => store.put(value, key));
+export const idbDelete = (key) => run("readwrite", (store) => store.delete(key));
@@ -0,0 +1,111 @@
+// src/storage/modelCache.js
+// Manifest models are kept in IndexedDB through tf.io (`indexeddb://` URLs) after their first
+// load, so switching models and starting offline need no network. Every copy is tagged with its
+// entry's checksum: when the manifest from the server lists another one, the model is fetched
+// again; when that fetch fails or stalls (offline, flaky network), the older copy loads with a
+// warning.
+import * as tf from "@tensorflow/tfjs";
+import { loadModel, modelFromArtifacts } from "../ml/modelRegistry";
+import { idbGet, idbSet } from "./idb";
+
+const INDEX_KEY = "model-cache"; // { [id]: { id, name, format, checksum, savedAt, warning } }
+const DOWNLOAD_TIMEOUT_MS = 15000; // with a cached copy to fall back on, a stalled download gives up after this
+
+const cacheUrl = (id) => `indexeddb://doodle-classifier-model-${id}`;
+
+const listeners = new Set();
+
+// Called after every change to the cached copies; returns the unsubscribe function
+export function onModelCacheChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Index updates go one at a time, so models loading side by side don't drop each other's record
+let indexQueue = Promise.resolve();
+function updateIndex(change) {
+  const next = indexQueue.then(async () => {
+    const index = (await idbGet(INDEX_KEY)) ?? {};
+    change(index);
+    await idbSet(INDEX_KEY, index);
+    listeners.forEach((listener) => listener());
+  });
+  indexQueue = next.catch(() => {});
+  return next;
+}
+
+async function readCached(entry, record, warning = record.warning) {
+  const artifacts = await tf.io.getLoadHandlers(cacheUrl(entry.id))[0].load();
+  return modelFromArtifacts(entry, artifacts, warning);
+}
+
+async function saveCached(entry, runtime) {
+  await runtime.save(cacheUrl(entry.id));
+  await updateIndex((index) => {
+    index[entry.id] = {
+      id: entry.id,
+      name: entry.name,
+      format: entry.format,
+      checksum: entry.checksum,
+      savedAt: Date.now(),
+      warning: runtime.warning,
+    };
+  });
+  // Ask the browser not to evict the copies under storage pressure (it may say no)
+  await navigator.storage?.persist?.();
+}
+
+/**
+ * loadModel() with the IndexedDB copy in front: a copy whose checksum matches the entry loads
+ * without the network. Entries without a checksum can't be compared, so they are fetched
+ * whenever the network allows. A download that fails, or takes longer than DOWNLOAD_TIMEOUT_MS
+ * while a copy exists, is aborted and the copy loads with a warning.
+ */
+export async function loadModelCached(entry, url) {
+  const record = await idbGet(INDEX_KEY)
+    .then((index) => index?.[entry.id] ?? null)
+    .catch(() => null); // no IndexedDB (private mode): straight to the network
+
+  if (record && entry.checksum && record.checksum === entry.checksum) {
+    try {
+      return await readCached(entry, record);
+    } catch (e) {
+      console.warn(`${entry.name}: cached copy unreadable, fetching it again.`, e);
+    }
+  }
+
+  let runtime;
+  try {
+    runtime = await loadModel(entry, url, record ? { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) } : {});
+  } catch (e) {
+    if (!record) throw e;
+    const saved = new Date(record.savedAt).toLocaleString();
+    return readCached(entry, record, `${entry.name}: couldn't fetch the current version, using the copy cached on ${saved}.`);
+  }
+  if (runtime.save) saveCached(entry, runtime).catch((e) => console.warn(`${entry.name}: not cached.`, e));
+  return runtime;
+}
+
+/**
+ * Cached copies, with their size from tf.io.listModels().
+ * @returns {Promise<{id: string, name: string, format: string, checksum: string|null, savedAt: number,
+ *   bytes: number|null}[]>}
+ */
+export async function listCachedModels() {
+  const [index, stored] = await Promise.all([idbGet(INDEX_KEY), tf.io.listModels()]);
+  return Object.values(index ?? {}).map((record) => {
+    const info = stored[cacheUrl(record.id)];
+    return {
+      ...record,
+      bytes: info ? (info.modelTopologyBytes ?? 0) + (info.weightSpecsBytes ?? 0) + (info.weightDataBytes ?? 0) : null,
+    };
+  });
+}
+
+// Models already loaded keep running; the next load fetches them again
+export async function removeCachedModel(id) {
+  await tf.io.removeModel(cacheUrl(id)).catch(() => {}); // already gone
+  await updateIndex((index) => {
+    delete index[id];
+  });
+}
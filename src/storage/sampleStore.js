@@ -0,0 +1,40 @@
+// src/storage/sampleStore.js
+// Keeps the collected sample set in IndexedDB between sessions.
+import { idbGet, idbSet } from "./idb";
+import { recordToSample, sampleToRecord } from "../ml/dataset";
+
+const KEY = "samples";
+const SAVE_DELAY_MS = 1000; // a burst of edits (relabeling, lasso, drawing) is written once
+
+let pending = null; // arguments of the latest scheduled save, not written yet
+let saveTimer = 0;
+
+export async function loadStoredSamples() {
+  const stored = await idbGet(KEY);
+  if (!stored || !Array.isArray(stored.samples)) return null;
+  return {
+    embeddingSource: stored.embeddingSource ?? "raw",
+    embeddingNodes: stored.embeddingNodes ?? {}, // model id -> embedding node the samples were embedded through
+    samples: stored.samples.map(recordToSample),
+  };
+}
+
+export function saveStoredSamples(samples, embeddingSource, embeddingNodes = {}) {
+  return idbSet(KEY, { embeddingSource, embeddingNodes, samples: samples.map(sampleToRecord) });
+}
+
+// saveStoredSamples() once nothing changed for SAVE_DELAY_MS; every call replaces the pending set
+export function scheduleSamplesSave(samples, embeddingSource, embeddingNodes) {
+  pending = [samples, embeddingSource, embeddingNodes];
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(flushSamplesSave, SAVE_DELAY_MS);
+}
+
+// Write the pending set now (the page is going away); a no-op when nothing is pending
+export function flushSamplesSave() {
+  clearTimeout(saveTimer);
+  if (!pending) return Promise.resolve();
+  const args = pending;
+  pending = null;
+  return saveStoredSamples(...args).catch((e) => console.warn("Could not save samples:", e));
+}
@@ -0,0 +1,204 @@
+// Vector log of what was drawn on the doodle canvas, so it can be undone, replayed and exported.
+// The log is a list of entries:
+//  - stroke: { points: [{ x, y, t, p? }], brush, erase, smoothing } in canvas pixels, t from
+//    performance.now(), p the pen pressure (only for pen input)
+//  - clear:  { clear: true, t } (the Clear button)
+//  - image:  { pixels, t } (a 28x28 sample painted onto the canvas)
+// A clear or an image starts a new drawing; the canvas is always the last one.
+import { paintPixelsOnCanvas } from "./mnistPreprocess";
+
+// Longest pause between two strokes during replay, in ms
+const MAX_REPLAY_GAP = 300;
+
+export const SMOOTHING = [
+  { id: "none", label: "None" },
+  { id: "quadratic", label: "Quadratic" },
+  { id: "catmull-rom", label: "Catmull-Rom" },
+];
+
+const isBase = (entry) => entry.clear || entry.pixels;
+
+// Line width factor for a pen pressure: 0.4x at no pressure, 1x at 0.5 (what mice report), 1.6x at full
+export const pressureWidth = (p) => (p === undefined ? 1 : 0.4 + 1.2 * p);
+
+const mid = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+/**
+ * How many segments of a stroke can be drawn once `arrived` of its points are known: segment i
+ * runs from point i - 1 to point i. Smoothed segments also need the point after them, so they
+ * trail one point behind until the stroke is done.
+ * @param {string} smoothing  see SMOOTHING
+ * @param {number} arrived
+ * @param {boolean} done  no more points will follow
+ * @returns {number} exclusive end index for drawSegments()
+ */
+export function readySegments(smoothing, arrived, done) {
+  return done || !smoothing || smoothing === "none" ? arrived : arrived - 1;
+}
+
+function tracePath(ctx, points, i, smoothing, scale) {
+  const p1 = points[i - 1];
+  const p2 = points[i];
+  const last = i === points.length - 1;
+  const s = (v) => v * scale;
+
+  if (smoothing === "quadratic") {
+    // Midpoint curve: from the middle of the previous segment to the middle of the next, bending at p1
+    const a = i === 1 ? p1 : mid(points[i - 2], p1);
+    const b = mid(p1, p2);
+    ctx.moveTo(s(a.x), s(a.y));
+    ctx.quadraticCurveTo(s(p1.x), s(p1.y), s(b.x), s(b.y));
+    if (last) ctx.lineTo(s(p2.x), s(p2.y));
+    return;
+  }
+
+  if (smoothing === "catmull-rom") {
+    // Uniform Catmull-Rom through p1 and p2 as a cubic Bezier, ends clamped
+    const p0 = points[i - 2] ?? p1;
+    const p3 = points[i + 1] ?? p2;
+    ctx.moveTo(s(p1.x), s(p1.y));
+    ctx.bezierCurveTo(
+      s(p1.x + (p2.x - p0.x) / 6),
+      s(p1.y + (p2.y - p0.y) / 6),
+      s(p2.x - (p3.x - p1.x) / 6),
+      s(p2.y - (p3.y - p1.y) / 6),
+      s(p2.x),
+      s(p2.y)
+    );
+    return;
+  }
+
+  ctx.moveTo(s(p1.x), s(p1.y));
+  ctx.lineTo(s(p2.x), s(p2.y));
+}
+
+/**
+ * Draw segments `from` to `to` (exclusive) of one stroke, one path each so the width can follow
+ * the pen pressure. The same call paints live input, undo repaints and replays.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} stroke  stroke entry of the log
+ * @param {number} [from=1]
+ * @param {number} [to]  defaults to every segment
+ * @param {number} [scale=1]  canvas size over the size the stroke was recorded at
+ */
+export function drawSegments(ctx, stroke, from = 1, to = stroke.points.length, scale = 1) {
+  const { points } = stroke;
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+  ctx.strokeStyle = stroke.erase ? "black" : "white";
+  ctx.globalCompositeOperation = "source-over";
+  for (let i = Math.max(1, from); i < to; i++) {
+    const p = points[i - 1].p === undefined ? undefined : (points[i - 1].p + points[i].p) / 2;
+    ctx.lineWidth = stroke.brush * pressureWidth(p) * scale;
+    ctx.beginPath();
+    tracePath(ctx, points, i, stroke.smoothing, scale);
+    ctx.stroke();
+  }
+}
+
+// The last drawing: its base (a clear, an image or nothing) and the strokes on top of it
+export function currentDrawing(entries) {
+  let start = entries.length;
+  while (start > 0 && !isBase(entries[start - 1])) start--;
+  return { base: entries[start - 1] ?? null, strokes: entries.slice(start) };
+}
+
+// Black canvas with the drawing's base image (a reopened sample), if any
+export function paintBase(canvas, base) {
+  const ctx = canvas.getContext("2d");
+  if (base?.pixels) {
+    paintPixelsOnCanvas(canvas, base.pixels);
+    return ctx;
+  }
+  ctx.save();
+  ctx.fillStyle = "black";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.restore();
+  return ctx;
+}
+
+/**
+ * Redraw the canvas from the log (after an undo or redo). Works at any canvas size: coordinates
+ * and brush widths are scaled from the `width` the strokes were recorded at.
+ * @param {HTMLCanvasElement} canvas
+ * @param {object[]} entries  the stroke log
+ * @param {number} [width=280]  canvas width the log was recorded at
+ */
+export function repaint(canvas, entries, width = 280) {
+  const { base, strokes } = currentDrawing(entries);
+  const ctx = paintBase(canvas, base);
+  for (const s of strokes) drawSegments(ctx, s, 1, s.points.length, canvas.width / width);
+}
+
+/**
+ * Replay timeline of the last drawing: every point gets a time in ms from the start of the
+ * replay, with the original timing inside strokes and pauses between strokes capped.
+ * @returns {{strokes: object[], times: number[][], duration: number}}
+ */
+export function replayTimeline(entries) {
+  const { strokes } = currentDrawing(entries);
+  const times = [];
+  let offset = 0;
+  let lastEnd = null;
+  for (const s of strokes) {
+    const t0 = s.points[0].t;
+    if (lastEnd !== null) offset += Math.min(MAX_REPLAY_GAP, Math.max(0, t0 - lastEnd));
+    times.push(s.points.map((p) => offset + p.t - t0));
+    offset += s.points[s.points.length - 1].t - t0;
+    lastEnd = s.points[s.points.length - 1].t;
+  }
+  return { strokes, times, duration: offset };
+}
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+/**
+ * Every drawing in the log as QuickDraw-style ndjson, one drawing per line:
+ * `drawing` is [[x...], [y...], [t...]] per stroke (t in ms from the drawing's first point),
+ * as in the QuickDraw raw data. Extra fields keep what QuickDraw has no room for: the canvas
+ * size, each stroke's brush width, eraser flag, smoothing and pen pressure per point (null
+ * without a pen), and whether the drawing was made over a reopened sample (whose pixels are
+ * not included).
+ * @param {object[]} entries  the stroke log
+ * @param {{width?: number, height?: number, word?: string|null}} [options]
+ * @returns {string}
+ */
+export function toQuickDrawNdjson(entries, { width = 280, height = 280, word = null } = {}) {
+  const drawings = [];
+  let current = { base: null, strokes: [] };
+  for (const e of entries) {
+    if (isBase(e)) {
+      if (current.strokes.length) drawings.push(current);
+      current = { base: e, strokes: [] };
+    } else {
+      current.strokes.push(e);
+    }
+  }
+  if (current.strokes.length) drawings.push(current);
+
+  return drawings
+    .map(({ base, strokes }, i) => {
+      const t0 = strokes[0].points[0].t;
+      const started = Date.now() - (performance.now() - t0);
+      return JSON.stringify({
+        key_id: `${Math.round(started)}-${i}`,
+        word,
+        countrycode: null,
+        timestamp: new Date(started).toISOString(),
+        recognized: null,
+        drawing: strokes.map((s) => [
+          s.points.map((p) => round1(p.x)),
+          s.points.map((p) => round1(p.y)),
+          s.points.map((p) => Math.round(p.t - t0)),
+        ]),
+        width,
+        height,
+        brush: strokes.map((s) => s.brush),
+        erase: strokes.map((s) => !!s.erase),
+        smoothing: strokes.map((s) => s.smoothing ?? "none"),
+        pressure: strokes.map((s) => (s.points[0].p === undefined ? null : s.points.map((p) => Math.round(p.p * 100) / 100))),
+        on_image: !!base?.pixels,
+      });
+    })
+    .join("\n");
+}
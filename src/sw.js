@@ -0,0 +1,77 @@
+// Service worker, emitted as sw.js by the plugin in vite.config.js, which fills in the
+// __PRECACHE__ placeholder with the built files and a version derived from their names and content.
+//
+// • the app shell (index.html, scripts, styles, .wasm, icons, the MNIST slice) is precached at install, so the app
+//   starts offline; a new build takes over (and drops the old cache) once no tab runs the old one,
+//   so an open page never loses the chunks it still lazy-loads
+// • the model manifest goes to the network first, with the cached copy as the fallback: a fresh
+//   manifest is how new model versions are found (src/storage/modelCache.js)
+// • model files are left alone: the app keeps them in IndexedDB
+// • anything else from the app is cached the first time it is fetched
+const { version, files } = self.__PRECACHE__;
+const CACHE = `doodle-classifier-${version}`;
+const SCOPE = self.registration.scope;
+const MANIFEST_TIMEOUT_MS = 4000; // on flaky networks, fall back to the cached manifest after this
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE).then((cache) => cache.addAll(files.map((f) => new URL(f, SCOPE).href)))
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith("doodle-classifier-") && k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function fromNetwork(request) {
+  const res = await fetch(request);
+  if (res.ok) {
+    const cache = await caches.open(CACHE);
+    await cache.put(request, res.clone());
+  }
+  return res;
+}
+
+// The network answer, unless it fails or takes longer than `timeoutMs` while a cached copy exists
+async function networkFirst(request, timeoutMs) {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  const network = fromNetwork(request);
+  if (!cached) return network;
+  network.catch(() => {}); // a late failure after the timeout: the cached copy was already served
+
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(cached), timeoutMs);
+  });
+  try {
+    return await Promise.race([network, timeout]);
+  } catch {
+    return cached;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function cacheFirst(request) {
+  return (await caches.match(request)) ?? fromNetwork(request);
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || !request.url.startsWith(SCOPE)) return;
+  const path = request.url.slice(SCOPE.length).split(/[?#]/)[0];
+
+  if (request.mode === "navigate") {
+    // The precached shell; the page itself loads everything else
+    event.respondWith(caches.match(new URL("index.html", SCOPE).href).then((res) => res ?? fetch(request)));
+  } else if (path === "model/manifest.json") {
+    event.respondWith(networkFirst(request, MANIFEST_TIMEOUT_MS));
+  } else if (!path.startsWith("model/")) {
+    event.respondWith(cacheFirst(request));
+  }
+});
@@ -0,0 +1,16 @@
+// Trigger a browser download for in-memory text
+export function downloadText(filename, text, mime = "application/json") {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Timestamp safe for file names, e.g. 2024-05-01T12-30-00
+export function fileStamp(date = new Date()) {
+  return date.toISOString().slice(0, 19).replace(/:/g, "-");
+}
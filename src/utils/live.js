@@ -0,0 +1,94 @@
+// Live prediction while drawing: a throttle for the classifier and frame-time bookkeeping.
+
+/**
+ * Run an async task at most `rate` times per second and never twice at once. Requests made
+ * while a run is in flight (or before the interval is up) collapse into a single follow-up run,
+ * so a slow run never builds a queue and the last run always sees the latest state.
+ * @param {(() => Promise<void>)|null} task  can be swapped later with setTask()
+ * @returns {{request: () => void, cancel: () => void, setTask: (task: () => Promise<void>) => void, setRate: (rate: number) => void, coalesced: () => number, resetStats: () => void}}
+ */
+export function createThrottledRunner(task = null, rate = 10) {
+  let interval = 1000 / rate;
+  let running = false;
+  let pending = false;
+  let timer = null;
+  let lastStart = -Infinity;
+  let coalesced = 0;
+
+  const start = async () => {
+    timer = null;
+    pending = false;
+    running = true;
+    lastStart = performance.now();
+    try {
+      await task?.();
+    } finally {
+      running = false;
+      if (pending) request();
+    }
+  };
+
+  function request() {
+    if (running) {
+      if (pending) coalesced += 1;
+      pending = true;
+      return;
+    }
+    if (timer) {
+      coalesced += 1;
+      return;
+    }
+    timer = setTimeout(start, Math.max(0, lastStart + interval - performance.now()));
+  }
+
+  return {
+    request,
+    cancel() {
+      clearTimeout(timer);
+      timer = null;
+      pending = false;
+    },
+    setTask(t) {
+      task = t;
+    },
+    setRate(r) {
+      interval = 1000 / r;
+    },
+    // Requests folded into another run so far
+    coalesced: () => coalesced,
+    resetStats() {
+      coalesced = 0;
+    },
+  };
+}
+
+// Rolling timings of the last `size` prediction runs
+export function createFrameStats(size = 30) {
+  const times = []; // { ms, at }
+  let stale = 0;
+
+  return {
+    add(ms, wasStale = false) {
+      times.push({ ms, at: performance.now() });
+      if (times.length > size) times.shift();
+      if (wasStale) stale += 1;
+    },
+    reset() {
+      times.length = 0;
+      stale = 0;
+    },
+    // { last, mean, p95 } in ms, runs per second over the window, and stale runs dropped so far
+    summary() {
+      if (!times.length) return null;
+      const sorted = times.map((t) => t.ms).sort((a, b) => a - b);
+      const span = (times[times.length - 1].at - times[0].at) / 1000;
+      return {
+        last: times[times.length - 1].ms,
+        mean: sorted.reduce((a, b) => a + b, 0) / sorted.length,
+        p95: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+        perSecond: span > 0 ? (times.length - 1) / span : null,
+        stale,
+      };
+    },
+  };
+}
@@ -0,0 +1,39 @@
+// tf.memory() over time, and a leak check: after every prediction the tensor count should come
+// back to the same baseline, so a count that grows across predictions means something isn't disposed.
+import * as tf from "@tensorflow/tfjs";
+
+/**
+ * @param {{size?: number, leakWindow?: number}} [options]  keep `size` samples; warn when the count
+ *   grew on each of the last `leakWindow` predictions
+ * @returns {{sample: (afterPrediction?: boolean) => void, reset: () => void, summary: () => object}}
+ */
+export function createMemoryMonitor({ size = 120, leakWindow = 6 } = {}) {
+  const samples = []; // { at, numTensors, numBytes, afterPrediction }
+  let baseline = []; // numTensors after each of the recent predictions
+
+  return {
+    sample(afterPrediction = false) {
+      const { numTensors, numBytes } = tf.memory();
+      samples.push({ at: performance.now(), numTensors, numBytes, afterPrediction });
+      if (samples.length > size) samples.shift();
+      if (afterPrediction) {
+        baseline.push(numTensors);
+        if (baseline.length > leakWindow + 1) baseline.shift();
+      }
+    },
+    // Start over, e.g. after loading a model or switching the backend (both change the baseline)
+    reset() {
+      samples.length = 0;
+      baseline = [];
+    },
+    // { samples, latest, leak: { growth, predictions } | null }
+    summary() {
+      const grewEveryTime = baseline.length > leakWindow && baseline.every((n, i) => i === 0 || n > baseline[i - 1]);
+      return {
+        samples: [...samples],
+        latest: samples[samples.length - 1] ?? null,
+        leak: grewEveryTime ? { growth: baseline[baseline.length - 1] - baseline[0], predictions: leakWindow } : null,
+      };
+    },
+  };
+}
@@ -0,0 +1,89 @@
+"""Write the MNIST test slice the Evaluate tab runs on.
+
+Takes the first COUNT images of each digit from the MNIST test set (test-set
+order, so the slice is balanced and reproducible) and writes them as
+uncompressed IDX files, the format of the original MNIST distribution:
+
+    public/mnist/test-images.idx3-ubyte   uint8 [N, 28, 28], 0 = background
+    public/mnist/test-labels.idx1-ubyte   uint8 [N]
+
+The files are served as-is from public/, so the evaluation runs offline.
+
+    python tools/export_mnist_slice.py [COUNT]              # default 100 per digit, via Keras
+    python tools/export_mnist_slice.py [COUNT] --from DIR   # DIR holds t10k-images-idx3-ubyte and
+                                                            # t10k-labels-idx1-ubyte (plain or .gz)
+
+The --from path needs nothing beyond the standard library.
+"""
+
+import gzip
+import struct
+import sys
+from pathlib import Path
+
+OUT = Path(__file__).resolve().parent.parent / "public" / "mnist"
+
+
+def read_idx(path):
+    # Returns (dims, raw uint8 bytes); the original files may still be gzipped
+    data = gzip.decompress(path.read_bytes()) if path.suffix == ".gz" else path.read_bytes()
+    zero, dtype, ndim = struct.unpack(">HBB", data[:4])
+    if zero != 0 or dtype != 0x08:
+        sys.exit(f"{path}: not a uint8 IDX file")
+    dims = struct.unpack(f">{ndim}I", data[4 : 4 + 4 * ndim])
+    return dims, data[4 + 4 * ndim :]
+
+
+def write_idx(path, dims, data):
+    # Magic: two zero bytes, 0x08 (uint8), number of dimensions; then each dimension as big-endian int32
+    header = struct.pack(">HBB", 0, 0x08, len(dims)) + struct.pack(f">{len(dims)}I", *dims)
+    path.write_bytes(header + data)
+
+
+def find(directory, name):
+    for candidate in (directory / name, directory / f"{name}.gz"):
+        if candidate.exists():
+            return candidate
+    sys.exit(f"{directory}: no {name}[.gz]")
+
+
+def load_from_dir(directory):
+    (count, rows, cols), images = read_idx(find(directory, "t10k-images-idx3-ubyte"))
+    _, labels = read_idx(find(directory, "t10k-labels-idx1-ubyte"))
+    return rows, cols, images, labels
+
+
+def load_from_keras():
+    from tensorflow.keras.datasets import mnist
+
+    (_, _), (x_test, y_test) = mnist.load_data()
+    return x_test.shape[1], x_test.shape[2], x_test.astype("uint8").tobytes(), y_test.astype("uint8").tobytes()
+
+
+def main():
+    args = sys.argv[1:]
+    source = None
+    if "--from" in args:
+        i = args.index("--from")
+        source = Path(args[i + 1])
+        del args[i : i + 2]
+    per_digit = int(args[0]) if args else 100
+
+    rows, cols, images, labels = load_from_dir(source) if source else load_from_keras()
+
+    taken = [0] * 10
+    picked = []
+    for i, label in enumerate(labels):
+        if taken[label] < per_digit:
+            taken[label] += 1
+            picked.append(i)
+
+    size = rows * cols
+    OUT.mkdir(parents=True, exist_ok=True)
+    write_idx(OUT / "test-images.idx3-ubyte", (len(picked), rows, cols), b"".join(images[i * size : (i + 1) * size] for i in picked))
+    write_idx(OUT / "test-labels.idx1-ubyte", (len(picked),), bytes(labels[i] for i in picked))
+    print(f"Wrote {len(picked)} images to {OUT}")
+
+
+if __name__ == "__main__":
+    main()
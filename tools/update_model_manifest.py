@@ -0,0 +1,51 @@
+"""Recompute the checksums in public/model/manifest.json.
+
+The checksum of a model is the SHA-256 of its files concatenated in load order:
+model.json followed by the weight shards as listed in its weightsManifest
+(or just the JSON file for "linear-json" models). The app compares it with
+what it downloads and warns on a mismatch.
+
+Run after replacing any model files:
+
+    python tools/update_model_manifest.py
+"""
+
+import hashlib
+import json
+import sys
+from pathlib import Path
+
+MANIFEST = Path(__file__).resolve().parent.parent / "public" / "model" / "manifest.json"
+
+
+def model_files(model_path):
+    files = [model_path]
+    if model_path.suffix == ".json":
+        data = json.loads(model_path.read_text())
+        for group in data.get("weightsManifest", []):
+            files += [model_path.parent / p for p in group["paths"]]
+    return files
+
+
+def checksum(model_path):
+    h = hashlib.sha256()
+    for f in model_files(model_path):
+        h.update(f.read_bytes())
+    return "sha256-" + h.hexdigest()
+
+
+def main():
+    manifest = json.loads(MANIFEST.read_text())
+    for model in manifest["models"]:
+        path = MANIFEST.parent / model["url"]
+        if not path.exists():
+            print(f"{model['id']}: {path} not found", file=sys.stderr)
+            sys.exit(1)
+        model["checksum"] = checksum(path)
+        print(f"{model['id']}: {model['checksum']}")
+
+    MANIFEST.write_text(json.dumps(manifest, indent=2) + "\n")
+
+
+if __name__ == "__main__":
+    main()
@@ -1,9 +1,41 @@
+import { readFileSync } from "node:fs";
+import { createHash } from "node:crypto";
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 
-export default defineConfig(({ mode }) => {
+// Files from public/ that are precached with the app shell (models are cached in IndexedDB instead)
+const PUBLIC_SHELL = [
+  "manifest.webmanifest",
+  "vite.svg",
+  "icons/icon-192.png",
+  "icons/icon-512.png",
+  "mnist/test-images.idx3-ubyte",
+  "mnist/test-labels.idx1-ubyte",
+];
+
+// Emits sw.js from src/sw.js with the list of files to precache; its cache name is a hash of
+// the built file names, which change with their content, and of the public/ files' content
+function serviceWorker() {
+  return {
+    name: "doodle-service-worker",
+    apply: "build",
+    enforce: "post",
+    generateBundle(_, bundle) {
+      const files = [...new Set(["index.html", ...Object.keys(bundle), ...PUBLIC_SHELL])];
+      const hash = createHash("sha256").update(files.join("\n"));
+      PUBLIC_SHELL.forEach((f) => hash.update(readFileSync(`public/${f}`)));
+      const version = hash.digest("hex").slice(0, 12);
+      const source = readFileSync("src/sw.js", "utf8").replace("self.__PRECACHE__", JSON.stringify({ version, files }));
+      this.emitFile({ type: "asset", fileName: "sw.js", source });
+    },
+  };
+}
+
+export default defineConfig(({ mode, isSsrBuild }) => {
   return {
-    plugins: [react()],
+    plugins: [react(), ...(isSsrBuild ? [] : [serviceWorker()])],
     base: mode === "production" ? "/doodle-classifier/" : "/",
+    // The CLI build (npm run build:cli) reads the models from public/ in place
+    build: isSsrBuild ? { copyPublicDir: false } : {},
   };
 });